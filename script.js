@@ -1,17 +1,37 @@
 /**
  * Movimiento Tercer Sistema — Sistema de Cómputo Electoral
- * script.js · ES6+ · Sin dependencias · 100% offline
+ * script.js · ES6+ · Sin dependencias · 100% offline (PWA: sw.js + IndexedDB)
  */
 'use strict';
 
 /* ════════════════════════════════════════════════════════
    DATOS PRECONFIGURADOS
 ════════════════════════════════════════════════════════ */
-const TOTAL_HABILITADOS = 5172;
-const MTS_CANDIDATE_NAME = 'GENARO MONGE HANCO VALENCIA';
+// Identidad de campaña por defecto (Candidatos → Identidad de campaña).
+// foto y logo aceptan una ruta relativa o una imagen subida (data URL).
+const PRESET_BRANDING = {
+  titulo:'Movimiento Tercer Sistema', sigla:'MTS', subtitulo:'Circunscripción 19',
+  municipio:'Teoponte', anio:'2025', foto:'monge.png', logo:'logoMTS.png',
+};
+const BRANDING_IMG_MAX = 400*1024;
+// Lado mayor de la foto del acta al guardarla: legible y liviana para el almacenamiento local
+const ACTA_FOTO_PX = 1600;
+
+// Cargos que se eligen en la misma acta; los candidatos preset son del primero.
+// escanos > 0 activa el reparto de escaños del cargo (ver Seats)
+const PRESET_CARGOS = [
+  { name:'Alcalde' },
+  { name:'Concejales', escanos:5, metodo:'dhondt', umbral:0 },
+];
+
+const SEAT_METHODS = {
+  'dhondt':       "D'Hondt",
+  'sainte-lague': 'Sainte-Laguë',
+  'hare':         'Cociente Hare',
+};
 
 const PRESET_CANDIDATES = [
-  { name:'GENARO MONGE HANCO VALENCIA',   party:'MOVIMIENTO TERCER SISTEMA (M.T.S)', alias:'MTS', color:'#1a3d2b' },
+  { name:'GENARO MONGE HANCO VALENCIA',   party:'MOVIMIENTO TERCER SISTEMA (M.T.S)', alias:'MTS', color:'#1a3d2b', focus:true },
   { name:'CLAUDIO CADENA MENDOZA',         party:'INNOVACIÓN HUMANA',                  alias:'IH',  color:'#e63946' },
   { name:'PATRICIA CALDERON VILLANUEVA',   party:'ALIANZA PATRIA SOL',                 alias:'APS', color:'#f4a261' },
   { name:'NEUSA COCA GONZALES',            party:'MOVIMIENTO POR LA SOBERANÍA (M.P.S.)',alias:'MPS', color:'#457b9d' },
@@ -20,54 +40,165 @@ const PRESET_CANDIDATES = [
   { name:'ARMANDO SALINAS VERGARA',        party:'NGP',                                alias:'NGP', color:'#fb8500' },
 ];
 
+// Campos de control del acta: se guardan junto a los votos pero no son votos
+const ACTA_CONTROL = {
+  votantes:     'Votantes (lista índice)',
+  recibidas:    'Papeletas recibidas',
+  noUtilizadas: 'Papeletas no utilizadas',
+};
+const CONTROL_INPUTS = { votantes:'iVotantes', recibidas:'iRecibidas', noUtilizadas:'iNoUtilizadas' };
+
+// Ciclo de vida de cada mesa. paso: avance normal (guardar votos la lleva a transcrita o
+// verificada); observada y anulada se marcan a mano. nota: dato que acompaña al cambio.
+const MESA_ESTADOS = {
+  pendiente:  { label:'Pendiente',  icon:'○', cls:'sbadge-empty',   paso:0 },
+  en_camino:  { label:'En camino',  icon:'➜', cls:'sbadge-pending', paso:1, nota:'Delegado que trae el acta' },
+  recibida:   { label:'Recibida',   icon:'📥', cls:'sbadge-pending', paso:2, nota:'Recibida por' },
+  transcrita: { label:'Transcrita', icon:'✎', cls:'sbadge-done',    paso:3 },
+  verificada: { label:'Verificada', icon:'✓', cls:'sbadge-done',    paso:4 },
+  observada:  { label:'Impugnada',  icon:'⚑', cls:'sbadge-warn',  nota:'Motivo de la observación', required:true },
+  anulada:    { label:'Anulada',    icon:'⊘', cls:'sbadge-error', nota:'Resolución del tribunal',  required:true },
+};
+
+// Niveles de la jerarquía territorial (ver State.getTree)
+const TERR_LEVELS = { municipio:'Municipio', circ:'Circunscripción', asiento:'Asiento', recinto:'Recinto', mesa:'Mesa' };
+
+// Encargado de una mesa aún sin delegado: pasa la validación del registro y cuenta como sin cobertura
+const ENC_PENDIENTE = 'Por asignar';
+
+// Roles de las cuentas de operadores (ver Auth): vistas del menú a las que entra cada uno.
+// Los botones que no son vistas (exportar, respaldo, sincronización, reinicio) llevan data-rol en el HTML.
+const ROLES = {
+  admin:        { label:'Administrador', views:['candidates','anforas','delegados','ingreso','stats','mapa','tv','historial'] },
+  transcriptor: { label:'Transcriptor',  views:['ingreso'] },
+  observador:   { label:'Observador',    views:['stats','mapa','tv'] },
+};
+
 // Datos del padrón Electoral — Municipio de Teoponte
-// Habilitados conocidos por recinto; las celdas en blanco en la imagen = distribuidos proporcionalmente
+// Habilitados conocidos por recinto: el valor de la primera mesa es el total del recinto,
+// que State reparte entre sus mesas (ver normalizePadron). La ubicación es el asiento electoral.
 const PRESET_ANFORAS = [
   // Circunscripción 19 — Teoponte
-  { num:'206893', recinto:'Nucleo Red Uno',              ubicacion:'Bella Vista A',    enc1:'Por asignar', enc2:'', habilitados:160 },
-  { num:'206894', recinto:'Col. Nucleo Tajlihui',        ubicacion:'Litoral (Tajlihui)',enc1:'Por asignar', enc2:'', habilitados:198 },
-  { num:'206895', recinto:'Esc. Eduardo Avaroa',         ubicacion:'Santo Domingo',    enc1:'Por asignar', enc2:'', habilitados:215 },
-  { num:'206896', recinto:'Esc. Nucleo Villa Aroma',     ubicacion:'Villa Aroma',      enc1:'Por asignar', enc2:'', habilitados:481 },
-  { num:'206897', recinto:'Esc. Nucleo Villa Aroma',     ubicacion:'Villa Aroma',      enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206898', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:'Por asignar', enc2:'', habilitados:1343},
-  { num:'206899', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206900', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206901', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206902', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206903', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206904', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:1997},
-  { num:'206905', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206906', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206907', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206908', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206909', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206910', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206911', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206912', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:'Por asignar', enc2:'', habilitados:0   },
+  { circ:'19', num:'206893', recinto:'Nucleo Red Uno',              ubicacion:'Bella Vista A',    enc1:ENC_PENDIENTE, enc2:'', habilitados:160 },
+  { circ:'19', num:'206894', recinto:'Col. Nucleo Tajlihui',        ubicacion:'Litoral (Tajlihui)',enc1:ENC_PENDIENTE, enc2:'', habilitados:198 },
+  { circ:'19', num:'206895', recinto:'Esc. Eduardo Avaroa',         ubicacion:'Santo Domingo',    enc1:ENC_PENDIENTE, enc2:'', habilitados:215 },
+  { circ:'19', num:'206896', recinto:'Esc. Nucleo Villa Aroma',     ubicacion:'Villa Aroma',      enc1:ENC_PENDIENTE, enc2:'', habilitados:481 },
+  { circ:'19', num:'206897', recinto:'Esc. Nucleo Villa Aroma',     ubicacion:'Villa Aroma',      enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206898', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:ENC_PENDIENTE, enc2:'', habilitados:1343},
+  { circ:'19', num:'206899', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206900', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206901', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206902', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206903', recinto:'Col. Nal. Mixto Teoponte',    ubicacion:'Teoponte',         enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206904', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:1997},
+  { circ:'19', num:'206905', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206906', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206907', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206908', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206909', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206910', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206911', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'19', num:'206912', recinto:'Sede Social',                 ubicacion:'Mayaya',           enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
   // Circunscripción 1 — Teoponte (Tomachi / Uyapi)
-  { num:'206913', recinto:'U.E. Tomachi',                ubicacion:'Tomachi',          enc1:'Por asignar', enc2:'', habilitados:549 },
-  { num:'206914', recinto:'U.E. Tomachi',                ubicacion:'Tomachi',          enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206915', recinto:'U.E. Tomachi',                ubicacion:'Tomachi',          enc1:'Por asignar', enc2:'', habilitados:0   },
-  { num:'206916', recinto:'U.E. Uyapi',                  ubicacion:'Uyapi',            enc1:'Por asignar', enc2:'', habilitados:229 },
-  { num:'206917', recinto:'Sede de Tomachi',             ubicacion:'Tomachi',          enc1:'Por asignar', enc2:'', habilitados:0   },
+  { circ:'1',  num:'206913', recinto:'U.E. Tomachi',                ubicacion:'Tomachi',          enc1:ENC_PENDIENTE, enc2:'', habilitados:549 },
+  { circ:'1',  num:'206914', recinto:'U.E. Tomachi',                ubicacion:'Tomachi',          enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'1',  num:'206915', recinto:'U.E. Tomachi',                ubicacion:'Tomachi',          enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
+  { circ:'1',  num:'206916', recinto:'U.E. Uyapi',                  ubicacion:'Uyapi',            enc1:ENC_PENDIENTE, enc2:'', habilitados:229 },
+  { circ:'1',  num:'206917', recinto:'Sede de Tomachi',             ubicacion:'Tomachi',          enc1:ENC_PENDIENTE, enc2:'', habilitados:0   },
 ];
 
 /* ════════════════════════════════════════════════════════
    STORAGE
 ════════════════════════════════════════════════════════ */
 const Storage = (() => {
-  const KEY = 'mts_electoral_v1';
-  const save  = d => { try { localStorage.setItem(KEY, JSON.stringify(d)); } catch(e){} };
-  const load  = ()  => { try { const r=localStorage.getItem(KEY); return r?JSON.parse(r):null; } catch(e){return null;} };
-  const clear = ()  => { try { localStorage.removeItem(KEY); } catch(e){} };
-  return { save, load, clear };
+  const KEY   = 'mts_electoral_v1';
+  const DB    = 'computo-electoral';
+  const STORE = 'data';
+  // Los datos viven en IndexedDB y se leen una sola vez al abrir (open); load() devuelve
+  // la copia en memoria. Sin IndexedDB se usa localStorage como antes.
+  // Deshacer/rehacer: va en su propia clave para que no entre en respaldos ni en la sincronización
+  const UNDO  = `${KEY}_undo`;
+  // Las fotos que el deshacer necesita van aparte: pesan mucho y cambian poco
+  const UNDO_FOTOS = `${UNDO}_fotos`;
+  let db = null, cache = null, undoCache = null, undoFotosCache = null, _onError = null;
+
+  const onError = fn => { _onError = fn; };
+  const fail = e => {
+    const msg = e && e.name==='QuotaExceededError' ? 'el almacenamiento del equipo está lleno' : (e && e.message) || String(e);
+    if (_onError) _onError(msg);
+  };
+
+  const lsLoad = (key=KEY) => { try { const r=localStorage.getItem(key); return r?JSON.parse(r):null; } catch(e){return null;} };
+  const req = r => new Promise((resolve, reject) => { r.onsuccess=()=>resolve(r.result); r.onerror=()=>reject(r.error); });
+
+  const write = (d, key=KEY) => new Promise((resolve, reject) => {
+    const tx = db.transaction(STORE, 'readwrite');
+    tx.oncomplete = resolve;
+    tx.onerror = tx.onabort = () => reject(tx.error || new Error('La escritura fue cancelada.'));
+    tx.objectStore(STORE).put(d, key);
+  });
+
+  // Abre la base y migra los datos que hubiera en localStorage (solo se borran ahí
+  // después de quedar escritos en IndexedDB)
+  const open = async () => {
+    if (typeof indexedDB==='undefined') { cache = lsLoad(); undoCache = lsLoad(UNDO); undoFotosCache = lsLoad(UNDO_FOTOS); return; }
+    try {
+      const r = indexedDB.open(DB, 1);
+      r.onupgradeneeded = () => r.result.createObjectStore(STORE);
+      db = await req(r);
+      cache = await req(db.transaction(STORE).objectStore(STORE).get(KEY)) || null;
+      undoCache = await req(db.transaction(STORE).objectStore(STORE).get(UNDO)) || null;
+      undoFotosCache = await req(db.transaction(STORE).objectStore(STORE).get(UNDO_FOTOS)) || null;
+      const legacy = lsLoad();
+      if (!cache && legacy) { await write(legacy); cache = legacy; }
+      if (legacy) localStorage.removeItem(KEY);
+      if (navigator.storage && navigator.storage.persist) navigator.storage.persist().catch(()=>{});
+    } catch(e) {
+      db = null; cache = lsLoad(); undoCache = lsLoad(UNDO); undoFotosCache = lsLoad(UNDO_FOTOS);
+      fail(new Error(`IndexedDB no disponible (${e && e.message}); los datos se guardan en el almacenamiento limitado del navegador`));
+    }
+  };
+
+  const save = d => {
+    cache = d;
+    if (db) { try { write(d).catch(fail); } catch(e) { fail(e); } return; }
+    try { localStorage.setItem(KEY, JSON.stringify(d)); } catch(e) { fail(e); }
+  };
+  const load  = () => cache;
+  const clear = () => {
+    cache = null;
+    if (db) { try { db.transaction(STORE, 'readwrite').objectStore(STORE).delete(KEY); } catch(e) { fail(e); } return; }
+    try { localStorage.removeItem(KEY); } catch(e) { fail(e); }
+  };
+  // clear() no la toca: un reinicio también se puede deshacer
+  const loadUndo = () => undoCache;
+  const saveUndo = u => {
+    undoCache = u;
+    if (db) { try { write(u, UNDO).catch(fail); } catch(e) { fail(e); } return; }
+    try { localStorage.setItem(UNDO, JSON.stringify(u)); } catch(e) { fail(e); }
+  };
+  const loadUndoFotos = () => undoFotosCache;
+  const saveUndoFotos = f => {
+    undoFotosCache = f;
+    if (db) { try { write(f, UNDO_FOTOS).catch(fail); } catch(e) { fail(e); } return; }
+    try { localStorage.setItem(UNDO_FOTOS, JSON.stringify(f)); } catch(e) { fail(e); }
+  };
+  // Preferencias del equipo (no forman parte del respaldo electoral)
+  const getPref = name      => { try { return localStorage.getItem(`${KEY}_${name}`); } catch(e){return null;} };
+  const setPref = (name, v) => { try { localStorage.setItem(`${KEY}_${name}`, v); } catch(e){ fail(e); } };
+  return { open, onError, save, load, clear, loadUndo, saveUndo, loadUndoFotos, saveUndoFotos, getPref, setPref };
 })();
 
 /* ════════════════════════════════════════════════════════
    STATE
 ════════════════════════════════════════════════════════ */
 const State = (() => {
-  let D = { candidates: [], anforas: [], results: {} };
+  const empty = () => ({ cargos:[], candidates:[], anforas:[], results:{}, padron:{}, history:{}, pending:{}, historico:{}, settings:{}, fotos:{}, estados:{}, delegados:[], geo:{}, sellos:{} });
+  let D = empty();
+  // Cargo activo: preferencia del equipo, no forma parte del respaldo
+  let cargo = null;
+  // Configuración de cada equipo: la doble digitación se hace en el equipo, no viaja con el catálogo
+  const DEVICE_SETTINGS = ['doubleEntry'];
 
   const uid = () => typeof crypto !== 'undefined' && crypto.randomUUID
     ? crypto.randomUUID()
@@ -75,16 +206,133 @@ const State = (() => {
 
   const persist = () => Storage.save(D);
 
+  // Resultados, historial y digitaciones se guardan por cargo: D.results[cargoId][anforaId]
+  const byCargo = key => D[key][cargo] || (D[key][cargo] = {});
+
+  /* ── Cargos ── */
+  const getCargos = () => D.cargos;
+  const getCargo  = () => D.cargos.find(c=>c.id===cargo) || null;
+
+  const setCargo = id => {
+    if (!D.cargos.some(c=>c.id===id)) return { ok:false, error:'Cargo no encontrado.' };
+    cargo = id;
+    Storage.setPref('cargo', id);
+    return { ok:true };
+  };
+
+  const addCargo = name => {
+    const n = name.trim();
+    if (!n) return { ok:false, error:'El nombre del cargo no puede estar vacío.' };
+    if (D.cargos.some(c => c.name.toLowerCase()===n.toLowerCase()))
+      return { ok:false, error:`Ya existe el cargo "${n}".` };
+    const c = { id:uid(), name:n };
+    D.cargos.push(c);
+    _record(`Cargo agregado: ${n}`, [['cargos','#'+c.id]], [null]);
+    persist();
+    return { ok:true, cargo:c };
+  };
+
+  const renameCargo = (id, name) => {
+    const n = name.trim();
+    if (!n) return { ok:false, error:'El nombre del cargo no puede estar vacío.' };
+    if (D.cargos.some(c => c.name.toLowerCase()===n.toLowerCase() && c.id!==id))
+      return { ok:false, error:`Ya existe el cargo "${n}".` };
+    const c = D.cargos.find(c=>c.id===id);
+    if (!c) return { ok:false, error:'Cargo no encontrado.' };
+    const paths = [['cargos','#'+id]], before = _snap(paths);
+    c.name = n;
+    _record(`Cargo renombrado: ${n}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  const setCargoSeats = (id, escanos, metodo, umbral) => {
+    const c = D.cargos.find(c=>c.id===id);
+    if (!c) return { ok:false, error:'Cargo no encontrado.' };
+    const n = parseInt(escanos), u = parseFloat(umbral);
+    if (isNaN(n) || n<0 || n>200) return { ok:false, error:'El número de escaños debe estar entre 0 y 200.' };
+    if (!SEAT_METHODS[metodo]) return { ok:false, error:'Método de reparto desconocido.' };
+    if (isNaN(u) || u<0 || u>=100) return { ok:false, error:'El umbral debe ser un porcentaje entre 0 y 99.' };
+    const paths = [['cargos','#'+id]], before = _snap(paths);
+    c.escanos=n; c.metodo=metodo; c.umbral=u;
+    _record(`Escaños del cargo: ${c.name}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  const deleteCargo = id => {
+    if (D.cargos.length<=1) return { ok:false, error:'Debe quedar al menos un cargo.' };
+    const c = D.cargos.find(c=>c.id===id);
+    const paths = [['cargos','#'+id], ...D.candidates.filter(c=>c.cargoId===id).map(c=>['candidates','#'+c.id]),
+      ...['results','history','pending','historico'].map(k=>[k,id]), ['settings','focus',id], ['settings','actaOrder',id]], before = _snap(paths);
+    D.cargos = D.cargos.filter(c=>c.id!==id);
+    D.candidates = D.candidates.filter(c=>c.cargoId!==id);
+    delete D.results[id]; delete D.history[id]; delete D.pending[id]; delete D.historico[id];
+    if (D.settings.focus) delete D.settings.focus[id];
+    if (D.settings.actaOrder) delete D.settings.actaOrder[id];
+    if (cargo===id) setCargo(D.cargos[0].id);
+    _record(`Cargo eliminado: ${c?c.name:id}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  const _pickCargo = () => {
+    if (!D.cargos.length) D.cargos.push({ id:uid(), ...PRESET_CARGOS[0] });
+    const pref = Storage.getPref('cargo');
+    cargo = D.cargos.some(c=>c.id===pref) ? pref : D.cargos[0].id;
+  };
+
+  // Datos de la versión de un solo cargo: todo pasa al primer cargo preset
+  const upgrade = d => {
+    if (Array.isArray(d.cargos) && d.cargos.length) return d;
+    const c = { id:uid(), ...PRESET_CARGOS[0] };
+    return {
+      ...d, cargos:[c],
+      candidates:(d.candidates||[]).map(x => ({ ...x, cargoId:c.id })),
+      results:{ [c.id]:d.results||{} }, history:{ [c.id]:d.history||{} }, pending:{ [c.id]:d.pending||{} },
+    };
+  };
+
+  /* ── Sellos del catálogo ── */
+  // Cada cargo, candidato, mesa, delegado y clave de padrón, ubicación o elección anterior guarda
+  // la hora de su último cambio y si fue un borrado (D.sellos[lista][id]). Lo pone _record, y al
+  // sincronizar gana por id la versión con el sello más reciente: un catálogo viejo no pisa ediciones
+  // nuevas ni trae de vuelta lo eliminado.
+  const SELLADOS = ['cargos','candidates','anforas','delegados','padron','geo','historico'];
+  const _sellar = (k, id, borrado) => { (D.sellos[k] = D.sellos[k] || {})[id] = { ts:new Date().toISOString(), borrado }; };
+  const _sellable = p => p.length===2 && SELLADOS.includes(p[0]);
+  const _sellarPath = p => { const id = p[1][0]==='#' ? p[1].slice(1) : p[1]; _sellar(p[0], id, _get(p)===undefined); };
+
   /* ── Candidates ── */
-  const getCandidates = () => D.candidates;
+  // Por defecto, los del cargo activo
+  const getCandidates = (cargoId=cargo) => D.candidates.filter(c=>c.cargoId===cargoId);
+
+  // Orden impreso en el acta (entrada rápida); los candidatos sin ubicar van al final en orden de registro
+  const getActaOrder = (cargoId=cargo) => {
+    const ids = D.settings.actaOrder?.[cargoId] || [];
+    const pos = c => { const i=ids.indexOf(c.id); return i<0 ? ids.length : i; };
+    return [...getCandidates(cargoId)].sort((a,b)=>pos(a)-pos(b));
+  };
+
+  const moveInActa = (id, dir) => {
+    const ids = getActaOrder().map(c=>c.id);
+    const i = ids.indexOf(id), j = i+dir;
+    if (i<0 || j<0 || j>=ids.length) return;
+    [ids[i], ids[j]] = [ids[j], ids[i]];
+    const paths = [D.settings.actaOrder ? ['settings','actaOrder',cargo] : ['settings','actaOrder']], before = _snap(paths);
+    D.settings.actaOrder = { ...D.settings.actaOrder, [cargo]:ids };
+    _record(`Orden del acta: ${D.candidates.find(c=>c.id===id)?.name||''}`, paths, before);
+    persist();
+  };
 
   const addCandidate = (name, party, alias, color) => {
     const n = name.trim();
     if (!n) return { ok:false, error:'El nombre no puede estar vacío.' };
-    if (D.candidates.some(c => c.name.toLowerCase()===n.toLowerCase()))
+    if (getCandidates().some(c => c.name.toLowerCase()===n.toLowerCase()))
       return { ok:false, error:`Ya existe "${n}".` };
-    const c = { id:uid(), name:n, party:party.trim(), alias:alias.trim(), color: color||'#1a3d2b' };
+    const c = { id:uid(), cargoId:cargo, name:n, party:party.trim(), alias:alias.trim(), color: color||'#1a3d2b' };
     D.candidates.push(c);
+    _record(`Candidato agregado: ${n}`, [['candidates','#'+c.id]], [null]);
     persist();
     return { ok:true, candidate:c };
   };
@@ -92,148 +340,1341 @@ const State = (() => {
   const editCandidate = (id, name, party, alias, color) => {
     const n = name.trim();
     if (!n) return { ok:false, error:'El nombre no puede estar vacío.' };
-    if (D.candidates.some(c => c.name.toLowerCase()===n.toLowerCase() && c.id!==id))
+    if (getCandidates().some(c => c.name.toLowerCase()===n.toLowerCase() && c.id!==id))
       return { ok:false, error:`Ya existe "${n}".` };
     const c = D.candidates.find(c=>c.id===id);
     if (!c) return { ok:false, error:'No encontrado.' };
+    const paths = [['candidates','#'+id]], before = _snap(paths);
     c.name=n; c.party=party.trim(); c.alias=alias.trim(); c.color=color||c.color;
+    _record(`Candidato editado: ${n}`, paths, before);
     persist();
     return { ok:true };
   };
 
   const deleteCandidate = id => {
+    const c = D.candidates.find(c=>c.id===id);
+    // Mesas con votos (o digitaciones) de este candidato: son las que se pueden recuperar al deshacer
+    const mesas = (key, has) => Object.entries(byCargo(key)).filter(([, x]) => has(x)).map(([anforaId]) => [key, cargo, anforaId]);
+    const paths = [
+      ['candidates','#'+id], ['settings','focus'],
+      ...mesas('results', r => id in r), ...mesas('pending', p => [p.first, p.second].some(e => e && id in e.votes)),
+    ], before = _snap(paths);
     D.candidates = D.candidates.filter(c=>c.id!==id);
-    Object.values(D.results).forEach(r=>delete r[id]);
+    if (c && D.settings.focus?.[c.cargoId]===id) delete D.settings.focus[c.cargoId];
+    // Las mesas que pierden esos votos se sincronizan como cualquier corrección
+    const cambios = [];
+    Object.entries(byCargo('results')).forEach(([anforaId, r]) => {
+      if (!(id in r)) return;
+      const prev = { ...r };
+      delete r[id];
+      cambios.push([anforaId, r, _log(anforaId, prev, r, 'Sistema', `Candidato eliminado: ${c?c.name:id}`)]);
+    });
+    Object.values(byCargo('pending')).forEach(p => [p.first, p.second].forEach(e => { if (e) delete e.votes[id]; }));
+    _record(`Candidato eliminado: ${c?c.name:id}`, paths, before, true);
     persist();
+    cambios.forEach(([anforaId, r, entry]) => _emit(anforaId, r, entry));
   };
 
   /* ── Anforas ── */
   const getAnforas = () => D.anforas;
 
-  const addAnfora = (num, recinto, ubicacion, enc1, enc2, habilitados) => {
+  // Circunscripción: se guarda solo el número ("Circunscripción 19" → "19")
+  const _circ = v => String(v??'').trim().replace(/^circ(unscripci[oó]n)?\.?\s*/i,'');
+
+  // Mesas de versiones sin circunscripción: se completa desde el padrón preset por código
+  const _fillCirc = () => D.anforas.forEach(a => { if (a.circ===undefined) a.circ = PRESET_ANFORAS.find(p=>p.num===a.num)?.circ || ''; });
+
+  // exists: si el código ya está tomado (en una importación cuentan también las filas anteriores)
+  const _anforaData = (num, recinto, ubicacion, enc1, enc2, habilitados, circ, exists) => {
     const n = num.trim(), r = recinto.trim();
-    if (!n) return { ok:false, error:'El código de mesa no puede estar vacío.' };
-    if (!r) return { ok:false, error:'El recinto no puede estar vacío.' };
-    if (!enc1.trim()) return { ok:false, error:'El Encargado 1 es obligatorio.' };
-    if (D.anforas.some(a => a.num===n))
-      return { ok:false, error:`Ya existe la mesa "${n}".` };
-    const a = { id:uid(), num:n, recinto:r, ubicacion:ubicacion.trim(), enc1:enc1.trim(), enc2:enc2.trim(), habilitados:parseInt(habilitados)||0 };
+    if (!n) return { error:'El código de mesa no puede estar vacío.' };
+    if (!r) return { error:'El recinto no puede estar vacío.' };
+    if (!enc1.trim()) return { error:'El Encargado 1 es obligatorio.' };
+    const encError = _checkEncargados(enc1, enc2);
+    if (encError) return { error:encError };
+    if (exists(n)) return { error:`Ya existe la mesa "${n}".` };
+    return { anfora:{ id:uid(), num:n, recinto:r, ubicacion:ubicacion.trim(), circ:_circ(circ), enc1:_encName(enc1), enc2:_encName(enc2), habilitados:parseInt(habilitados)||0 } };
+  };
+
+  const addAnfora = (num, recinto, ubicacion, enc1, enc2, habilitados, circ='') => {
+    const v = _anforaData(num, recinto, ubicacion, enc1, enc2, habilitados, circ, n => D.anforas.some(a=>a.num===n));
+    if (v.error) return { ok:false, error:v.error };
+    const a = v.anfora;
     D.anforas.push(a);
+    _record(`Mesa agregada: ${a.num}`, [['anforas','#'+a.id]], [null]);
     persist();
     return { ok:true, anfora:a };
   };
 
-  const editAnfora = (id, num, recinto, ubicacion, enc1, enc2, habilitados) => {
+  const editAnfora = (id, num, recinto, ubicacion, enc1, enc2, habilitados, circ) => {
     const r = recinto.trim();
     if (!r) return { ok:false, error:'El recinto no puede estar vacío.' };
     const a = D.anforas.find(a=>a.id===id);
     if (!a) return { ok:false, error:'No encontrada.' };
+    const encError = _checkEncargados(enc1, enc2, [a.enc1, a.enc2]);
+    if (encError) return { ok:false, error:encError };
+    const from = recintoKey(a), to = recintoKey({ recinto:r, ubicacion:ubicacion.trim() });
+    // Si la última mesa de un recinto cambia de nombre, el total del padrón y la ubicación se van con ella
+    const moves = from!==to && !D.anforas.some(x=>x.id!==id && recintoKey(x)===from);
+    const paths = [['anforas','#'+id], ...(moves ? [['padron',from],['padron',to],['geo',from],['geo',to]] : [])], before = _snap(paths);
     a.num=num.trim(); a.recinto=r; a.ubicacion=ubicacion.trim();
-    a.enc1=enc1.trim(); a.enc2=enc2.trim(); a.habilitados=parseInt(habilitados)||0;
+    a.enc1=_encName(enc1); a.enc2=_encName(enc2); a.habilitados=parseInt(habilitados)||0;
+    if (circ!==undefined) a.circ=_circ(circ);
+    if (moves) ['padron','geo'].forEach(k => {
+      if (D[k][from]!==undefined && D[k][to]===undefined) D[k][to] = D[k][from];
+      delete D[k][from];
+    });
+    _record(`Mesa editada: ${a.num}`, paths, before);
     persist();
     return { ok:true };
   };
 
   const deleteAnfora = id => {
+    const a = D.anforas.find(a=>a.id===id);
+    const has = key => Object.keys(D[key]).filter(cargoId => D[key][cargoId][id]).map(cargoId => [key, cargoId, id]);
+    const paths = [['anforas','#'+id], ...has('results'), ...has('pending'), ['fotos',id], ['estados',id]], before = _snap(paths);
     D.anforas = D.anforas.filter(a=>a.id!==id);
-    delete D.results[id];
+    Object.values(D.results).forEach(r => { delete r[id]; });
+    Object.values(D.pending).forEach(p => { delete p[id]; });
+    delete D.fotos[id];
+    delete D.estados[id];
+    _record(`Mesa eliminada: ${a?a.num:id}`, paths, before);
+    persist();
+  };
+
+  /* ── Delegados ── */
+  // Registro de delegados. Las mesas guardan el nombre en enc1/enc2, que se actualiza al renombrar.
+  const getDelegados = () => D.delegados;
+  const findDelegado = name => {
+    const n = (name||'').trim().toLowerCase();
+    return n ? D.delegados.find(d=>d.nombre.toLowerCase()===n) || null : null;
+  };
+  // Mesas donde la persona es encargado 1 o 2
+  const mesasDe = name => { const d = findDelegado(name); return d ? D.anforas.filter(a=>a.enc1===d.nombre || a.enc2===d.nombre) : []; };
+  // Cobertura: mesas sin ningún encargado del registro
+  const sinDelegado = () => D.anforas.filter(a=>!findDelegado(a.enc1) && !findDelegado(a.enc2));
+
+  const _encName = v => findDelegado(v)?.nombre || v.trim();
+
+  // Con delegados registrados, los encargados salen del registro; keep admite los valores que ya tenía la mesa
+  const _checkEncargados = (enc1, enc2, keep=[]) => {
+    const e1 = enc1.trim(), e2 = enc2.trim();
+    if (e1 && e1.toLowerCase()===e2.toLowerCase()) return 'El Encargado 1 y el Encargado 2 deben ser personas distintas.';
+    if (!D.delegados.length) return null;
+    for (const [label, n] of [['Encargado 1',e1],['Encargado 2',e2]])
+      if (n && n!==ENC_PENDIENTE && !keep.includes(n) && !findDelegado(n)) return `${label}: "${n}" no está en el registro de delegados.`;
+    return null;
+  };
+
+  const _delegadoData = (f, id) => {
+    const nombre = (f.nombre||'').trim(), ci = (f.ci||'').trim();
+    if (!nombre) return { error:'El nombre no puede estar vacío.' };
+    if (D.delegados.some(d=>d.id!==id && d.nombre.toLowerCase()===nombre.toLowerCase())) return { error:`Ya existe "${nombre}".` };
+    if (ci && D.delegados.some(d=>d.id!==id && d.ci===ci)) return { error:`El CI ${ci} ya está registrado.` };
+    return { nombre, ci, telefono:(f.telefono||'').trim(), recinto:f.recinto||'' };
+  };
+
+  const addDelegado = f => {
+    const v = _delegadoData(f);
+    if (v.error) return { ok:false, error:v.error };
+    const d = { id:uid(), ...v };
+    D.delegados.push(d);
+    _record(`Delegado agregado: ${d.nombre}`, [['delegados','#'+d.id]], [null]);
+    persist();
+    return { ok:true, delegado:d };
+  };
+
+  const editDelegado = (id, f) => {
+    const d = D.delegados.find(x=>x.id===id);
+    if (!d) return { ok:false, error:'No encontrado.' };
+    const v = _delegadoData(f, id);
+    if (v.error) return { ok:false, error:v.error };
+    const paths = [['delegados','#'+id], ...mesasDe(d.nombre).map(a=>['anforas','#'+a.id])], before = _snap(paths);
+    D.anforas.forEach(a => { if (a.enc1===d.nombre) a.enc1=v.nombre; if (a.enc2===d.nombre) a.enc2=v.nombre; });
+    Object.assign(d, v);
+    _record(`Delegado editado: ${d.nombre}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  // El Encargado 1 es obligatorio: sus mesas quedan por asignar, no vacías
+  const deleteDelegado = id => {
+    const d = D.delegados.find(x=>x.id===id);
+    if (!d) return;
+    const paths = [['delegados','#'+id], ...D.anforas.filter(a=>a.enc1===d.nombre || a.enc2===d.nombre).map(a=>['anforas','#'+a.id])], before = _snap(paths);
+    D.delegados = D.delegados.filter(x=>x.id!==id);
+    D.anforas.forEach(a => { if (a.enc1===d.nombre) a.enc1=ENC_PENDIENTE; if (a.enc2===d.nombre) a.enc2=''; });
+    _record(`Delegado eliminado: ${d.nombre}`, paths, before);
+    persist();
+  };
+
+  // Asignación rápida desde Cobertura: slot 'enc1' | 'enc2'
+  const asignarDelegado = (anforaId, slot, delegadoId) => {
+    const a = D.anforas.find(x=>x.id===anforaId), d = D.delegados.find(x=>x.id===delegadoId);
+    if (!a || !d || !['enc1','enc2'].includes(slot)) return { ok:false, error:'Mesa o delegado inexistente.' };
+    if (a[slot==='enc1'?'enc2':'enc1']===d.nombre) return { ok:false, error:`${d.nombre} ya es encargado de esta mesa.` };
+    const paths = [['anforas','#'+a.id]], before = _snap(paths);
+    a[slot] = d.nombre;
+    _record(`Delegado asignado: ${d.nombre} en la mesa ${a.num}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  /* ── Estado de la mesa ── */
+  // Por mesa, no por cargo: sigue al acta física. D.estados[anforaId] guarda cada cambio con su hora.
+  const getEstadoLog = anforaId => D.estados[anforaId] || [];
+  const getEstado = anforaId => getEstadoLog(anforaId).at(-1)?.estado || 'pendiente';
+  const isAnulada = anforaId => getEstado(anforaId)==='anulada';
+
+  // El registro de estados solo crece: así se combina entre equipos sin perder cambios (ver Sync)
+  let _onEstado = null;
+  const onEstado = fn => { _onEstado = fn; };
+  const _pushEstado = (anforaId, estado, operator, nota) => {
+    const entry = { estado, ts:new Date().toISOString(), operator, nota };
+    (D.estados[anforaId] = D.estados[anforaId] || []).push(entry);
+    if (_onEstado) _onEstado({ anforaId, entry:{ ...entry } });
+  };
+
+  // Agrega las entradas que falten, en orden de hora; devuelve cuántas agregó
+  const estadoKey = e => `${e.ts}|${e.estado}`;
+  const _mergeEstados = (anforaId, entries) => {
+    const log = D.estados[anforaId] || [], have = new Set(log.map(estadoKey));
+    const nuevas = (entries||[]).filter(e => !have.has(estadoKey(e)));
+    if (!nuevas.length) return 0;
+    D.estados[anforaId] = [...log, ...nuevas.map(e=>({ ...e }))].sort((a,b) => a.ts<b.ts ? -1 : a.ts>b.ts ? 1 : 0);
+    return nuevas.length;
+  };
+
+  const setEstado = (anforaId, estado, nota, operator) => {
+    const def = MESA_ESTADOS[estado];
+    if (!D.anforas.some(a=>a.id===anforaId)) return { ok:false, error:'La mesa no existe.' };
+    if (!def) return { ok:false, error:'Estado desconocido.' };
+    const n = (nota||'').trim();
+    if (def.required && !n) return { ok:false, error:`Indica: ${def.nota.toLowerCase()}.` };
+    if (estado===getEstado(anforaId) && !n) return { ok:true, unchanged:true };
+    const paths = [['estados',anforaId]], before = _snap(paths);
+    _pushEstado(anforaId, estado, (operator||'').trim(), n);
+    _record(`Mesa ${_num(anforaId)}: ${def.label}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  // Guardar votos adelanta el estado; nunca lo retrocede ni saca a una mesa de observada o anulada
+  const _advance = (anforaId, estado, operator) => {
+    const cur = MESA_ESTADOS[getEstado(anforaId)].paso;
+    if (cur===undefined || cur>=MESA_ESTADOS[estado].paso) return;
+    _pushEstado(anforaId, estado, operator||'Sistema', '');
+  };
+
+  /* ── Fotos de actas ── */
+  // Una foto por mesa: el acta física trae todos los cargos. No se sincroniza entre equipos.
+  const getFoto = anforaId => D.fotos[anforaId] || null;
+
+  const setFoto = (anforaId, src, operator) => {
+    if (!D.anforas.some(a=>a.id===anforaId)) return { ok:false, error:'La mesa no existe.' };
+    if (!/^data:image\//.test(src||'')) return { ok:false, error:'El archivo no es una imagen.' };
+    const paths = [['fotos',anforaId]], before = _snap(paths);
+    D.fotos[anforaId] = { src, ts:new Date().toISOString(), operator:(operator||'').trim() };
+    _record(`Foto del acta: mesa ${_num(anforaId)}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  const clearFoto = anforaId => {
+    const paths = [['fotos',anforaId]], before = _snap(paths);
+    delete D.fotos[anforaId];
+    _record(`Foto del acta quitada: mesa ${_num(anforaId)}`, paths, before);
+    persist();
+  };
+
+  /* ── Padrón por recinto ── */
+  // Un recinto con total en D.padron reparte sus habilitados entre las mesas sin
+  // valor propio (a.habilitados=0). Una mesa con valor propio lo conserva siempre.
+  const recintoKey = a => `${a.ubicacion||''}/${a.recinto}`;
+
+  const getRecintos = () => {
+    const groups = {};
+    D.anforas.forEach(a => {
+      const k = recintoKey(a);
+      if (!groups[k]) groups[k] = { key:k, recinto:a.recinto, ubicacion:a.ubicacion||'', mesas:[], total:D.padron[k]||0 };
+      groups[k].mesas.push(a);
+    });
+    return Object.values(groups);
+  };
+
+  const getHabMap = () => {
+    const map = {};
+    getRecintos().forEach(g => {
+      const fixed = g.mesas.filter(a=>a.habilitados>0);
+      const free  = g.mesas.filter(a=>!(a.habilitados>0));
+      fixed.forEach(a => { map[a.id]=a.habilitados; });
+      const rem = Math.max(0, g.total - fixed.reduce((s,a)=>s+a.habilitados,0));
+      const base = free.length ? Math.floor(rem/free.length) : 0;
+      free.forEach((a,i) => { map[a.id] = base + (i < rem-base*free.length ? 1 : 0); });
+    });
+    return map;
+  };
+
+  const getHabilitados = anforaId => getHabMap()[anforaId] || 0;
+
+  const setRecintoHabilitados = (key, habilitados) => {
+    const n = parseInt(habilitados);
+    if (isNaN(n) || n<0) return { ok:false, error:'Los habilitados deben ser un número entero no negativo.' };
+    const g = getRecintos().find(g=>g.key===key);
+    if (!g) return { ok:false, error:'Recinto no encontrado.' };
+    const fixed = g.mesas.reduce((s,a)=>s+(a.habilitados||0),0);
+    if (n>0 && n<fixed) return { ok:false, error:`Las mesas con valor propio ya suman ${fixed}.` };
+    const paths = [['padron',key]], before = _snap(paths);
+    if (n>0) D.padron[key]=n; else delete D.padron[key];
+    _record(`Habilitados del recinto: ${g.recinto}`, paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  // Convierte recintos cargados "a la antigua" (total en una mesa, el resto en 0)
+  // en un total de recinto repartido. Solo toca recintos sin total propio.
+  const _normalize = keys => getRecintos().filter(g => {
+    if ((keys && !keys.includes(g.key)) || D.padron[g.key]) return false;
+    const withHab = g.mesas.filter(a=>a.habilitados>0);
+    return withHab.length>0 && withHab.length<g.mesas.length;
+  });
+  const _normalizePaths = groups => groups.flatMap(g => [['padron',g.key], ...g.mesas.map(a=>['anforas','#'+a.id])]);
+  const _applyNormalize = groups => groups.forEach(g => {
+    D.padron[g.key] = g.mesas.filter(a=>a.habilitados>0).reduce((s,a)=>s+a.habilitados,0);
+    g.mesas.forEach(a => { a.habilitados=0; });
+  });
+
+  const normalizePadron = keys => {
+    const groups = _normalize(keys), paths = _normalizePaths(groups), before = _snap(paths);
+    _applyNormalize(groups);
+    _record('Padrón repartido por recinto', paths, before);
+    persist();
+  };
+
+  /* ── Ubicación de los recintos (mapa) ── */
+  // Coordenadas en grados decimales por recinto, como el padrón: las comparten todas sus mesas
+  const getGeo = key => D.geo[key] || null;
+
+  // Acepta "lat, lon" tal como lo copian los GPS y los mapas; vacío quita la ubicación
+  const setGeo = (key, text) => {
+    const g = getRecintos().find(g=>g.key===key);
+    if (!g) return { ok:false, error:'Recinto no encontrado.' };
+    const t = String(text||'').trim();
+    let v = null;
+    if (t) {
+      const m = t.match(/^(-?\d+(?:\.\d+)?)\s*[,;\s]\s*(-?\d+(?:\.\d+)?)$/);
+      if (!m) return { ok:false, error:'Escribe latitud y longitud en grados decimales, p. ej. -15.4985, -67.8189.' };
+      const lat = parseFloat(m[1]), lon = parseFloat(m[2]);
+      if (Math.abs(lat)>90 || Math.abs(lon)>180) return { ok:false, error:'Coordenadas fuera de rango (latitud ±90, longitud ±180).' };
+      v = { lat, lon };
+    }
+    const paths = [['geo',key]], before = _snap(paths);
+    if (v) D.geo[key] = v; else delete D.geo[key];
+    _record(`Ubicación del recinto: ${g.recinto}`, paths, before);
     persist();
+    return { ok:true };
   };
 
   /* ── Results ── */
-  const getResult   = anforaId => D.results[anforaId] || null;
-  const saveResult  = (anforaId, votes) => { D.results[anforaId]=votes; persist(); };
-  const clearResult = anforaId => { delete D.results[anforaId]; persist(); };
+  const getResult   = anforaId => byCargo('results')[anforaId] || null;
 
-  /* ── Stats ── */
-  const getStats = () => {
-    const cands = D.candidates, anforas = D.anforas, results = D.results;
-    const totalHab = TOTAL_HABILITADOS;
-    const votesByCand = {};
-    cands.forEach(c => { votesByCand[c.id]=0; });
-    let blancos=0, nulos=0, processed=0;
-    anforas.forEach(a => {
-      const r=results[a.id]; if(!r) return;
-      processed++;
-      blancos += r.blancos||0;
-      nulos   += r.nulos||0;
-      cands.forEach(c => { votesByCand[c.id]=(votesByCand[c.id]||0)+(r[c.id]||0); });
+  const sameVotes = (a, b) => {
+    const keys = new Set([...Object.keys(a||{}), ...Object.keys(b||{})]);
+    return [...keys].every(k => ((a||{})[k]||0)===((b||{})[k]||0));
+  };
+
+  // Historial de actas: solo se agrega, nunca se modifica ni se borra
+  const _log = (anforaId, prev, next, operator, reason, cargoId=cargo) => {
+    const a = D.anforas.find(a=>a.id===anforaId);
+    const hist = D.history[cargoId] || (D.history[cargoId] = {});
+    if (!hist[anforaId]) hist[anforaId] = [];
+    const entry = {
+      ts:new Date().toISOString(), num:a?a.num:'', operator:operator||'—', reason:reason||'',
+      prev:prev?{...prev}:null, next:next?{...next}:null,
+    };
+    hist[anforaId].push(entry);
+    return entry;
+  };
+
+  /* ── Sincronización (ver Sync) ── */
+  // Cada mesa que cambia en este equipo se avisa al cliente de sincronización;
+  // las que llegan de otros equipos entran por applyRemote y no se vuelven a avisar.
+  let _onResult = null;
+  const onResult = fn => { _onResult = fn; };
+  const _emit = (anforaId, result, entry, cargoId=cargo) => { if (_onResult) _onResult({ cargoId, anforaId, result:result?{ ...result }:null, entry }); };
+  // Los cambios de catálogo y configuración se avisan para publicarlos (ver _record)
+  let _onCatalog = null;
+  const onCatalog = fn => { _onCatalog = fn; };
+  const CATALOGO = [...SELLADOS, 'settings'];
+
+  const applyRemote = ({ cargoId, anforaId, result, entry }) => {
+    if (!D.cargos.some(c=>c.id===cargoId) || !D.anforas.some(a=>a.id===anforaId)) return { ok:false, error:'Mesa o cargo desconocido.' };
+    if (!D.results[cargoId]) D.results[cargoId] = {};
+    // El estado de la mesa llega aparte (applyEstado), tal como lo registró el otro equipo
+    if (result) D.results[cargoId][anforaId] = { ...result };
+    else delete D.results[cargoId][anforaId];
+    if (entry) {
+      const h = D.history[cargoId] || (D.history[cargoId] = {});
+      (h[anforaId] = h[anforaId] || []).push({ ...entry });
+    }
+    persist();
+    return { ok:true };
+  };
+
+  // Historial de otro equipo: se agregan las entradas que falten (misma hora y operador = misma entrada)
+  const histKey = e => `${e.ts}|${e.operator}`;
+  const _mergeHistory = (cargoId, anforaId, entries) => {
+    const h = D.history[cargoId] || (D.history[cargoId] = {}), log = h[anforaId] || [], have = new Set(log.map(histKey));
+    const nuevas = (entries||[]).filter(e => !have.has(histKey(e)));
+    if (nuevas.length) h[anforaId] = [...log, ...nuevas].sort((a,b) => a.ts<b.ts ? -1 : a.ts>b.ts ? 1 : 0);
+  };
+
+  // Reconexión con los mismos ids: historial y estados se combinan; votos, digitaciones y deshacer no se tocan
+  const mergeLogs = data => {
+    Object.entries(data.history||{}).forEach(([cargoId, byAnf]) => {
+      if (D.cargos.some(c=>c.id===cargoId)) Object.entries(byAnf).forEach(([anforaId, entries]) => _mergeHistory(cargoId, anforaId, entries));
+    });
+    Object.entries(data.estados||{}).forEach(([anforaId, log]) => { if (D.anforas.some(a=>a.id===anforaId)) _mergeEstados(anforaId, log); });
+    persist();
+  };
+
+  const applyEstado = ({ anforaId, entry }) => {
+    if (!D.anforas.some(a=>a.id===anforaId)) return { ok:false, error:'Mesa desconocida.' };
+    if (_mergeEstados(anforaId, [entry])) persist();
+    return { ok:true };
+  };
+
+  // Catálogo del servidor (mismos ids): por elemento gana el sello más reciente (ver _sellar), como
+  // en el servidor. Resultados, digitaciones y la configuración propia del equipo (DEVICE_SETTINGS) no se tocan.
+  const mergeCatalog = data => {
+    const llegan = data.sellos || {}, copy = x => JSON.parse(JSON.stringify(x));
+    const gana = (k, id) => (llegan[k]?.[id]?.ts || '') > (D.sellos[k]?.[id]?.ts || '');
+    const nueva = (k, id) => !D.sellos[k]?.[id]?.borrado || gana(k, id);
+    SELLADOS.forEach(k => {
+      if (Array.isArray(D[k])) (data[k]||[]).forEach(x => {
+        const i = D[k].findIndex(y=>y.id===x.id);
+        if (i<0 && nueva(k, x.id)) D[k].push(copy(x));
+        else if (i>=0 && gana(k, x.id)) D[k][i] = copy(x);
+      });
+      else Object.entries(data[k]||{}).forEach(([id, v]) => { if (id in D[k] ? gana(k, id) : nueva(k, id)) D[k][id] = copy(v); });
+    });
+    Object.entries(llegan).forEach(([k, ids]) => Object.keys(ids).forEach(id => { if (gana(k, id)) (D.sellos[k] = D.sellos[k] || {})[id] = { ...ids[id] }; }));
+    const borrado = (k, id) => D.sellos[k]?.[id]?.borrado;
+    SELLADOS.forEach(k => {
+      if (Array.isArray(D[k])) D[k] = D[k].filter(x=>!borrado(k, x.id));
+      else Object.keys(D[k]).forEach(id => { if (borrado(k, id)) delete D[k][id]; });
     });
-    const totalValidos = Object.values(votesByCand).reduce((s,v)=>s+v,0);
-    const totalEmitido = totalValidos + blancos + nulos;
-    const sorted = [...cands].map(c=>({...c, votes:votesByCand[c.id]||0})).sort((a,b)=>b.votes-a.votes);
-    const participacion = totalHab>0 ? totalEmitido/totalHab*100 : 0;
+    if (data.settings) {
+      const propia = Object.fromEntries(DEVICE_SETTINGS.map(k=>[k, D.settings[k]]));
+      D.settings = copy(data.settings);
+      DEVICE_SETTINGS.forEach(k => { if (propia[k]===undefined) delete D.settings[k]; else D.settings[k] = propia[k]; });
+    }
+    _fillCirc();
+    _pickCargo();
+    persist();
+  };
+
+  const saveResult = (anforaId, votes, meta={}) => {
+    const prev = getResult(anforaId);
+    if (prev && sameVotes(prev, votes)) return { ok:true, unchanged:true };
+    const reason = (meta.reason||'').trim();
+    if (prev && !reason) return { ok:false, error:'Indica el motivo de la corrección: esta mesa ya tenía votos guardados.' };
+    const paths = [['results',cargo,anforaId], ['estados',anforaId]], before = _snap(paths);
+    byCargo('results')[anforaId] = votes;
+    const entry = _log(anforaId, prev, votes, meta.operator, reason);
+    _advance(anforaId, 'transcrita', meta.operator);
+    _record(`${prev?'Votos corregidos':'Votos guardados'}: mesa ${entry.num}`, paths, before, true);
+    persist();
+    _emit(anforaId, votes, entry);
+    return { ok:true };
+  };
+
+  const clearResult = (anforaId, meta={}) => {
+    const prev = getResult(anforaId);
+    if (!prev) return { ok:true };
+    if (!(meta.reason||'').trim()) return { ok:false, error:'Indica el motivo para borrar los votos de la mesa.' };
+    const paths = [['results',cargo,anforaId]], before = _snap(paths);
+    delete byCargo('results')[anforaId];
+    const entry = _log(anforaId, prev, null, meta.operator, meta.reason.trim());
+    _record(`Votos borrados: mesa ${entry.num}`, paths, before, true);
+    persist();
+    _emit(anforaId, null, entry);
+    return { ok:true };
+  };
+
+  const getHistory = anforaId => anforaId ? (byCargo('history')[anforaId] || []) : byCargo('history');
+
+  /* ── Elección anterior (por cargo) ── */
+  const getHistorico   = () => D.historico[cargo] || null;
+  const setHistorico = h => {
+    const paths = [['historico',cargo]], before = _snap(paths);
+    D.historico[cargo] = h;
+    _record(`Elección anterior importada: ${getCargo()?.name||''}`, paths, before);
+    persist();
+  };
+  const clearHistorico = () => {
+    const paths = [['historico',cargo]], before = _snap(paths);
+    delete D.historico[cargo];
+    _record(`Elección anterior quitada: ${getCargo()?.name||''}`, paths, before);
+    persist();
+  };
+
+  /* ── Configuración ── */
+  const getSettings = () => D.settings;
+  const setSetting  = (key, value, label=`Configuración: ${key}`) => {
+    const paths = [['settings',key]], before = _snap(paths);
+    D.settings[key]=value;
+    _record(label, paths, before);
+    persist();
+  };
+
+  /* ── Candidatura propia e identidad ── */
+  // settings.focus guarda, por cargo, el id del candidato destacado en paneles, TV y PDF
+  const getFocus = (cargoId=cargo) => {
+    const id = D.settings.focus?.[cargoId];
+    return D.candidates.find(c=>c.id===id && c.cargoId===cargoId) || null;
+  };
+
+  const setFocus = id => {
+    if (id && !getCandidates().some(c=>c.id===id)) return { ok:false, error:'Candidato no encontrado.' };
+    const paths = [D.settings.focus ? ['settings','focus',cargo] : ['settings','focus']], before = _snap(paths);
+    const focus = { ...D.settings.focus };
+    if (id) focus[cargo]=id; else delete focus[cargo];
+    D.settings.focus = focus;
+    _record(id ? `Candidatura propia: ${getFocus()?.name||''}` : 'Candidatura propia quitada', paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  const getBranding = () => ({ ...PRESET_BRANDING, ...D.settings.branding });
+
+  const setBranding = b => {
+    const next = { ...getBranding(), ...b };
+    ['titulo','sigla','subtitulo','municipio','anio'].forEach(k => { next[k]=String(next[k]||'').trim(); });
+    if (!next.titulo) return { ok:false, error:'El título no puede estar vacío.' };
+    if (next.anio && !/^\d{4}$/.test(next.anio)) return { ok:false, error:'El año debe tener 4 dígitos.' };
+    // Un paso por campo cambiado: editar un texto no copia las imágenes a la pila de deshacer
+    const cur = D.settings.branding;
+    const paths = cur ? Object.keys(next).filter(k=>next[k]!==cur[k]).map(k=>['settings','branding',k]) : [['settings','branding']], before = _snap(paths);
+    D.settings.branding = next;
+    _record('Identidad de campaña', paths, before);
+    persist();
+    return { ok:true };
+  };
+
+  // Datos sin candidatura propia: se marca el candidato preset destacado si sigue existiendo
+  const _pickFocus = () => {
+    if (D.settings.focus) return;
+    const preset = PRESET_CANDIDATES.find(p=>p.focus);
+    const focus = {};
+    D.candidates.forEach(c => { if (preset && c.name.toUpperCase()===preset.name && !focus[c.cargoId]) focus[c.cargoId]=c.id; });
+    D.settings.focus = focus;
+  };
+
+  /* ── Doble digitación ── */
+  // La 1ª digitación queda en D.pending; solo pasa a D.results cuando una 2ª,
+  // de otro operador, coincide exactamente o se resuelve la discrepancia.
+  const getPending = anforaId => anforaId ? (byCargo('pending')[anforaId] || null) : byCargo('pending');
+
+  const diffKeys = (a, b) => [...new Set([...Object.keys(a), ...Object.keys(b)])].filter(k => (a[k]||0)!==(b[k]||0));
+
+  const _commitVerified = (anforaId, votes, operator, reason) => {
+    const prev = getResult(anforaId);
+    const paths = [['results',cargo,anforaId], ['pending',cargo,anforaId], ['estados',anforaId]], before = _snap(paths);
+    delete byCargo('pending')[anforaId];
+    byCargo('results')[anforaId] = { ...votes };
+    const entry = _log(anforaId, prev, votes, operator, reason);
+    _advance(anforaId, 'verificada', operator);
+    _record(`Votos verificados: mesa ${entry.num}`, paths, before, true);
+    persist();
+    _emit(anforaId, votes, entry);
+    return { ok:true, status:'verified' };
+  };
+
+  const submitEntry = (anforaId, votes, meta={}) => {
+    const operator = (meta.operator||'').trim();
+    const ts = new Date().toISOString();
+    const p = getPending(anforaId);
+    if (!p) {
+      const prev = getResult(anforaId);
+      if (prev && sameVotes(prev, votes)) return { ok:true, status:'unchanged' };
+      const reason = (meta.reason||'').trim();
+      if (prev && !reason) return { ok:false, error:'Indica el motivo de la corrección: esta mesa ya tenía votos guardados.' };
+      const paths = [['pending',cargo,anforaId], ['estados',anforaId]], before = _snap(paths);
+      byCargo('pending')[anforaId] = { first:{ votes:{ ...votes }, operator, ts, reason } };
+      _advance(anforaId, 'transcrita', operator);
+      _record(`1ª digitación: mesa ${_num(anforaId)}`, paths, before);
+      persist();
+      return { ok:true, status:'pending' };
+    }
+    if (p.second) return { ok:false, error:'Esta mesa tiene una discrepancia sin resolver.' };
+    if (operator.toLowerCase()===p.first.operator.toLowerCase())
+      return { ok:false, error:'La verificación debe hacerla un operador distinto al de la 1ª digitación.' };
+    if (sameVotes(p.first.votes, votes))
+      return _commitVerified(anforaId, votes, `${p.first.operator} / ${operator}`, p.first.reason);
+    const paths = [['pending',cargo,anforaId]], before = _snap(paths);
+    p.second = { votes:{ ...votes }, operator, ts };
+    _record(`2ª digitación con diferencias: mesa ${_num(anforaId)}`, paths, before);
+    persist();
+    return { ok:true, status:'mismatch', cells:diffKeys(p.first.votes, votes) };
+  };
+
+  const resolveEntry = (anforaId, choice, meta={}) => {
+    const p = getPending(anforaId);
+    if (!p) return { ok:false, error:'La mesa no tiene digitaciones pendientes.' };
+    if (choice==='discard') {
+      const paths = [['pending',cargo,anforaId]], before = _snap(paths);
+      delete byCargo('pending')[anforaId];
+      _record(`Digitaciones descartadas: mesa ${_num(anforaId)}`, paths, before);
+      persist();
+      return { ok:true, status:'discarded' };
+    }
+    const operator = (meta.operator||'').trim();
+    if (!operator) return { ok:false, error:'Ingresa el nombre de quien resuelve la discrepancia.' };
+    const chosen = choice==='second' ? p.second : p.first;
+    if (!chosen) return { ok:false, error:'No hay 2ª digitación que usar.' };
+    const note = `Discrepancia resuelta por ${operator}: se usó la ${choice==='second'?'2ª':'1ª'} digitación`;
+    return _commitVerified(anforaId, chosen.votes, `${p.first.operator} / ${p.second?.operator||'—'}`, [p.first.reason, note].filter(Boolean).join(' · '));
+  };
+
+  /* ── Stats ── */
+  // Las mesas anuladas por el tribunal quedan fuera del cómputo (siguen visibles en Ánforas).
+  // only: Set de ids de mesa para limitar el cómputo a un territorio (ver getTree)
+  const getStats = only => {
+    const inScope = id => !isAnulada(id) && (!only || only.has(id));
+    const cands = getCandidates(), anforas = D.anforas.filter(a=>inScope(a.id));
+    const keep = m => Object.fromEntries(Object.entries(m).filter(([id])=>inScope(id)));
+    const results = keep(byCargo('results')), pending = keep(byCargo('pending'));
+    const habByAnfora = getHabMap();
+    const totalHab = anforas.reduce((s,a)=>s+(habByAnfora[a.id]||0),0);
+
+    // Solo cuentan las mesas verificadas (D.results)
+    const tally = resMap => {
+      const votesByCand = {};
+      cands.forEach(c => { votesByCand[c.id]=0; });
+      let blancos=0, nulos=0, processed=0, habProcesados=0;
+      anforas.forEach(a => {
+        const r=resMap[a.id]; if(!r) return;
+        processed++;
+        habProcesados += habByAnfora[a.id]||0;
+        blancos += r.blancos||0;
+        nulos   += r.nulos||0;
+        cands.forEach(c => { votesByCand[c.id]=(votesByCand[c.id]||0)+(r[c.id]||0); });
+      });
+      const totalValidos = Object.values(votesByCand).reduce((s,v)=>s+v,0);
+      const sorted = [...cands].map(c=>({...c, votes:votesByCand[c.id]||0})).sort((a,b)=>b.votes-a.votes);
+      return { votesByCand, blancos, nulos, processed, habProcesados, totalValidos, totalEmitido:totalValidos+blancos+nulos, sorted };
+    };
+    const { votesByCand, blancos, nulos, processed, habProcesados, totalValidos, totalEmitido, sorted } = tally(results);
+
+    // Provisional: suma la 1ª digitación de las mesas que aún no tienen resultado verificado
+    const pendingOnly = {};
+    Object.entries(pending).forEach(([id,p]) => { if (!results[id]) pendingOnly[id]=p.first.votes; });
+    const provisional = { ...tally({ ...pendingOnly, ...results }), pendientes:Object.keys(pending).length };
+    // Participación sobre los habilitados de las mesas ya computadas
+    const participacion = habProcesados>0 ? totalEmitido/habProcesados*100 : 0;
 
     // By zona
     const byZona = {};
     anforas.forEach(a => {
       const r=results[a.id]; if(!r) return;
       const z = a.ubicacion || 'Sin zona';
-      if (!byZona[z]) byZona[z] = { zona:z, anforas:[], votesTotal:0, byCand:{} };
+      if (!byZona[z]) byZona[z] = { zona:z, anforas:[], votesTotal:0, emitido:0, hab:0, byCand:{} };
       byZona[z].anforas.push(a);
+      byZona[z].emitido += (r.blancos||0)+(r.nulos||0);
+      byZona[z].hab     += habByAnfora[a.id]||0;
       cands.forEach(c => {
         byZona[z].byCand[c.id] = (byZona[z].byCand[c.id]||0)+(r[c.id]||0);
         byZona[z].votesTotal   += (r[c.id]||0);
+        byZona[z].emitido      += (r[c.id]||0);
       });
     });
 
-    // MTS specific
-    const mtsCandidate = cands.find(c=>c.name.toUpperCase()===MTS_CANDIDATE_NAME);
-    const mtsVotes = mtsCandidate ? (votesByCand[mtsCandidate.id]||0) : 0;
-    const mtsPosition = mtsCandidate ? (sorted.findIndex(c=>c.id===mtsCandidate.id)+1) : 0;
-    const mtsAnforasLeading = processed>0 ? anforas.filter(a=>{
-      const r=results[a.id]; if(!r||!mtsCandidate) return false;
-      const mtsV=r[mtsCandidate.id]||0;
-      return cands.every(c=>c.id===mtsCandidate.id || (r[c.id]||0)<=mtsV);
+    // Candidatura propia (settings.focus)
+    const focusCandidate = getFocus();
+    const focusVotes = focusCandidate ? (votesByCand[focusCandidate.id]||0) : 0;
+    const focusPosition = focusCandidate ? (sorted.findIndex(c=>c.id===focusCandidate.id)+1) : 0;
+    const focusAnforasLeading = processed>0 && focusCandidate ? anforas.filter(a=>{
+      const r=results[a.id]; if(!r) return false;
+      const fv=r[focusCandidate.id]||0;
+      return cands.every(c=>c.id===focusCandidate.id || (r[c.id]||0)<=fv);
     }).length : 0;
 
     return {
-      sorted, cands, anforas, results,
-      totalValidos, blancos, nulos, totalEmitido, totalHab,
-      participacion, processed, faltantes:anforas.length-processed,
-      byZona, mtsCandidate, mtsVotes, mtsPosition, mtsAnforasLeading
+      cargo:getCargo(), sorted, cands, anforas, results,
+      totalValidos, blancos, nulos, totalEmitido, totalHab, habByAnfora, habProcesados,
+      participacion, processed, faltantes:anforas.length-processed, anuladas:D.anforas.length-anforas.length, provisional,
+      byZona, focusCandidate, focusVotes, focusPosition, focusAnforasLeading
+    };
+  };
+
+  /* ── Evolución del cómputo ── */
+  // Cada cambio de resultado queda en el historial con su hora: se reproduce en orden de llegada
+  // para obtener el acumulado tras cada acta. Las mesas con resultado pero sin historial
+  // (datos anteriores al historial) se cuentan desde el inicio; las anuladas no cuentan.
+  const getSeries = () => {
+    const cands = getCandidates(), results = byCargo('results'), hist = byCargo('history');
+    const known = new Set(D.anforas.filter(a=>!isAnulada(a.id)).map(a=>a.id));
+    const numOf = id => D.anforas.find(a=>a.id===id)?.num || '';
+    const cur = {};
+    Object.entries(results).forEach(([id,r]) => { if (known.has(id) && !hist[id]?.length) cur[id]=r; });
+    const events = Object.entries(hist)
+      .filter(([id]) => known.has(id))
+      .flatMap(([id, list]) => list.map(e => ({ id, ts:e.ts, next:e.next })))
+      .sort((a,b) => a.ts<b.ts ? -1 : a.ts>b.ts ? 1 : 0);
+
+    const point = (ts, num) => {
+      const byCand = {}, share = {}, lead = {};
+      cands.forEach(c => { byCand[c.id] = Object.values(cur).reduce((t,r)=>t+(r[c.id]||0),0); });
+      const validos = Object.values(byCand).reduce((t,v)=>t+v,0);
+      cands.forEach(c => { share[c.id] = validos ? byCand[c.id]/validos*100 : 0; });
+      // Ventaja: puntos porcentuales sobre el mejor de los demás (negativa si va detrás)
+      cands.forEach(c => { lead[c.id] = share[c.id] - Math.max(0, ...cands.filter(o=>o.id!==c.id).map(o=>share[o.id])); });
+      return { ts, num, mesas:Object.keys(cur).length, validos, byCand, share, lead };
+    };
+    const points = Object.keys(cur).length ? [point(null, '')] : [];
+    events.forEach(e => {
+      if (e.next) cur[e.id] = e.next; else delete cur[e.id];
+      points.push(point(e.ts, numOf(e.id)));
+    });
+    return { cands, points };
+  };
+
+  /* ── Jerarquía territorial ── */
+  // municipio → circunscripción → asiento (ubicación) → recinto → mesa. Cada nodo suma lo
+  // verificado de sus mesas; las anuladas siguen en el árbol pero no cuentan, como en getStats.
+  const TREE_LEVELS = [
+    { level:'circ',    of:a => a.circ ? `Circunscripción ${a.circ}` : 'Sin circunscripción' },
+    { level:'asiento', of:a => a.ubicacion || 'Sin asiento' },
+    { level:'recinto', of:a => a.recinto },
+    { level:'mesa',    of:a => `Mesa ${a.num}` },
+  ];
+
+  const getTree = () => {
+    const cands = getCandidates(), results = byCargo('results'), hab = getHabMap();
+    const node = (level, key, name) => ({ level, key, name, children:[], ids:[], mesas:0, processed:0, hab:0, habProcesados:0, emitido:0, validos:0, byCand:{} });
+    const root = node('municipio', '', getBranding().municipio ? `Municipio de ${getBranding().municipio}` : 'Municipio');
+    D.anforas.forEach(a => {
+      const path = [root];
+      TREE_LEVELS.forEach(l => {
+        const parent = path.at(-1), name = l.of(a), key = `${parent.key}\n${name}`;
+        let n = parent.children.find(x=>x.key===key);
+        if (!n) {
+          parent.children.push(n = node(l.level, key, name));
+          if (l.level==='recinto') n.recintoKey = recintoKey(a);
+        }
+        path.push(n);
+      });
+      const leaf = path.at(-1), r = results[a.id], h = hab[a.id]||0;
+      leaf.anforaId = a.id; leaf.anulada = isAnulada(a.id);
+      path.forEach(n => {
+        n.ids.push(a.id);
+        if (leaf.anulada) return;
+        n.mesas++; n.hab += h;
+        if (!r) return;
+        n.processed++; n.habProcesados += h;
+        n.emitido += (r.blancos||0)+(r.nulos||0);
+        cands.forEach(c => { const v=r[c.id]||0; n.byCand[c.id]=(n.byCand[c.id]||0)+v; n.validos+=v; n.emitido+=v; });
+      });
+    });
+    const finish = n => {
+      const top = cands.reduce((best,c) => (n.byCand[c.id]||0)>(n.byCand[best?.id]||0) ? c : best, null);
+      n.winner   = top && n.byCand[top.id]>0 ? top : null;
+      n.progress = n.mesas ? n.processed/n.mesas*100 : 0;
+      n.turnout  = n.habProcesados ? n.emitido/n.habProcesados*100 : 0;
+      n.children.forEach(finish);
+    };
+    finish(root);
+    return root;
+  };
+
+  // Nodo por clave y el camino desde la raíz; sin coincidencia (mesa borrada) vuelve a la raíz
+  const findNode = (tree, key) => {
+    const path = [tree];
+    while (path.at(-1).key!==key) {
+      const next = path.at(-1).children.find(c => key.startsWith(c.key+'\n') || key===c.key);
+      if (!next) return [tree];
+      path.push(next);
+    }
+    return path;
+  };
+
+  /* ── Deshacer / rehacer ── */
+  // Cada cambio guarda las partes de D que toca, antes y después. Un tramo es una ruta:
+  // ['results', cargoId, anforaId] o, en listas, ['anforas', '#id'] (el elemento y su posición).
+  // El historial de actas no se reescribe: deshacer agrega su propia entrada en cada mesa que cambia.
+  const UNDO_MAX = 50;
+  let _undo = [], _redo = [];
+
+  const _get = path => {
+    let o = D;
+    for (const k of path) {
+      if (o==null) return undefined;
+      if (Array.isArray(o)) { const i = o.findIndex(x=>x.id===k.slice(1)); return i<0 ? undefined : { i, v:o[i] }; }
+      o = o[k];
+    }
+    return o;
+  };
+
+  const _set = (path, v) => {
+    const last = path.at(-1), parent = path.slice(0,-1).reduce((o,k)=>o && (o[k] || (v==null ? undefined : (o[k]={}))), D);
+    if (!parent) return;
+    if (!Array.isArray(parent)) { if (v==null) delete parent[last]; else parent[last] = v; return; }
+    const i = parent.findIndex(x=>x.id===last.slice(1));
+    if (i>=0) parent.splice(i, 1);
+    if (v) parent.splice(Math.min(v.i, parent.length), 0, v.v);
+  };
+
+  // Fotos de actas: en la pila queda una referencia y la imagen se guarda una sola vez
+  // en _fotos (Storage.saveUndoFotos), que solo se reescribe cuando entra o sale una foto
+  let _fotos = {}, _fotosDirty = false;
+  const _fotoRef = f => /^data:/.test(f.src) ? `${f.ts}:${f.src.length}` : f.src;
+  const _pack = f => {
+    if (!f) return f;
+    const ref = _fotoRef(f);
+    if (ref!==f.src && !_fotos[ref]) { _fotos[ref] = f.src; _fotosDirty = true; }
+    return { ...f, src:ref };
+  };
+  const _unpack = f => f && _fotos[f.src] ? { ...f, src:_fotos[f.src] } : f;
+  const _mapFotos = (fotos, fn) => Object.fromEntries(Object.entries(fotos||{}).map(([id,f]) => [id, fn(f)]));
+
+  const _snap = paths => paths.map(p => {
+    const v = _get(p);
+    if (v===undefined) return null;
+    return p[0]==='fotos' ? _pack(v) : JSON.parse(JSON.stringify(v));
+  });
+  // En las listas cuenta el elemento, no su posición; de una foto, su referencia;
+  // del registro de estados, el estado vigente (deshacer agrega una entrada, no borra)
+  const _same = (path, a, b) => {
+    const v = x => {
+      x = path.at(-1)[0]==='#' ? x?.v : x;
+      if (path[0]==='estados') return x?.length ? x.at(-1).estado : 'pendiente';
+      return JSON.stringify((path[0]==='fotos' && x ? { ...x, src:_fotoRef(x) } : x) ?? null);
     };
+    return v(a)===v(b);
+  };
+
+  const _num = anforaId => D.anforas.find(a=>a.id===anforaId)?.num || anforaId;
+
+  const _saveUndo = () => {
+    Storage.saveUndo({ undo:_undo, redo:_redo });
+    const live = new Set();
+    [..._undo, ..._redo].forEach(c => {
+      if (c.reset) [c.data, c.next].forEach(d => Object.values(d?.fotos||{}).forEach(f => live.add(f.src)));
+      else c.paths.forEach((p,i) => { if (p[0]==='fotos') [c.before[i], c.after[i]].forEach(f => f && live.add(f.src)); });
+    });
+    Object.keys(_fotos).forEach(ref => { if (!live.has(ref)) { delete _fotos[ref]; _fotosDirty = true; } });
+    if (_fotosDirty) { Storage.saveUndoFotos(_fotos); _fotosDirty = false; }
+  };
+
+  // sync: el cambio se avisó a la sincronización, y deshacerlo también se avisa
+  const _record = (label, paths, before, sync=false) => {
+    const after = _snap(paths);
+    const changed = paths.filter((p,i) => !_same(p, before[i], after[i]));
+    if (!changed.length) return;
+    _touch(changed);
+    _undo.push({ label, ts:new Date().toISOString(), paths, before, after, sync });
+    if (_undo.length>UNDO_MAX) _undo.shift();
+    _redo = [];
+    _saveUndo();
+  };
+
+  // Sella lo que cambió del catálogo y avisa a la sincronización
+  const _touch = paths => {
+    paths.filter(_sellable).forEach(_sellarPath);
+    if (_onCatalog && paths.some(p=>CATALOGO.includes(p[0]))) _onCatalog();
+  };
+
+  const getUndo = () => ({ undo:_undo.at(-1)?.label || null, redo:_redo.at(-1)?.label || null });
+
+  // operator: quien deshace o rehace, para el historial de la mesa
+  const _step = (from, to, verb, operator) => {
+    const cmd = from.pop();
+    if (!cmd) return { ok:false, error:`No hay nada que ${verb.toLowerCase()}.` };
+    if (cmd.reset) {
+      const data = verb==='Deshacer' ? cmd.data : cmd.next;
+      if (data) {
+        D = { ...empty(), ...JSON.parse(JSON.stringify(data)) };
+        D.fotos = _mapFotos(D.fotos, _unpack);
+        _pickCargo(); persist();
+      }
+      else { D = empty(); Storage.clear(); _pickCargo(); }
+    } else {
+      const [want, put] = verb==='Deshacer' ? [cmd.after, cmd.before] : [cmd.before, cmd.after];
+      // Otro equipo o una acción sin deshacer tocó lo mismo después: ese paso ya no se puede reponer
+      if (!cmd.paths.every((p,i) => _same(p, _get(p), want[i]))) {
+        _saveUndo();
+        return { ok:false, error:`No se puede ${verb.toLowerCase()} "${cmd.label}": esos datos cambiaron después.` };
+      }
+      cmd.paths.forEach((p,i) => {
+        // Mesa que sigue existiendo: se registra la vuelta al estado anterior, que también se sincroniza
+        if (p[0]==='estados' && D.estados[p[1]] && D.anforas.some(a=>a.id===p[1])) {
+          const target = put[i]?.at(-1)?.estado || 'pendiente';
+          if (getEstado(p[1])!==target) _pushEstado(p[1], target, operator || 'Sistema', `${verb}: ${cmd.label}`);
+          return;
+        }
+        const prev = p[0]==='results' ? _get(p) || null : null;
+        const v = put[i] && JSON.parse(JSON.stringify(put[i]));
+        _set(p, p[0]==='fotos' ? _unpack(v) : v);
+        if (p[0]!=='results') return;
+        const [, cargoId, anforaId] = p, next = _get(p) || null;
+        if (!D.anforas.some(a=>a.id===anforaId) || !D.cargos.some(c=>c.id===cargoId) || (!prev===!next && sameVotes(prev, next))) return;
+        const entry = _log(anforaId, prev, next, operator || 'Sistema', `${verb}: ${cmd.label}`, cargoId);
+        if (cmd.sync) _emit(anforaId, next, entry, cargoId);
+      });
+      _touch(cmd.paths.filter((p,i) => !_same(p, want[i], put[i])));
+      persist();
+    }
+    to.push(cmd);
+    _saveUndo();
+    return { ok:true, label:cmd.label };
   };
 
+  const undo = ({ operator }={}) => _step(_undo, _redo, 'Deshacer', operator);
+  const redo = ({ operator }={}) => _step(_redo, _undo, 'Rehacer', operator);
+
   /* ── Init / Reset ── */
   const init = () => {
     const s = Storage.load();
     if (s) {
-      D = { candidates:[], anforas:[], results:{}, ...s };
+      D = { ...empty(), ...upgrade(s) };
+      _fillCirc();
+      if (!s.padron) _applyNormalize(_normalize());
+      _pickFocus();
+      if (!s.cargos) persist();
     } else {
-      // Primer arranque: cargar candidatos y ánforas preset
+      // Primer arranque: cargar cargos, candidatos y ánforas preset
       _loadPresets();
     }
+    _pickCargo();
+    const u = Storage.loadUndo();
+    _undo = u?.undo || []; _redo = u?.redo || [];
+    _fotos = Storage.loadUndoFotos() || {};
   };
 
   const _loadPresets = () => {
-    PRESET_CANDIDATES.forEach(p => {
+    PRESET_CARGOS.forEach(p => D.cargos.push({ id:uid(), ...p }));
+    D.settings.focus = {};
+    PRESET_CANDIDATES.forEach(({ focus, ...p }) => {
       const id = uid();
-      D.candidates.push({ id, ...p });
+      D.candidates.push({ id, cargoId:D.cargos[0].id, ...p });
+      if (focus) D.settings.focus[D.cargos[0].id]=id;
     });
     PRESET_ANFORAS.forEach(p => {
       const id = uid();
       D.anforas.push({ id, ...p });
     });
+    _applyNormalize(_normalize());
     persist();
   };
 
-  const reset = () => { D={candidates:[],anforas:[],results:{}}; Storage.clear(); };
+  // Paso que cambia todos los datos a la vez (reinicio, respaldo, conexión): guarda los datos
+  // completos de antes y, para rehacer, los de después (next); sin next, rehacer vuelve a vaciar
+  const _recordAll = (label, data, next) => {
+    const pack = d => ({ ...d, fotos:_mapFotos(d.fotos, _pack) });
+    _undo.push({ label, ts:new Date().toISOString(), reset:true, data:pack(data), ...(next ? { next:pack(next) } : {}) });
+    if (_undo.length>UNDO_MAX) _undo.shift();
+    _redo = [];
+    _saveUndo();
+  };
+
+  const reset = () => {
+    _recordAll('Datos reiniciados', exportData());
+    D=empty(); Storage.clear(); _pickCargo();
+  };
+
+  // Agrega varias mesas como un solo paso de deshacer: los recintos de keys se normalizan
+  // (normalizePadron) y los datos se guardan una sola vez
+  const _insertAnforas = (nuevas, keys, label) => {
+    if (!nuevas.length) return;
+    D.anforas.push(...nuevas);
+    const groups = _normalize(keys), ids = new Set(nuevas.map(a=>a.id));
+    const paths = [...new Map([...nuevas.map(a=>['anforas','#'+a.id]), ..._normalizePaths(groups)].map(p=>[p.join('/'), p])).values()];
+    const before = _snap(paths).map((v,i) => paths[i][0]==='anforas' && ids.has(paths[i][1].slice(1)) ? null : v);
+    _applyNormalize(groups);
+    _record(label, paths, before);
+    persist();
+  };
 
   const loadAnforas = () => {
     const existing = new Set(D.anforas.map(a=>a.num));
-    let added=0;
-    PRESET_ANFORAS.forEach(p => {
-      if (!existing.has(p.num)) {
-        D.anforas.push({ id:uid(), ...p });
-        added++;
-      }
-    });
-    persist();
-    return added;
+    const nuevas = PRESET_ANFORAS.filter(p=>!existing.has(p.num)).map(p => ({ id:uid(), ...p }));
+    _insertAnforas(nuevas, nuevas.map(recintoKey), `Mesas del padrón preset: ${nuevas.length}`);
+    return nuevas.length;
   };
 
-  return { getCandidates, addCandidate, editCandidate, deleteCandidate, getAnforas, addAnfora, editAnfora, deleteAnfora, getResult, saveResult, clearResult, getStats, init, reset, loadAnforas };
+  // Importación del padrón: las filas válidas entran juntas; solo se normalizan los recintos nuevos
+  const importAnforas = rows => {
+    const known = new Set(getRecintos().map(g=>g.key)), nums = new Set(D.anforas.map(a=>a.num)), nuevas = [];
+    rows.forEach(r => {
+      const v = _anforaData(r.num, r.recinto, r.ubicacion, r.enc1, r.enc2, r.habilitados, r.circ, n => nums.has(n));
+      if (v.error) return;
+      nums.add(v.anfora.num);
+      nuevas.push(v.anfora);
+    });
+    _insertAnforas(nuevas, nuevas.map(recintoKey).filter(k=>!known.has(k)), `Padrón importado: ${nuevas.length} mesas`);
+    return nuevas.length;
+  };
+
+  /* ── Respaldo ── */
+  const exportData = () => JSON.parse(JSON.stringify(D));
+
+  // Los pasos anteriores siguen en la pila: deshacer el reemplazo repone los datos a los que se refieren
+  const replaceData = (data, label='Datos reemplazados') => {
+    const prev = exportData();
+    D = { ...empty(), ...upgrade(JSON.parse(JSON.stringify(data))) };
+    _fillCirc();
+    if (!data.padron) _applyNormalize(_normalize());
+    _pickFocus();
+    _pickCargo();
+    _recordAll(label, prev, exportData());
+    persist();
+  };
+
+  // Empareja el respaldo (ya en formato por cargo) con los datos actuales: cargos por id
+  // o nombre, candidatos por id o nombre dentro del cargo, mesas por id o código.
+  // En conflicto de resultados se conserva el local.
+  const planMerge = data => {
+    const plan = { cargoNew:[], candNew:[], anfNew:[], resNew:[], resConflict:[], resSame:0, cargoMap:{}, candMap:{}, anfMap:{} };
+    data.cargos.forEach(ic => {
+      const lc = D.cargos.find(c=>c.id===ic.id) || D.cargos.find(c=>c.name.toLowerCase()===ic.name.toLowerCase());
+      if (!lc) { plan.cargoNew.push(ic); plan.cargoMap[ic.id]=ic.id; return; }
+      plan.cargoMap[ic.id]=lc.id;
+    });
+    data.candidates.forEach(ic => {
+      const cid = plan.cargoMap[ic.cargoId];
+      if (!cid) return;
+      const lc = D.candidates.find(c=>c.id===ic.id) || D.candidates.find(c=>c.cargoId===cid && c.name.toLowerCase()===ic.name.toLowerCase());
+      if (!lc) { plan.candNew.push({ ...ic, cargoId:cid }); plan.candMap[ic.id]=ic.id; return; }
+      plan.candMap[ic.id]=lc.id;
+    });
+    data.anforas.forEach(ia => {
+      const la = D.anforas.find(a=>a.id===ia.id) || D.anforas.find(a=>a.num===ia.num);
+      if (!la) { plan.anfNew.push(ia); plan.anfMap[ia.id]=ia.id; return; }
+      plan.anfMap[ia.id]=la.id;
+    });
+    Object.entries(data.results).forEach(([icId, byAnf]) => {
+      const cid = plan.cargoMap[icId];
+      const ic = data.cargos.find(c=>c.id===icId);
+      if (!cid || !ic) return;
+      Object.entries(byAnf).forEach(([iaId, ir]) => {
+        const anfId = plan.anfMap[iaId];
+        const anf = data.anforas.find(a=>a.id===iaId);
+        if (!anfId || !anf) return;
+        const mapped = {};
+        Object.entries(ir).forEach(([k,v]) => { mapped[plan.candMap[k]||k]=v; });
+        const lr = D.results[cid]?.[anfId];
+        const ref = { cargoId:cid, cargo:ic.name, anforaId:anfId, num:anf.num };
+        if (!lr) { plan.resNew.push({ ...ref, result:mapped }); return; }
+        if (sameVotes(lr, mapped)) plan.resSame++;
+        else plan.resConflict.push({ ...ref, local:lr, incoming:mapped });
+      });
+    });
+    return plan;
+  };
+
+  const mergeData = (data, label='Respaldo combinado') => {
+    const prev = exportData(), plan = planMerge(data);
+    plan.cargoNew.forEach(c => D.cargos.push({ ...c }));
+    plan.candNew.forEach(c => D.candidates.push({ ...c }));
+    plan.anfNew.forEach(a => D.anforas.push({ ...a }));
+    _fillCirc();
+    plan.resNew.forEach(r => {
+      if (!D.results[r.cargoId]) D.results[r.cargoId] = {};
+      D.results[r.cargoId][r.anforaId] = { ...r.result };
+    });
+    Object.entries(data.padron||{}).forEach(([k,v]) => { if (!D.padron[k]) D.padron[k]=v; });
+    Object.entries(data.geo||{}).forEach(([k,v]) => { if (!D.geo[k]) D.geo[k]=v; });
+    Object.entries(data.historico||{}).forEach(([icId,h]) => { const cid=plan.cargoMap[icId]; if (cid && !D.historico[cid]) D.historico[cid]=h; });
+    (data.delegados||[]).forEach(d => { if (!D.delegados.some(x=>x.id===d.id || x.nombre.toLowerCase()===d.nombre.toLowerCase())) D.delegados.push({ ...d }); });
+    Object.entries(data.estados||{}).forEach(([iaId,log]) => { const anfId=plan.anfMap[iaId]; if (anfId) _mergeEstados(anfId, log); });
+    Object.entries(data.fotos||{}).forEach(([iaId,f]) => { const anfId=plan.anfMap[iaId]; if (anfId && !D.fotos[anfId]) D.fotos[anfId]=f; });
+    Object.entries(data.settings?.focus||{}).forEach(([icId,fid]) => {
+      const cid=plan.cargoMap[icId];
+      if (cid && !getFocus(cid)) D.settings.focus = { ...D.settings.focus, [cid]:plan.candMap[fid]||fid };
+    });
+    Object.entries(data.settings?.actaOrder||{}).forEach(([icId,ids]) => {
+      const cid=plan.cargoMap[icId];
+      if (cid && !D.settings.actaOrder?.[cid]) D.settings.actaOrder = { ...D.settings.actaOrder, [cid]:ids.map(id=>plan.candMap[id]||id) };
+    });
+    const remap = v => { if (!v) return v; const o={}; Object.entries(v).forEach(([k,x]) => { o[plan.candMap[k]||k]=x; }); return o; };
+    Object.entries(data.history||{}).forEach(([icId, byAnf]) => {
+      const cid = plan.cargoMap[icId];
+      if (!cid) return;
+      Object.entries(byAnf).forEach(([iaId, entries]) => {
+        const anfId = plan.anfMap[iaId];
+        if (anfId) _mergeHistory(cid, anfId, entries.map(e => ({ ...e, prev:remap(e.prev), next:remap(e.next) })));
+      });
+    });
+    _recordAll(label, prev, exportData());
+    persist();
+    return { cargos:plan.cargoNew.length, candidates:plan.candNew.length, anforas:plan.anfNew.length, results:plan.resNew.length, conflicts:plan.resConflict.length };
+  };
+
+  return { getCargos, getCargo, setCargo, addCargo, renameCargo, setCargoSeats, deleteCargo, upgrade, getCandidates, getActaOrder, moveInActa, addCandidate, editCandidate, deleteCandidate, getAnforas, addAnfora, editAnfora, deleteAnfora, getDelegados, findDelegado, mesasDe, sinDelegado, addDelegado, editDelegado, deleteDelegado, asignarDelegado, getEstado, getEstadoLog, setEstado, isAnulada, getFoto, setFoto, clearFoto, getResult, saveResult, clearResult, getHistory, getHistorico, setHistorico, clearHistorico, getSettings, setSetting, getFocus, setFocus, getBranding, setBranding, getPending, submitEntry, resolveEntry, getStats, getSeries, getTree, findNode, init, reset, undo, redo, getUndo, loadAnforas, importAnforas, recintoKey, getRecintos, getHabMap, getHabilitados, setRecintoHabilitados, normalizePadron, getGeo, setGeo, exportData, replaceData, planMerge, mergeData, mergeLogs, sameVotes, onResult, applyRemote, onEstado, applyEstado, estadoKey, mergeCatalog, onCatalog };
+})();
+
+/* ════════════════════════════════════════════════════════
+   REGLAS DE CONSISTENCIA DEL ACTA
+════════════════════════════════════════════════════════ */
+const Rules = (() => {
+  const MIN_VALIDOS_UNANIME = 10;   // 100% a un candidato solo se observa con votos suficientes
+  const ALTA_PARTICIPACION  = 85;   // % sobre habilitados
+  const DESVIO_RECINTO      = 20;   // puntos de participación sobre el promedio del recinto
+
+  const has = v => v!==undefined && v!==null;
+
+  const totals = r => {
+    let validos=0;
+    State.getCandidates().forEach(c => { validos += r[c.id]||0; });
+    const blancos=r.blancos||0, nulos=r.nulos||0;
+    return { validos, blancos, nulos, emitido:validos+blancos+nulos };
+  };
+
+  // Participación promedio de las demás mesas procesadas del mismo recinto
+  const recintoAvg = (anforaId, hab) => {
+    const anf = State.getAnforas().find(a=>a.id===anforaId);
+    if (!anf) return null;
+    const key = State.recintoKey(anf);
+    const others = State.getAnforas().filter(a => a.id!==anforaId && State.recintoKey(a)===key && State.getResult(a.id) && hab[a.id]>0);
+    if (!others.length) return null;
+    return others.reduce((s,a)=>s+totals(State.getResult(a.id)).emitido/hab[a.id]*100,0) / others.length;
+  };
+
+  // Devuelve [{ level:'error'|'warn', msg }]: error = aritmética del acta, warn = valor atípico
+  const check = (anforaId, r, hab=State.getHabMap()) => {
+    const out = [];
+    const err  = msg => out.push({ level:'error', msg });
+    const warn = msg => out.push({ level:'warn',  msg });
+    const t = totals(r);
+    const h = hab[anforaId]||0;
+
+    if (has(r.votantes) && t.emitido!==r.votantes)
+      err(`Válidos + blancos + nulos (${t.emitido}) ≠ votantes (${r.votantes})`);
+    if (has(r.votantes) && has(r.noUtilizadas) && has(r.recibidas) && r.votantes+r.noUtilizadas!==r.recibidas)
+      err(`Votantes + no utilizadas (${r.votantes+r.noUtilizadas}) ≠ papeletas recibidas (${r.recibidas})`);
+    if (has(r.recibidas) && t.emitido>r.recibidas)
+      err(`Hay más votos (${t.emitido}) que papeletas recibidas (${r.recibidas})`);
+    if (has(r.votantes) && h>0 && r.votantes>h)
+      err(`Votantes (${r.votantes}) supera los habilitados (${h})`);
+
+    const top = Math.max(0, ...State.getCandidates().map(c=>r[c.id]||0));
+    if (t.validos>=MIN_VALIDOS_UNANIME && top===t.validos)
+      warn('Un solo candidato tiene el 100% de los votos válidos');
+    const part = h>0 ? t.emitido/h*100 : 0;
+    if (h>0 && t.blancos===0 && part>=ALTA_PARTICIPACION)
+      warn(`Cero votos en blanco con participación de ${part.toFixed(0)}%`);
+    const avg = h>0 ? recintoAvg(anforaId, hab) : null;
+    if (avg!==null && part-avg>DESVIO_RECINTO)
+      warn(`Participación ${part.toFixed(0)}% muy superior al promedio del recinto (${avg.toFixed(0)}%)`);
+    return out;
+  };
+
+  // Observaciones de todas las mesas con resultado: { anforaId: [...] }
+  const checkAll = () => {
+    const hab = State.getHabMap(), out = {};
+    State.getAnforas().forEach(a => {
+      const r = State.getResult(a.id); if (!r) return;
+      const issues = check(a.id, r, hab);
+      if (issues.length) out[a.id] = issues;
+    });
+    return out;
+  };
+
+  return { check, checkAll };
+})();
+
+/* ════════════════════════════════════════════════════════
+   REPARTO DE ESCAÑOS
+════════════════════════════════════════════════════════ */
+const Seats = (() => {
+  // Divisores por escaño ya obtenido: D'Hondt 1,2,3… · Sainte-Laguë 1,3,5…
+  const DIVISOR = {
+    'dhondt':       k => k+1,
+    'sainte-lague': k => 2*k+1,
+  };
+
+  // parties: [{ id, votes }]. Devuelve { seats:{id:n}, eligible:[id], quota?, remainder? }
+  const allocate = (parties, escanos, metodo='dhondt', umbral=0) => {
+    const total = parties.reduce((s,p)=>s+p.votes,0);
+    const seats = {};
+    parties.forEach(p => { seats[p.id]=0; });
+    // Umbral mínimo sobre votos válidos; en empate se prefiere al de más votos
+    const eligible = parties.filter(p => p.votes>0 && p.votes/total*100>=umbral).sort((a,b)=>b.votes-a.votes);
+    const out = { seats, eligible:eligible.map(p=>p.id), total };
+    if (!eligible.length || escanos<=0) return out;
+
+    if (metodo==='hare') {
+      const base = eligible.reduce((s,p)=>s+p.votes,0);
+      const quota = base/escanos;
+      const remainder = {};
+      eligible.forEach(p => { seats[p.id]=Math.floor(p.votes/quota); remainder[p.id]=p.votes-seats[p.id]*quota; });
+      let left = escanos - eligible.reduce((s,p)=>s+seats[p.id],0);
+      [...eligible].sort((a,b)=>remainder[b.id]-remainder[a.id] || b.votes-a.votes).forEach(p => { if (left>0) { seats[p.id]++; left--; } });
+      return { ...out, quota, remainder };
+    }
+
+    const div = DIVISOR[metodo];
+    for (let i=0; i<escanos; i++) {
+      let best = null, bestQ = -1;
+      eligible.forEach(p => { const q=p.votes/div(seats[p.id]); if (q>bestQ) { best=p; bestQ=q; } });
+      seats[best.id]++;
+    }
+    return out;
+  };
+
+  // Cocientes de cada partido para los divisores 1..escanos; won = el cociente obtuvo escaño
+  const quotients = (parties, escanos, metodo, result) => {
+    const div = DIVISOR[metodo];
+    const table = {};
+    parties.forEach(p => {
+      const ok = result.eligible.includes(p.id);
+      table[p.id] = Array.from({ length:escanos }, (_,k) => ({ d:div(k), q:p.votes/div(k), won:ok && k<result.seats[p.id] }));
+    });
+    return table;
+  };
+
+  // Escaños de un partido por resto mayor con x votos más, sin armar el reparto completo.
+  // Reproduce allocate() paso a paso (mismas cuentas y desempates) para dar el mismo resultado.
+  const hareSeats = (parties, escanos, umbral, id, x) => {
+    const vs = parties.map(p => p.id===id ? p.votes+x : p.votes);
+    const i = parties.findIndex(p=>p.id===id), total = vs.reduce((a,b)=>a+b,0);
+    if (!(vs[i]>0 && vs[i]/total*100>=umbral)) return 0;
+    const elig = vs.map(v => v>0 && v/total*100>=umbral);
+    const base = vs.reduce((s,v,j)=>elig[j]?s+v:s,0), quota = base/escanos;
+    let left = escanos, rank = 0;
+    const fl = vs.map((v,j) => { if (!elig[j]) return 0; const f=Math.floor(v/quota); left-=f; return f; });
+    const rem = vs.map((v,j)=>v-fl[j]*quota);
+    // Partidos que van antes en el orden de restos (a igual resto, más votos; a igualdad total, el primero de la lista)
+    vs.forEach((v,j) => {
+      if (!elig[j] || j===i) return;
+      if (rem[j]>rem[i] || (rem[j]===rem[i] && (v>vs[i] || (v===vs[i] && j<i)))) rank++;
+    });
+    return fl[i] + (rank<left ? 1 : 0);
+  };
+
+  // Votos adicionales que necesita un partido (los demás sin cambio) para ganar un escaño más
+  const votesToNext = (parties, escanos, metodo, umbral, id) => {
+    const base = allocate(parties, escanos, metodo, umbral).seats[id];
+    const withExtra = x => allocate(parties.map(p=>p.id===id?{ ...p, votes:p.votes+x }:p), escanos, metodo, umbral).seats[id];
+    const total = parties.reduce((s,p)=>s+p.votes,0);
+    let hi = Math.max(1, total)*(base+2);
+    if (withExtra(hi)<=base) return null;
+    // El resto mayor no es monótono (al crecer la cuota cambian los restos de todos):
+    // se recorre voto a voto hasta el primero que da el escaño. Los divisores sí lo son.
+    if (metodo==='hare') {
+      for (let x=1; x<hi; x++) if (hareSeats(parties, escanos, umbral, id, x)>base) return x;
+      return hi;
+    }
+    let lo = 0;
+    while (hi-lo>1) { const mid=Math.floor((lo+hi)/2); if (withExtra(mid)>base) hi=mid; else lo=mid; }
+    return hi;
+  };
+
+  // Reparto para las estadísticas del cargo activo; null si el cargo no reparte escaños
+  const forStats = s => {
+    const c = s.cargo;
+    if (!c || !(c.escanos>0)) return null;
+    const metodo = SEAT_METHODS[c.metodo] ? c.metodo : 'dhondt';
+    const umbral = c.umbral||0;
+    const parties = s.sorted.map(p=>({ id:p.id, votes:p.votes }));
+    const result = allocate(parties, c.escanos, metodo, umbral);
+    const rows = s.sorted.map(p => ({
+      ...p,
+      seats: result.seats[p.id],
+      eligible: result.eligible.includes(p.id),
+      next: s.totalValidos>0 ? votesToNext(parties, c.escanos, metodo, umbral, p.id) : null,
+    }));
+    return {
+      escanos:c.escanos, metodo, umbral, label:SEAT_METHODS[metodo], rows, quota:result.quota, remainder:result.remainder,
+      quotients: metodo==='hare' ? null : quotients(parties, c.escanos, metodo, result),
+      divisors:  metodo==='hare' ? null : Array.from({ length:c.escanos }, (_,k)=>DIVISOR[metodo](k)),
+      assigned: Object.values(result.seats).reduce((a,b)=>a+b,0),
+    };
+  };
+
+  return { allocate, quotients, votesToNext, forStats };
+})();
+
+/* ════════════════════════════════════════════════════════
+   PROYECCIÓN
+════════════════════════════════════════════════════════ */
+const Projection = (() => {
+  const ITER     = 1000;  // remuestreos bootstrap
+  const MIN_ZONA = 2;     // con menos mesas reportadas la zona usa la tasa de todas las mesas
+  const SEED     = 20251;
+
+  // PRNG con semilla: la proyección no cambia entre renders si no cambian los datos
+  const rng = seed => () => {
+    seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+    let t = Math.imul(seed ^ seed>>>15, 1 | seed);
+    t = t + Math.imul(t ^ t>>>7, 61 | t) ^ t;
+    return ((t ^ t>>>14) >>> 0) / 4294967296;
+  };
+
+  const quantile = (sorted, q) => {
+    const i = (sorted.length-1)*q, lo = Math.floor(i), hi = Math.ceil(i);
+    return sorted[lo] + (sorted[hi]-sorted[lo])*(i-lo);
+  };
+
+  // Estimador de razón por zona: votos por habilitado de las mesas reportadas de la
+  // zona, aplicado a los habilitados de sus mesas sin reportar. El intervalo y la
+  // probabilidad salen de remuestrear las mesas reportadas dentro de cada zona.
+  const project = s => {
+    const hab = s.habByAnfora, ids = s.cands.map(c=>c.id);
+    const sample = a => ({ h:hab[a.id]||0, v:ids.map(id=>s.results[a.id][id]||0) });
+    const reported = s.anforas.filter(a=>s.results[a.id] && hab[a.id]>0);
+    if (reported.length<MIN_ZONA || !ids.length) return null;
+
+    const zonas = {};
+    s.anforas.forEach(a => {
+      const z = a.ubicacion || 'Sin zona';
+      if (!zonas[z]) zonas[z] = { zona:z, mesas:0, sample:[], habPend:0 };
+      zonas[z].mesas++;
+      if (s.results[a.id]) { if (hab[a.id]>0) zonas[z].sample.push(sample(a)); }
+      else zonas[z].habPend += hab[a.id]||0;
+    });
+    const all = reported.map(sample);
+    const zlist = Object.values(zonas).map(z => ({ ...z, pooled:z.sample.length<MIN_ZONA, pool:z.sample.length<MIN_ZONA ? all : z.sample }));
+
+    const actual = ids.map(id=>s.sorted.find(c=>c.id===id).votes);
+    const rate = pool => {
+      let h=0; const v=ids.map(()=>0);
+      pool.forEach(m => { h+=m.h; m.v.forEach((x,i)=>{ v[i]+=x; }); });
+      return v.map(x=>h>0?x/h:0);
+    };
+    const extrapolate = pick => {
+      const out = [...actual];
+      zlist.forEach(z => { if (z.habPend>0) pick(z.pool).forEach((r,i)=>{ out[i]+=r*z.habPend; }); });
+      return out;
+    };
+
+    const point = extrapolate(rate);
+    const rand = rng(SEED);
+    const resample = pool => rate(pool.map(()=>pool[Math.floor(rand()*pool.length)]));
+    const draws = ids.map(()=>[]);
+    const wins = ids.map(()=>0);
+    for (let k=0; k<ITER; k++) {
+      const t = extrapolate(resample);
+      t.forEach((x,i)=>draws[i].push(x));
+      const max = Math.max(...t);
+      const top = t.reduce((acc,x,i)=>x===max?[...acc,i]:acc,[]);
+      top.forEach(i=>{ wins[i]+=1/top.length; });
+    }
+
+    const habPend = zlist.reduce((a,z)=>a+z.habPend,0);
+    return {
+      iter:ITER, minZona:MIN_ZONA, habPend,
+      cobertura: s.totalHab>0 ? (s.totalHab-habPend)/s.totalHab*100 : 0,
+      zonas: zlist.map(({ zona, mesas, sample, habPend, pooled }) => ({ zona, mesas, reportadas:sample.length, habPend, pooled })),
+      cands: s.cands.map((c,i) => {
+        const d = draws[i].sort((a,b)=>a-b);
+        return { ...c, actual:actual[i], proj:Math.round(point[i]), lo:Math.round(quantile(d,0.025)), hi:Math.round(quantile(d,0.975)), winProb:wins[i]/ITER*100 };
+      }).sort((a,b)=>b.proj-a.proj),
+    };
+  };
+
+  return { project };
 })();
 
 /* ════════════════════════════════════════════════════════
@@ -267,7 +1708,57 @@ const UI = (() => {
     w.appendChild(f); return w;
   };
 
-  return { $, el, td, fmt, pct, pctN, openModal, closeModal, setErr, clearErr, makeBadge, makeActBtns, makeBar };
+  const download = (filename, content, mime) => {
+    const blob = content instanceof Blob ? content : new Blob([content], { type:mime||'application/octet-stream' });
+    const url = URL.createObjectURL(blob);
+    const a = el('a'); a.href=url; a.download=filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(()=>URL.revokeObjectURL(url), 1000);
+  };
+
+  const stamp = () => {
+    const d=new Date(), p=n=>String(n).padStart(2,'0');
+    return `${d.getFullYear()}${p(d.getMonth()+1)}${p(d.getDate())}-${p(d.getHours())}${p(d.getMinutes())}`;
+  };
+
+  const readFile = (file, as) => new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload  = () => resolve(reader.result);
+    reader.onerror = () => reject(new Error('No se pudo leer el archivo.'));
+    if (as==='buffer') reader.readAsArrayBuffer(file);
+    else if (as==='dataurl') reader.readAsDataURL(file);
+    else reader.readAsText(file);
+  });
+
+  // Foto del celular (varios MB) reducida a JPEG; sin canvas se guarda tal cual
+  const shrinkImage = async (file, max) => {
+    const src = await readFile(file,'dataurl');
+    const img = new Image();
+    await new Promise((resolve, reject) => { img.onload=resolve; img.onerror=()=>reject(new Error('No se pudo abrir la imagen.')); img.src=src; });
+    const k = Math.min(1, max/Math.max(img.naturalWidth, img.naturalHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(img.naturalWidth*k); canvas.height = Math.round(img.naturalHeight*k);
+    const ctx = canvas.getContext && canvas.getContext('2d');
+    if (!ctx) return src;
+    ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+    const out = canvas.toDataURL('image/jpeg', 0.82);
+    return out.length<src.length ? out : src;
+  };
+
+  // Aviso breve al pie de la pantalla; action = { label, fn } agrega un botón (p. ej. Deshacer)
+  let _toastTimer = null;
+  const toast = (msg, action) => {
+    const t = $('toast'), b = $('toastAct');
+    $('toastMsg').textContent = msg;
+    b.textContent = action?.label || '';
+    b.classList.toggle('hidden', !action);
+    b.onclick = action ? () => { t.classList.add('hidden'); action.fn(); } : null;
+    t.classList.remove('hidden');
+    clearTimeout(_toastTimer);
+    _toastTimer = setTimeout(() => t.classList.add('hidden'), 8000);
+  };
+
+  return { $, el, td, fmt, pct, pctN, openModal, closeModal, setErr, clearErr, makeBadge, makeActBtns, makeBar, download, stamp, readFile, shrinkImage, toast };
 })();
 
 /* ════════════════════════════════════════════════════════
@@ -337,21 +1828,178 @@ const PieChart = (() => {
   return { render };
 })();
 
+/* ════════════════════════════════════════════════════════
+   LINE CHART — evolución en el tiempo, SVG puro como PieChart
+════════════════════════════════════════════════════════ */
+const LineChart = (() => {
+  const NS = 'http://www.w3.org/2000/svg';
+  const PAD = { l:46, r:14, t:12, b:24 };
+
+  const svgEl = (tag, attrs, txt) => {
+    const e = document.createElementNS(NS, tag);
+    Object.entries(attrs||{}).forEach(([k,v]) => e.setAttribute(k, v));
+    if (txt!==undefined) e.textContent = txt;
+    return e;
+  };
+
+  // Paso "redondo" (1, 2, 5 × 10ⁿ) para unas cuatro divisiones del eje
+  const niceStep = span => {
+    const raw = span/4, mag = Math.pow(10, Math.floor(Math.log10(raw)));
+    return [1,2,5,10].map(m=>m*mag).find(st => st>=raw);
+  };
+
+  // series: [{ label, color, values, bold }] — todas del mismo largo
+  // opts: { fmt(v) etiqueta del eje Y, xLabel(i), tip(i) texto al pasar sobre el punto i }
+  const render = (svgId, series, opts={}) => {
+    const svg = UI.$(svgId);
+    if (!svg) return;
+    svg.innerHTML = '';
+    const [, , W, H] = svg.getAttribute('viewBox').split(' ').map(Number);
+    const n = series[0]?.values.length || 0;
+    if (n<2) {
+      svg.appendChild(svgEl('text', { x:W/2, y:H/2, 'text-anchor':'middle', class:'lc-empty' }, 'Sin actas suficientes'));
+      return;
+    }
+    const all = series.flatMap(s=>s.values);
+    const step = niceStep(Math.max(...all, 0) - Math.min(...all, 0) || 1);
+    const lo = Math.floor(Math.min(...all, 0)/step)*step, hi = Math.ceil(Math.max(...all, 0)/step)*step || step;
+    const x = i => PAD.l + i/(n-1)*(W-PAD.l-PAD.r);
+    const y = v => PAD.t + (hi-v)/(hi-lo)*(H-PAD.t-PAD.b);
+    const fmt = opts.fmt || (v=>String(v));
+
+    for (let v=lo; v<=hi+step/2; v+=step) {
+      svg.appendChild(svgEl('line', { x1:PAD.l, x2:W-PAD.r, y1:y(v), y2:y(v), class:Math.abs(v)<step/2 ? 'lc-zero' : 'lc-grid' }));
+      svg.appendChild(svgEl('text', { x:PAD.l-6, y:y(v)+4, 'text-anchor':'end', class:'lc-lbl' }, fmt(Math.round(v*100)/100)));
+    }
+    if (opts.xLabel) [0, Math.floor((n-1)/2), n-1].filter((v,i,a)=>a.indexOf(v)===i).forEach((i,k) => {
+      svg.appendChild(svgEl('text', { x:x(i), y:H-6, 'text-anchor':['start','middle','end'][k===0?0:i===n-1?2:1], class:'lc-lbl' }, opts.xLabel(i)));
+    });
+
+    // Las líneas destacadas al final, para que queden encima
+    [...series].sort((a,b)=>!!a.bold-!!b.bold).forEach(s => {
+      const line = svgEl('polyline', { points:s.values.map((v,i)=>`${x(i).toFixed(1)},${y(v).toFixed(1)}`).join(' '), fill:'none', stroke:s.color, 'stroke-width':s.bold?3:1.8, 'stroke-linejoin':'round', class:'lc-line' });
+      line.appendChild(svgEl('title', {}, s.label));
+      svg.appendChild(line);
+      svg.appendChild(svgEl('circle', { cx:x(n-1), cy:y(s.values[n-1]), r:s.bold?4:3, fill:s.color }));
+    });
+
+    // Franjas invisibles por punto para el detalle al pasar el cursor
+    if (opts.tip) for (let i=0; i<n; i++) {
+      const w = (W-PAD.l-PAD.r)/(n-1);
+      const band = svgEl('rect', { x:x(i)-w/2, y:PAD.t, width:w, height:H-PAD.t-PAD.b, class:'lc-band' });
+      band.appendChild(svgEl('title', {}, opts.tip(i)));
+      svg.appendChild(band);
+    }
+  };
+
+  return { render };
+})();
+
+/* ════════════════════════════════════════════════════════
+   MAPA DE RECINTOS — SVG propio, sin teselas en línea
+════════════════════════════════════════════════════════ */
+const RecintoMap = (() => {
+  const NS = 'http://www.w3.org/2000/svg';
+  const W = 800, H = 540, PAD = 70;
+  const KM_PER_DEG = 111.32;
+  const STEPS = [0.001,0.002,0.005,0.01,0.02,0.05,0.1,0.2,0.5,1,2,5,10];
+  const SCALE_KM = [0.1,0.2,0.5,1,2,5,10,20,50,100];
+
+  const svgEl = (tag, attrs, txt) => {
+    const e = document.createElementNS(NS, tag);
+    Object.entries(attrs||{}).forEach(([k,v]) => e.setAttribute(k, v));
+    if (txt!==undefined) e.textContent = txt;
+    return e;
+  };
+
+  // Equirectangular corregida por la latitud media: a escala de un municipio la distorsión no se nota
+  const projector = pts => {
+    let s = Math.min(...pts.map(p=>p.lat)), n = Math.max(...pts.map(p=>p.lat));
+    let w = Math.min(...pts.map(p=>p.lon)), e = Math.max(...pts.map(p=>p.lon));
+    const k = Math.cos((s+n)/2*Math.PI/180);
+    // Con un solo recinto (o todos muy juntos) se muestran al menos ~2 km alrededor
+    const MIN = 0.02;
+    if (n-s<MIN)     { const c=(n+s)/2; s=c-MIN/2; n=c+MIN/2; }
+    if ((e-w)*k<MIN) { const c=(e+w)/2; w=c-MIN/2/k; e=c+MIN/2/k; }
+    const scale = Math.min((W-2*PAD)/((e-w)*k), (H-2*PAD)/(n-s));
+    const cx = (w+e)/2, cy = (s+n)/2;
+    return {
+      x:   lon => W/2 + (lon-cx)*k*scale,
+      y:   lat => H/2 - (lat-cy)*scale,
+      lon: px  => cx + (px-W/2)/(k*scale),
+      lat: py  => cy - (py-H/2)/scale,
+      pxPerKm: scale/KM_PER_DEG,
+    };
+  };
+
+  // Capa base: retícula de grados, escala gráfica y norte
+  const baseLayer = (svg, p) => {
+    svg.appendChild(svgEl('rect', { x:0, y:0, width:W, height:H, class:'mapa-bg' }));
+    const step = STEPS.find(st => (p.lon(W)-p.lon(0))/st<=7) || 20;
+    const dec = Math.max(0, -Math.floor(Math.log10(step)));
+    const deg = v => `${Math.abs(v).toFixed(dec)}°${v<0?'S':'N'}`;
+    const lonDeg = v => `${Math.abs(v).toFixed(dec)}°${v<0?'O':'E'}`;
+    for (let lon=Math.ceil(p.lon(0)/step)*step; lon<=p.lon(W); lon+=step) {
+      const x = p.x(lon);
+      svg.appendChild(svgEl('line', { x1:x, y1:0, x2:x, y2:H, class:'mapa-grid' }));
+      svg.appendChild(svgEl('text', { x:x+3, y:H-6, class:'mapa-grid-lbl' }, lonDeg(lon)));
+    }
+    for (let lat=Math.ceil(p.lat(H)/step)*step; lat<=p.lat(0); lat+=step) {
+      const y = p.y(lat);
+      svg.appendChild(svgEl('line', { x1:0, y1:y, x2:W, y2:y, class:'mapa-grid' }));
+      svg.appendChild(svgEl('text', { x:4, y:y-3, class:'mapa-grid-lbl' }, deg(lat)));
+    }
+    const km = [...SCALE_KM].reverse().find(v => v*p.pxPerKm<=160) || SCALE_KM[0];
+    const len = km*p.pxPerKm, sx = 24, sy = H-30;
+    svg.appendChild(svgEl('path', { d:`M${sx} ${sy-5}V${sy}H${sx+len}V${sy-5}`, class:'mapa-escala' }));
+    svg.appendChild(svgEl('text', { x:sx+len/2, y:sy-8, 'text-anchor':'middle', class:'mapa-grid-lbl' }, km<1 ? `${km*1000} m` : `${km} km`));
+    svg.appendChild(svgEl('path', { d:`M${W-30} 18l9 26-9-6-9 6z`, class:'mapa-norte' }));
+    svg.appendChild(svgEl('text', { x:W-30, y:60, 'text-anchor':'middle', class:'mapa-grid-lbl' }, 'N'));
+  };
+
+  // items: { key, name, lat, lon, size (0–1), color, opacity, title, selected }
+  const render = (container, items, onSelect) => {
+    container.innerHTML='';
+    if (!items.length) return;
+    const p = projector(items);
+    const svg = svgEl('svg', { viewBox:`0 0 ${W} ${H}`, class:'mapa', role:'img', 'aria-label':'Mapa de recintos' });
+    baseLayer(svg, p);
+    // Los círculos grandes primero, para que los chicos queden encima y se puedan tocar
+    [...items].sort((a,b)=>b.size-a.size).forEach(it => {
+      const cx = p.x(it.lon), cy = p.y(it.lat), r = 7+it.size*26;
+      const g = svgEl('g', { class:it.selected ? 'mapa-rec sel' : 'mapa-rec', tabindex:'0' });
+      g.appendChild(svgEl('circle', { cx, cy, r, fill:it.color, 'fill-opacity':it.opacity }));
+      g.appendChild(svgEl('text', { x:cx, y:cy+r+13, 'text-anchor':'middle', class:'mapa-lbl' }, it.name));
+      g.appendChild(svgEl('title', {}, it.title));
+      g.addEventListener('click', ()=>onSelect(it.key));
+      g.addEventListener('keydown', e=>{ if (e.key==='Enter') onSelect(it.key); });
+      svg.appendChild(g);
+    });
+    container.appendChild(svg);
+  };
+
+  return { render };
+})();
+
 /* ════════════════════════════════════════════════════════
    VIEWS
 ════════════════════════════════════════════════════════ */
 const Views = (() => {
 
+  // Sigla con la que se nombra a la candidatura propia en tablas y KPIs
+  const focusLabel = s => s.focusCandidate?.alias || State.getBranding().sigla || s.focusCandidate?.name || '';
+
   /* ── Sidebar live panel ── */
   const updateMTSSidebar = (s) => {
-    const mts = s.mtsCandidate;
-    const votes = s.mtsVotes;
+    const focus = s.focusCandidate;
+    const votes = s.focusVotes;
+    UI.$('mtsFocusPanel').classList.toggle('hidden', !focus);
     UI.$('mtsFocusVotes').textContent = UI.fmt(votes);
     UI.$('mtsFocusPct').textContent   = UI.pct(votes, s.totalValidos);
     const barW = s.totalValidos>0 ? Math.max(2, votes/s.totalValidos*100) : 0;
     UI.$('mtsFocusBar').style.width   = barW+'%';
-    if (s.processed>0 && mts) {
-      const pos = s.mtsPosition;
+    if (s.processed>0 && focus) {
+      const pos = s.focusPosition;
       UI.$('mtsFocusSub').textContent = pos===1 ? '🥇 Liderando' : `Pos. ${pos}° de ${s.cands.length}`;
     } else {
       UI.$('mtsFocusSub').textContent = 'Sin datos aún';
@@ -369,6 +2017,7 @@ const Views = (() => {
       dot.classList.toggle('active', hasData);
       text.textContent = hasData ? `${s.processed}/${s.anforas.length} mesas` : 'Sin datos ingresados';
     }
+    UI.$('footerMeta').textContent = `Total habilitados: ${UI.fmt(s.totalHab)}`;
     const ns = UI.$('navStatus');
     if (ns) {
       if (s.anforas.length===0) { ns.className='sstatus'; }
@@ -379,6 +2028,72 @@ const Views = (() => {
     updateMTSSidebar(s);
   };
 
+  /* ── Aviso de almacenamiento ── */
+  const showStorageError = msg => {
+    UI.$('storageWarnMsg').textContent = `No se pudo guardar en este equipo: ${msg.replace(/\.$/,'')}. Los últimos cambios podrían perderse al cerrar; exporta un respaldo ahora.`;
+    UI.$('storageWarn').classList.remove('hidden');
+  };
+
+  /* ════ CARGOS ════ */
+  const renderCargos = () => {
+    const cargos = State.getCargos();
+    const active = State.getCargo();
+    document.querySelectorAll('.cargo-sel').forEach(sel => {
+      sel.innerHTML='';
+      cargos.forEach(c => { const o=document.createElement('option'); o.value=c.id; o.textContent=c.name; sel.appendChild(o); });
+      sel.value = active?.id || '';
+    });
+    document.querySelectorAll('.cargo-name').forEach(el => { el.textContent = active?.name || ''; });
+
+    const list = UI.$('cargoList');
+    list.innerHTML='';
+    cargos.forEach(c => {
+      const row = UI.el('div','cargo-item');
+      if (c.id===active?.id) row.classList.add('active');
+      const inp = UI.el('input','inp inp-sm');
+      inp.value = c.name; inp.maxLength = 40;
+      inp.addEventListener('change', ()=>{
+        UI.clearErr('errCargo');
+        const r = State.renameCargo(c.id, inp.value);
+        if (!r.ok) { UI.setErr('errCargo', r.error); inp.value=c.name; return; }
+        renderCargos();
+      });
+      const n = State.getCandidates(c.id).length;
+      const meta = UI.el('span','cargo-meta',`${n} candidato${n!==1?'s':''}`);
+      const acts = UI.makeActBtns(
+        { label:'▸', cls:'edit', onClick:()=>{ State.setCargo(c.id); renderAll(); } },
+        { label:'✕', cls:'del', onClick:()=>confirmAction('cargo',c.id,`¿Eliminar el cargo "${c.name}"?`,'Se eliminarán sus candidatos, votos e historial de actas.') }
+      );
+      acts.firstChild.title = 'Ver este cargo';
+      row.appendChild(inp); row.appendChild(meta); row.appendChild(acts);
+      list.appendChild(row);
+    });
+  };
+
+  /* ════ IDENTIDAD ════ */
+  // Textos [data-brand] e imágenes [data-brand-img] en toda la página, más el formulario de Candidatos
+  const renderBranding = () => {
+    const b = State.getBranding();
+    document.title = `${b.titulo} — Cómputo Electoral ${b.anio}`.trim();
+    document.querySelectorAll('[data-brand]').forEach(el => { el.textContent = b[el.dataset.brand]||''; });
+    document.querySelectorAll('[data-brand-img]').forEach(img => {
+      const src = b[img.dataset.brandImg];
+      img.classList.toggle('hidden', !src);
+      if (!src) img.removeAttribute('src');
+      else if (img.getAttribute('src')!==src) img.src = src;
+    });
+    ['titulo','sigla','anio','subtitulo','municipio'].forEach(k => {
+      UI.$('iBr'+k[0].toUpperCase()+k.slice(1)).value = b[k]||'';
+    });
+
+    const sel = UI.$('iFocusCand');
+    sel.innerHTML='';
+    [{ id:'', name:'— Ninguna —' }, ...State.getCandidates()].forEach(c => {
+      const o=document.createElement('option'); o.value=c.id; o.textContent=c.name; sel.appendChild(o);
+    });
+    sel.value = State.getFocus()?.id || '';
+  };
+
   /* ════ CANDIDATES ════ */
   const renderCandidates = () => {
     const cands = State.getCandidates();
@@ -400,13 +2115,13 @@ const Views = (() => {
     sorted.forEach(c => {
       const votes = s.sorted.find(x=>x.id===c.id)?.votes||0;
       const item = UI.el('div','cand-item');
-      const isMTS = c.name.toUpperCase()===MTS_CANDIDATE_NAME;
-      if (isMTS) item.classList.add('cand-item-mts');
+      const isFocus = c.id===s.focusCandidate?.id;
+      if (isFocus) item.classList.add('cand-item-mts');
 
       const dot  = UI.el('div','cand-color-dot'); dot.style.background=c.color;
       const info = UI.el('div','cand-info');
       const nm   = UI.el('div','cand-name', c.name);
-      if (isMTS) nm.style.color = 'var(--verde)';
+      if (isFocus) nm.style.color = 'var(--verde)';
       const meta = UI.el('div','cand-meta', [c.party,c.alias].filter(Boolean).join(' · ')||'Sin partido');
       info.appendChild(nm); info.appendChild(meta);
 
@@ -421,34 +2136,77 @@ const Views = (() => {
       item.appendChild(dot); item.appendChild(info); item.appendChild(vEl); item.appendChild(acts);
       list.appendChild(item);
     });
+    renderActaOrder();
     updateSidebar();
   };
 
+  const renderActaOrder = () => {
+    const list = UI.$('actaOrderList');
+    list.innerHTML='';
+    const order = State.getActaOrder();
+    order.forEach((c,i) => {
+      const li = UI.el('li','acta-order-item');
+      const dot = UI.el('span','cand-color-dot'); dot.style.background=c.color;
+      li.appendChild(dot);
+      li.appendChild(UI.el('span','acta-order-name',c.name));
+      const acts = UI.makeActBtns(
+        { label:'↑', cls:'edit', onClick:()=>{ State.moveInActa(c.id,-1); renderActaOrder(); } },
+        { label:'↓', cls:'edit', onClick:()=>{ State.moveInActa(c.id,1); renderActaOrder(); } }
+      );
+      acts.className='cand-actions';
+      const [up,down] = acts.children;
+      up.title='Subir'; down.title='Bajar';
+      up.disabled = i===0; down.disabled = i===order.length-1;
+      li.appendChild(acts);
+      list.appendChild(li);
+    });
+  };
+
   /* ════ ANFORAS ════ */
   const renderAnforas = () => {
-    const anforas = State.getAnforas();
+    const all = State.getAnforas();
     const tbody = UI.$('tbodyAnforas');
     const empty = UI.$('emptyAnforas');
     tbody.innerHTML='';
-    UI.$('countAnforas').textContent = `${anforas.length} registrada${anforas.length!==1?'s':''}`;
-    UI.$('pillAnforas').textContent  = anforas.length;
+    const filtro = renderEstadoFiltro(all);
+    const anforas = filtro ? all.filter(a=>State.getEstado(a.id)===filtro) : all;
+    UI.$('countAnforas').textContent = filtro ? `${anforas.length} de ${all.length}` : `${all.length} registrada${all.length!==1?'s':''}`;
+    UI.$('pillAnforas').textContent  = all.length;
 
+    renderPadron();
     if (anforas.length===0) { empty.style.display=''; return; }
     empty.style.display='none';
 
+    const hab = State.getHabMap();
+    const obs = Rules.checkAll();
     anforas.forEach(a => {
       const result = State.getResult(a.id);
       const tr = document.createElement('tr');
       tr.appendChild(UI.td(a.num,'td-name'));
       tr.appendChild(UI.td(a.recinto));
       tr.appendChild(UI.td(a.ubicacion||'—','td-muted'));
+      tr.appendChild(UI.td(a.circ||'—','td-muted'));
       tr.appendChild(UI.td(a.enc1));
       tr.appendChild(UI.td(a.enc2||'—','td-muted'));
-      tr.appendChild(UI.td(UI.fmt(a.habilitados)));
+      const habTd = UI.td(UI.fmt(hab[a.id]), a.habilitados>0 ? 'td-num' : 'td-num td-muted');
+      habTd.title = a.habilitados>0 ? 'Valor propio de la mesa' : 'Reparto del total del recinto';
+      tr.appendChild(habTd);
+      const pending = State.getPending(a.id);
+      const estado = MESA_ESTADOS[State.getEstado(a.id)];
       const stTd = document.createElement('td');
-      if (!result) stTd.appendChild(UI.makeBadge('Pendiente','sbadge-pending'));
-      else         stTd.appendChild(UI.makeBadge('✓ Procesada','sbadge-done'));
+      const eb = UI.makeBadge(`${estado.icon} ${estado.label}`, estado.cls);
+      eb.classList.add('sbadge-btn'); eb.title = 'Cambiar estado'; eb.addEventListener('click', ()=>openEstado(a.id));
+      stTd.appendChild(eb);
+      if (pending?.second) stTd.appendChild(UI.makeBadge('⚠ Discrepancia','sbadge-error'));
+      else if (pending)    stTd.appendChild(UI.makeBadge('◐ Por verificar','sbadge-pending'));
+      else if (!result && estado.paso>=3) stTd.appendChild(UI.makeBadge('Sin votos en este cargo','sbadge-empty'));
+      if (obs[a.id]) {
+        const b = UI.makeBadge('⚑ Observada', obs[a.id].some(i=>i.level==='error') ? 'sbadge-error' : 'sbadge-warn');
+        b.title = obs[a.id].map(i=>i.msg).join('\n');
+        stTd.appendChild(b);
+      }
       tr.appendChild(stTd);
+      tr.appendChild(UI.td(makeActaThumb(a.id)||'—', 'td-muted'));
       tr.appendChild(UI.td(UI.makeActBtns(
         { label:'✏', cls:'edit', onClick:()=>openEditAnf(a) },
         { label:'✕', cls:'del', onClick:()=>confirmAction('anfora',a.id,`¿Eliminar mesa "${a.num}"?`,'Se eliminarán los votos ingresados.') }
@@ -458,6 +2216,252 @@ const Views = (() => {
     updateSidebar();
   };
 
+  // Opciones con el conteo por estado; devuelve el filtro vigente
+  const renderEstadoFiltro = anforas => {
+    const sel = UI.$('selEstadoFiltro');
+    const cur = sel.value;
+    const count = {};
+    anforas.forEach(a => { const e=State.getEstado(a.id); count[e]=(count[e]||0)+1; });
+    sel.innerHTML='<option value="">Todos los estados</option>';
+    Object.entries(MESA_ESTADOS).forEach(([k,e]) => {
+      const o=document.createElement('option');
+      o.value=k; o.textContent=`${e.icon} ${e.label} (${count[k]||0})`;
+      sel.appendChild(o);
+    });
+    sel.value=cur;
+    return sel.value;
+  };
+
+  const openEstado = anforaId => {
+    const a = State.getAnforas().find(x=>x.id===anforaId);
+    if (!a) return;
+    UI.$('estadoAnfId').value = anforaId;
+    UI.$('estadoTitle').textContent = `Estado de la mesa ${a.num}`;
+    const sel = UI.$('selEstado');
+    sel.innerHTML='';
+    Object.entries(MESA_ESTADOS).forEach(([k,e]) => {
+      const o=document.createElement('option'); o.value=k; o.textContent=`${e.icon} ${e.label}`; sel.appendChild(o);
+    });
+    sel.value = State.getEstado(anforaId);
+    UI.$('iEstadoNota').value='';
+    renderEstadoNota();
+    const log = UI.$('estadoLog');
+    log.innerHTML='';
+    [...State.getEstadoLog(anforaId)].reverse().forEach(e => {
+      const def = MESA_ESTADOS[e.estado];
+      const li = UI.el('li','estado-log-item');
+      li.appendChild(UI.makeBadge(`${def.icon} ${def.label}`, def.cls));
+      li.appendChild(UI.el('span','estado-log-ts', new Date(e.ts).toLocaleString('es-BO')));
+      const who = [e.operator, e.nota].filter(Boolean).join(' · ');
+      if (who) li.appendChild(UI.el('span','estado-log-nota', who));
+      log.appendChild(li);
+    });
+    if (!log.children.length) log.appendChild(UI.el('li','estado-log-item td-muted','Sin cambios registrados: la mesa está pendiente.'));
+    UI.clearErr('errEstado');
+    UI.openModal('modalEstado');
+  };
+
+  const renderEstadoNota = () => {
+    const def = MESA_ESTADOS[UI.$('selEstado').value];
+    UI.$('lblEstadoNota').textContent = def?.nota ? `${def.nota}${def.required?' *':''}` : 'Nota';
+  };
+
+  const renderPadron = () => {
+    const recintos = State.getRecintos();
+    const hab = State.getHabMap();
+    const tbody = UI.$('tbodyPadronRec');
+    tbody.innerHTML='';
+    UI.$('emptyPadronRec').style.display = recintos.length ? 'none' : '';
+    recintos.forEach(g => {
+      const tr = document.createElement('tr');
+      tr.appendChild(UI.td(g.recinto,'td-name'));
+      tr.appendChild(UI.td(g.ubicacion||'—','td-muted'));
+      tr.appendChild(UI.td(g.mesas.length,'td-num'));
+      const inp = UI.el('input','inp inp-num inp-sm');
+      inp.type='number'; inp.min='0'; inp.value=g.total||'';
+      inp.placeholder = String(g.mesas.reduce((s,a)=>s+(hab[a.id]||0),0));
+      inp.addEventListener('change', ()=>{
+        UI.clearErr('errPadronRec');
+        const r = State.setRecintoHabilitados(g.key, inp.value||0);
+        if (!r.ok) { UI.setErr('errPadronRec', `${g.recinto}: ${r.error}`); inp.value=g.total||''; return; }
+        renderAnforas(); renderStats();
+      });
+      const inTd = document.createElement('td'); inTd.appendChild(inp); tr.appendChild(inTd);
+      const fixed = g.mesas.filter(a=>a.habilitados>0).length;
+      const reparto = g.mesas.map(a=>`${a.num}: ${UI.fmt(hab[a.id])}`).join(' · ');
+      const rTd = UI.td(g.total ? (fixed ? `${fixed} fija${fixed!==1?'s':''}, resto uniforme` : 'Uniforme') : 'Por mesa','td-muted');
+      rTd.title = reparto;
+      tr.appendChild(rTd);
+      const geo = State.getGeo(g.key);
+      const gInp = UI.el('input','inp inp-sm inp-geo');
+      gInp.type='text'; gInp.placeholder='lat, lon'; gInp.value = geo ? `${geo.lat}, ${geo.lon}` : '';
+      gInp.addEventListener('change', ()=>{
+        UI.clearErr('errPadronRec');
+        const r = State.setGeo(g.key, gInp.value);
+        if (!r.ok) { UI.setErr('errPadronRec', `${g.recinto}: ${r.error}`); return; }
+        renderMapa();
+      });
+      const gTd = document.createElement('td'); gTd.appendChild(gInp); tr.appendChild(gTd);
+      tbody.appendChild(tr);
+    });
+    UI.$('anfTotalHab').textContent = UI.fmt(recintos.reduce((s,g)=>s+g.mesas.reduce((t,a)=>t+(hab[a.id]||0),0),0));
+  };
+
+  /* ════ DELEGADOS ════ */
+  const renderDelegados = () => {
+    const dels = State.getDelegados();
+    const recintos = State.getRecintos();
+    const recName = key => { const g = recintos.find(r=>r.key===key); return g ? `${g.recinto}${g.ubicacion?` (${g.ubicacion})`:''}` : ''; };
+    document.querySelectorAll('.sel-recinto').forEach(sel => {
+      const cur = sel.value;
+      sel.innerHTML='<option value="">Sin preferencia</option>';
+      recintos.forEach(g => { const o=document.createElement('option'); o.value=g.key; o.textContent=recName(g.key); sel.appendChild(o); });
+      sel.value = cur;
+    });
+    const dl = UI.$('dlDelegados');
+    dl.innerHTML='';
+    dels.forEach(d => { const o=document.createElement('option'); o.value=d.nombre; if (d.ci) o.label=`CI ${d.ci}`; dl.appendChild(o); });
+
+    UI.$('pillDelegados').textContent = dels.length;
+    UI.$('countDelegados').textContent = `${dels.length} registrado${dels.length!==1?'s':''}`;
+    UI.$('emptyDelegados').style.display = dels.length ? 'none' : '';
+    const tbody = UI.$('tbodyDelegados');
+    tbody.innerHTML='';
+    dels.forEach(d => {
+      const mesas = State.mesasDe(d.nombre);
+      const tr = document.createElement('tr');
+      tr.appendChild(UI.td(d.nombre,'td-name'));
+      tr.appendChild(UI.td(d.ci||'—','td-muted'));
+      tr.appendChild(UI.td(d.telefono||'—','td-muted'));
+      tr.appendChild(UI.td(recName(d.recinto)||'—','td-muted'));
+      const mTd = document.createElement('td');
+      if (!mesas.length) mTd.appendChild(UI.makeBadge('Sin asignar','sbadge-empty'));
+      else mTd.appendChild(document.createTextNode(mesas.map(a=>a.num).join(', ')));
+      if (mesas.length>1) {
+        const w = UI.makeBadge(`⚠ ${mesas.length} mesas`,'sbadge-warn');
+        w.title = 'Asignado a más de una mesa';
+        mTd.appendChild(w);
+      }
+      tr.appendChild(mTd);
+      tr.appendChild(UI.td(UI.makeActBtns(
+        { label:'✏', cls:'edit', onClick:()=>openEditDel(d) },
+        { label:'✕', cls:'del', onClick:()=>confirmAction('delegado',d.id,`¿Eliminar a "${d.nombre}"?`, mesas.length ? `Quedará sin encargado en ${mesas.length} mesa${mesas.length!==1?'s':''}.` : 'No tiene mesas asignadas.') }
+      )));
+      tbody.appendChild(tr);
+    });
+    renderCobertura(dels);
+  };
+
+  // Mesas sin encargado del registro, por recinto, con asignación directa
+  const renderCobertura = dels => {
+    const sin = State.sinDelegado();
+    const total = State.getAnforas().length;
+    UI.$('chipCobertura').textContent = `${total-sin.length}/${total} cubiertas`;
+    const box = UI.$('coberturaList');
+    box.innerHTML='';
+    if (!sin.length) { box.appendChild(UI.el('p','fld-hint', total ? '✓ Todas las mesas tienen encargado.' : 'Sin mesas registradas.')); return; }
+    if (!dels.length) { box.appendChild(UI.el('p','fld-hint', `${sin.length} mesa${sin.length!==1?'s':''} sin encargado. Registra delegados para asignarlos.`)); return; }
+    const groups = {};
+    sin.forEach(a => { const k=State.recintoKey(a); (groups[k] = groups[k] || []).push(a); });
+    Object.entries(groups).forEach(([key, mesas]) => {
+      box.appendChild(UI.el('div','cob-recinto', `${mesas[0].recinto}${mesas[0].ubicacion?` · ${mesas[0].ubicacion}`:''}`));
+      // Primero quienes prefieren este recinto, luego los que aún no tienen mesa
+      const opts = [...dels].map(d=>({ d, n:State.mesasDe(d.nombre).length, pref:d.recinto===key }))
+        .sort((x,y)=>(y.pref-x.pref) || (x.n-y.n) || x.d.nombre.localeCompare(y.d.nombre));
+      mesas.forEach(a => {
+        const row = UI.el('div','cob-row');
+        row.appendChild(UI.el('span','cob-num', a.num));
+        row.appendChild(UI.el('span','cob-enc td-muted', a.enc1||'Sin encargado'));
+        const sel = UI.el('select','inp inp-sm cob-sel');
+        sel.innerHTML='<option value="">— Asignar —</option>';
+        opts.forEach(({d,n,pref}) => {
+          const o=document.createElement('option');
+          o.value=d.id; o.textContent=`${pref?'★ ':''}${d.nombre}${n?` · ya en ${n} mesa${n!==1?'s':''}`:''}`;
+          sel.appendChild(o);
+        });
+        sel.addEventListener('change', () => {
+          UI.clearErr('errCobertura');
+          const r = State.asignarDelegado(a.id, State.findDelegado(a.enc1) ? 'enc2' : 'enc1', sel.value);
+          if (!r.ok) { UI.setErr('errCobertura', r.error); return; }
+          const d = dels.find(x=>x.id===sel.value), n = State.mesasDe(d.nombre).length;
+          renderDelegados(); renderAnforas();
+          if (n>1) UI.setErr('errCobertura', `⚠ ${d.nombre} queda asignado a ${n} mesas.`);
+        });
+        row.appendChild(sel);
+        box.appendChild(row);
+      });
+    });
+  };
+
+  /* ════ CUENTAS Y SESIÓN ════ */
+  const showView = name => {
+    document.querySelectorAll('.snav-btn').forEach(b=>b.classList.toggle('active', b.dataset.view===name));
+    document.querySelectorAll('.view').forEach(v=>v.classList.toggle('active', v.id===`view-${name}`));
+    if (name==='stats'||name==='tv'||name==='mapa') renderStats();
+    if (name==='historial') renderHistorial();
+  };
+
+  // Pantalla de inicio de sesión y lo que se oculta según el rol (Auth.permite bloquea además los eventos)
+  const renderSesion = () => {
+    const c = Auth.current(), rol = c?.rol, views = Auth.views();
+    UI.$('loginScreen').classList.toggle('hidden', !!c);
+    if (!c) renderLogin();
+    document.querySelectorAll('[data-rol]').forEach(el => el.classList.toggle('sin-permiso', !el.dataset.rol.split(' ').includes(rol)));
+    document.querySelectorAll('.snav-btn[data-view]').forEach(b => b.classList.toggle('sin-permiso', !views.includes(b.dataset.view)));
+    UI.$('sesionNombre').textContent = c?.nombre || '';
+    UI.$('sesionRol').textContent = c ? ROLES[rol].label : '';
+    UI.$('iOperador').value = c?.nombre || '';
+    // La vista abierta tiene que ser del rol; si no, se pasa a la primera que le corresponde
+    const open = document.querySelector('.view.active')?.id.replace(/^view-/,'');
+    if (c && !views.includes(open)) showView(views[0]);
+  };
+
+  const renderLogin = () => {
+    const cuentas = Auth.getCuentas();
+    UI.$('loginForm').classList.toggle('hidden', !cuentas.length);
+    UI.$('setupForm').classList.toggle('hidden', !!cuentas.length);
+    UI.$('loginSub').textContent = cuentas.length ? 'Inicia sesión con tu cuenta.' : 'Primer uso en este equipo: crea la cuenta de Administrador.';
+    const sel = UI.$('selLoginCuenta');
+    sel.innerHTML='';
+    cuentas.forEach(c => { const o=document.createElement('option'); o.value=c.id; o.textContent=`${c.nombre} · ${ROLES[c.rol].label}`; sel.appendChild(o); });
+    const last = Storage.getPref('ultima_cuenta');
+    if (cuentas.some(c=>c.id===last)) sel.value = last;
+  };
+
+  const renderCuentas = () => {
+    const yo = Auth.current()?.id;
+    const tbody = UI.$('tbodyCuentas');
+    tbody.innerHTML='';
+    Auth.getCuentas().forEach(c => {
+      const tr = document.createElement('tr');
+      tr.appendChild(UI.td(c.id===yo ? `${c.nombre} (sesión actual)` : c.nombre, 'td-name'));
+      tr.appendChild(UI.td(ROLES[c.rol].label, 'td-muted'));
+      tr.appendChild(UI.td(UI.makeActBtns(
+        { label:'✏', cls:'edit', onClick:()=>openEditCuenta(c) },
+        { label:'✕', cls:'del', onClick:()=>confirmAction('cuenta',c.id,`¿Eliminar la cuenta de "${c.nombre}"?`,'Ya no podrá iniciar sesión. Las actas que guardó conservan su nombre.') }
+      )));
+      tbody.appendChild(tr);
+    });
+    const sel = UI.$('selCuentaRol');
+    if (!sel.options.length) Object.entries(ROLES).forEach(([k,r]) => { const o=document.createElement('option'); o.value=k; o.textContent=r.label; sel.appendChild(o); });
+  };
+
+  const openEditCuenta = c => {
+    UI.$('iCuentaId').value=c.id; UI.$('iCuentaNombre').value=c.nombre; UI.$('selCuentaRol').value=c.rol; UI.$('iCuentaPin').value='';
+    UI.$('lblCuentaPin').textContent='PIN nuevo (vacío: no cambia)';
+    UI.$('btnCuentaSave').textContent='Guardar cambios';
+    UI.$('btnCuentaCancel').classList.remove('hidden');
+    UI.clearErr('errCuenta'); UI.$('iCuentaNombre').focus();
+  };
+
+  const clearCuentaForm = () => {
+    UI.$('iCuentaId').value=''; UI.$('iCuentaNombre').value=''; UI.$('selCuentaRol').value='transcriptor'; UI.$('iCuentaPin').value='';
+    UI.$('lblCuentaPin').textContent='PIN *';
+    UI.$('btnCuentaSave').textContent='+ Agregar cuenta';
+    UI.$('btnCuentaCancel').classList.add('hidden');
+    UI.clearErr('errCuenta');
+  };
+
   /* ════ INGRESO ════ */
   const renderIngresoSelector = () => {
     const sel = UI.$('selAnfora');
@@ -466,7 +2470,8 @@ const Views = (() => {
     State.getAnforas().forEach(a => {
       const o=document.createElement('option');
       o.value=a.id;
-      const status=State.getResult(a.id)?'✓ ':' ';
+      const p=State.getPending(a.id);
+      const status=State.isAnulada(a.id)?'⊘ ':p?(p.second?'⚠ ':'◐ '):State.getResult(a.id)?'✓ ':' ';
       o.textContent=`${status}${a.num} — ${a.recinto}${a.ubicacion?' ('+a.ubicacion+')':''}`;
       sel.appendChild(o);
     });
@@ -483,7 +2488,8 @@ const Views = (() => {
 
     const banner = UI.$('anforaBanner');
     banner.innerHTML='';
-    [['Cod. Mesa',anfora.num],['Recinto',anfora.recinto],['Asiento',anfora.ubicacion||'—'],['Encargado 1',anfora.enc1],['Encargado 2',anfora.enc2||'—'],['Habilitados',UI.fmt(anfora.habilitados)]].forEach(([l,v])=>{
+    const est = MESA_ESTADOS[State.getEstado(anfora.id)];
+    [['Cod. Mesa',anfora.num],['Recinto',anfora.recinto],['Asiento',anfora.ubicacion||'—'],['Encargado 1',anfora.enc1],['Encargado 2',anfora.enc2||'—'],['Habilitados',UI.fmt(State.getHabilitados(anfora.id))],['Estado',`${est.icon} ${est.label}`]].forEach(([l,v])=>{
       const it=UI.el('div','ab-item');
       it.appendChild(UI.el('div','ab-label',l));
       it.appendChild(UI.el('div','ab-value',v));
@@ -494,19 +2500,20 @@ const Views = (() => {
     grid.innerHTML='';
     const cands = State.getCandidates();
     const existing = State.getResult(anforaId);
+    const pending  = State.getPending(anforaId);
+    // Con una digitación pendiente la siguiente se hace a ciegas
+    const shown = pending ? null : existing;
+    const diffs = pending?.second ? Object.keys({ ...pending.first.votes, ...pending.second.votes }).filter(k=>(pending.first.votes[k]||0)!==(pending.second.votes[k]||0)) : [];
     if (cands.length===0) {
       grid.innerHTML='<p style="color:var(--muted);font-size:0.85rem">Agrega candidatos primero.</p>';
     } else {
-      // MTS first
-      const sorted = [...cands].sort((a,b)=>{
-        const am=a.name.toUpperCase()===MTS_CANDIDATE_NAME?-1:0;
-        const bm=b.name.toUpperCase()===MTS_CANDIDATE_NAME?-1:0;
-        return am-bm;
-      });
+      // Entrada rápida: orden del acta impresa; si no, candidatura propia primero
+      const focusId = State.getFocus()?.id;
+      const sorted = isRapid() ? State.getActaOrder() : [...cands].sort((a,b)=>(b.id===focusId)-(a.id===focusId));
       sorted.forEach(c => {
         const card = UI.el('div','vcard');
-        const isMTS = c.name.toUpperCase()===MTS_CANDIDATE_NAME;
-        if (isMTS) card.classList.add('vcard-mts');
+        const isFocus = c.id===focusId;
+        if (isFocus) card.classList.add('vcard-mts');
         const dot  = UI.el('div','vcard-dot'); dot.style.background=c.color;
         const info = UI.el('div','vcard-info');
         info.appendChild(UI.el('div','vcard-name',c.name));
@@ -514,26 +2521,144 @@ const Views = (() => {
         const inp = UI.el('input','vcard-inp');
         inp.type='number'; inp.min='0'; inp.max='9999';
         inp.dataset.cid=c.id;
-        inp.value=existing?(existing[c.id]||0):0;
-        if (isMTS) inp.classList.add('vcard-inp-mts');
+        inp.value=shown?(shown[c.id]||0):0;
+        if (isFocus) inp.classList.add('vcard-inp-mts');
+        if (diffs.includes(c.id)) card.classList.add('vcard-diff');
         inp.addEventListener('input', updateComputed);
         card.appendChild(dot); card.appendChild(info); card.appendChild(inp);
         grid.appendChild(card);
       });
     }
 
-    UI.$('iVBlancos').value = existing?(existing.blancos||0):0;
-    UI.$('iVNulos').value   = existing?(existing.nulos||0):0;
+    UI.$('iVBlancos').value = shown?(shown.blancos||0):0;
+    UI.$('iVNulos').value   = shown?(shown.nulos||0):0;
+    UI.$('iVBlancos').closest('.fld').classList.toggle('fld-diff', diffs.includes('blancos'));
+    UI.$('iVNulos').closest('.fld').classList.toggle('fld-diff', diffs.includes('nulos'));
+    Object.entries(CONTROL_INPUTS).forEach(([k,id]) => {
+      UI.$(id).value = shown && shown[k]!==undefined ? shown[k] : '';
+      UI.$(id).closest('.fld').classList.toggle('fld-diff', diffs.includes(k));
+    });
+    renderActaChecks(null);
+    UI.$('fldMotivo').classList.toggle('hidden', !existing || !!pending);
+    UI.$('iMotivo').value = '';
+    renderVerify(anforaId, pending, diffs);
     updateComputed();
+    renderActaFoto(anforaId);
     renderResultAnfora(anforaId);
   };
 
+  /* ── Foto del acta ── */
+  const fotoMeta = f => `Tomada el ${new Date(f.ts).toLocaleString('es-BO')}${f.operator?` · ${f.operator}`:''}`;
+
+  // Junto a las casillas de votos (preferencia del equipo) para transcribir y verificar mirando el acta
+  const renderActaFoto = anforaId => {
+    const foto = State.getFoto(anforaId);
+    const img  = UI.$('actaFotoImg');
+    if (foto) img.src = foto.src; else img.removeAttribute('src');
+    img.classList.toggle('hidden', !foto);
+    UI.$('actaFotoEmpty').classList.toggle('hidden', !!foto);
+    UI.$('actaFotoMeta').textContent = foto ? fotoMeta(foto) : '';
+    UI.$('btnActaFoto').textContent = foto ? '📷 Reemplazar' : '📷 Fotografiar / subir';
+    UI.$('btnActaQuitar').classList.toggle('hidden', !foto);
+    UI.$('btnActaLado').classList.toggle('hidden', !foto);
+    const side = !!foto && Storage.getPref('acta_lado')==='1';
+    UI.$('actaSplit').classList.toggle('acta-side', side);
+    UI.$('btnActaLado').textContent = side ? '⇅ Foto arriba' : '⇆ Al lado de los votos';
+    UI.clearErr('errActa');
+  };
+
+  const makeActaThumb = anforaId => {
+    const foto = State.getFoto(anforaId);
+    if (!foto) return null;
+    const img = UI.el('img','acta-thumb');
+    img.src = foto.src; img.alt = 'Foto del acta'; img.title = 'Ver foto del acta';
+    img.addEventListener('click', () => openActa(anforaId));
+    return img;
+  };
+
+  const refreshFoto = anforaId => { renderActaFoto(anforaId); renderResultAnfora(anforaId); renderAnforas(); };
+
+  const openActa = anforaId => {
+    const foto = State.getFoto(anforaId);
+    if (!foto) return;
+    const a = State.getAnforas().find(x=>x.id===anforaId);
+    UI.$('actaModalTitle').textContent = `Acta de la mesa ${a?.num||''}`;
+    UI.$('actaFullImg').src = foto.src;
+    UI.$('actaFullMeta').textContent = fotoMeta(foto);
+    UI.openModal('modalActa');
+  };
+
+  // Observaciones del acta antes de guardar; null oculta el panel
+  const renderActaChecks = issues => {
+    const box = UI.$('actaChecks');
+    box.innerHTML='';
+    UI.$('btnGuardar').textContent = issues?.length ? '⚑ Guardar con observaciones' : '💾 Guardar';
+    box.classList.toggle('hidden', !issues?.length);
+    if (!issues?.length) return;
+    const errors = issues.some(i=>i.level==='error');
+    box.className = `acta-checks ${errors?'acta-checks-error':'acta-checks-warn'}`;
+    box.appendChild(UI.el('div','acta-checks-ttl', errors ? 'El acta no cuadra:' : 'Valores atípicos en el acta:'));
+    const ul = UI.el('ul');
+    issues.forEach(i => ul.appendChild(UI.el('li', `acta-check-${i.level}`, i.msg)));
+    box.appendChild(ul);
+    box.appendChild(UI.el('div','acta-checks-foot','Revisa el acta física. Si los datos son correctos, pulsa de nuevo para guardar con observaciones.'));
+  };
+
+  const renderVerify = (anforaId, pending, diffs) => {
+    const notice = UI.$('verifyNotice');
+    const card = UI.$('cardDiscrepancia');
+    const hhmm = ts => new Date(ts).toLocaleTimeString('es-BO',{hour:'2-digit',minute:'2-digit'});
+    notice.classList.toggle('hidden', !pending && !State.getSettings().doubleEntry);
+    card.classList.toggle('hidden', !pending?.second);
+    if (!pending) {
+      notice.className = 'verify-notice';
+      notice.textContent = State.getResult(anforaId)
+        ? 'Doble digitación activa: una corrección quedará pendiente hasta que otro operador la verifique.'
+        : 'Doble digitación activa: esta será la 1ª digitación del acta.';
+      return;
+    }
+    if (!pending.second) {
+      notice.className = 'verify-notice verify-pending';
+      notice.textContent = `◐ Pendiente de verificación — 1ª digitación por ${pending.first.operator} (${hhmm(pending.first.ts)}). Otro operador debe ingresar el acta nuevamente.`;
+      return;
+    }
+    notice.className = 'verify-notice verify-mismatch';
+    notice.textContent = `⚠ Las digitaciones no coinciden en ${diffs.length} campo${diffs.length!==1?'s':''}. Revisa el acta física y resuelve la discrepancia.`;
+    UI.$('discHead1').textContent = `1ª · ${pending.first.operator}`;
+    UI.$('discHead2').textContent = `2ª · ${pending.second.operator}`;
+    const tbody = UI.$('tbodyDiscrepancia');
+    tbody.innerHTML='';
+    diffs.forEach(k => {
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td(fieldLabel(k),'td-name'));
+      tr.appendChild(UI.td(UI.fmt(pending.first.votes[k]||0),'td-num'));
+      tr.appendChild(UI.td(UI.fmt(pending.second.votes[k]||0),'td-num'));
+      tbody.appendChild(tr);
+    });
+  };
+
   const updateComputed = () => {
     let t=0;
     document.querySelectorAll('.vcard-inp').forEach(i=>t+=parseInt(i.value)||0);
     t+=parseInt(UI.$('iVBlancos').value)||0;
     t+=parseInt(UI.$('iVNulos').value)||0;
-    UI.$('computedBox').textContent=UI.fmt(t);
+    // Contra los habilitados mientras se escribe, sin esperar a guardar
+    const hab=State.getHabilitados(UI.$('selAnfora').value);
+    const box=UI.$('computedBox');
+    box.textContent=UI.fmt(t);
+    box.classList.toggle('computed-over', hab>0 && t>hab);
+    box.title = hab>0 ? (t>hab ? `Supera los ${UI.fmt(hab)} habilitados` : `De ${UI.fmt(hab)} habilitados`) : '';
+  };
+
+  /* ── Entrada rápida ── */
+  // Preferencia del equipo: cada operador la activa en su puesto
+  const isRapid = () => Storage.getPref('rapida')==='1';
+
+  const renderRapid = () => {
+    const on = isRapid();
+    UI.$('chkRapida').checked = on;
+    UI.$('fldMesaCod').classList.toggle('hidden', !on);
+    UI.$('rapidKeys').classList.toggle('hidden', !on);
   };
 
   const renderResultAnfora = anforaId => {
@@ -541,6 +2666,10 @@ const Views = (() => {
     const card = UI.$('cardResultAnfora');
     if (!result) { card.style.display='none'; return; }
     card.style.display='';
+    const foto = State.getFoto(anforaId);
+    const thumb = UI.$('resultActaThumb');
+    if (foto) thumb.src = foto.src; else thumb.removeAttribute('src');
+    thumb.classList.toggle('hidden', !foto);
     const tbody = UI.$('tbodyResultAnfora');
     tbody.innerHTML='';
     const cands = State.getCandidates();
@@ -565,82 +2694,184 @@ const Views = (() => {
       const barTd=document.createElement('td'); barTd.appendChild(UI.makeBar(v,total,color,8)); tr.appendChild(barTd);
       tbody.appendChild(tr);
     });
+    Object.entries(ACTA_CONTROL).forEach(([k,label])=>{
+      if (result[k]===undefined) return;
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td(label,'td-muted'));
+      tr.appendChild(UI.td(UI.fmt(result[k]),'td-num'));
+      tr.appendChild(UI.td('—','td-num'));
+      tr.appendChild(UI.td(''));
+      tbody.appendChild(tr);
+    });
   };
 
-  /* ════ STATISTICS / DASHBOARD ════ */
-  const renderStats = () => {
-    const s = State.getStats();
+  /* ════ HISTORIAL DE ACTAS ════ */
+  let _histMesa = null;
 
-    // ── KPI Row 1 ──
-    const kpis1 = [
-      { label:'Mesas',            val:`${s.processed}/${s.anforas.length}`, sub:'procesadas de '+s.anforas.length, cls:'' },
-      { label:'Votos Válidos',    val:UI.fmt(s.totalValidos), sub:`de ${UI.fmt(s.totalHab)} habilitados`, cls:'accent' },
-      { label:'Participación',    val:s.participacion.toFixed(1)+'%', sub:'sobre electores habilitados', cls:'' },
-      { label:'Mesas Faltantes',  val:s.faltantes, sub:'sin procesar aún', cls:s.faltantes>0?'red':'green' },
-    ];
-    renderKPIGrid('kpiGrid', kpis1);
+  const fieldLabel = key => {
+    if (key==='blancos') return 'En Blanco';
+    if (key==='nulos')   return 'Nulos';
+    if (ACTA_CONTROL[key]) return ACTA_CONTROL[key];
+    const c = State.getCandidates().find(c=>c.id===key);
+    return c ? c.name : 'Candidato eliminado';
+  };
 
-    // ── MTS HERO PANEL ──
-    const mts = s.mtsCandidate;
-    const mtsV = s.mtsVotes;
-    const leader = s.sorted[0];
-    const second = s.sorted.find(c=>c.id!==mts?.id);
+  const voteKeys = (...vs) => {
+    const keys = State.getCandidates().map(c=>c.id);
+    vs.forEach(v => Object.keys(v||{}).forEach(k => { if (!keys.includes(k) && k!=='blancos' && k!=='nulos' && !ACTA_CONTROL[k]) keys.push(k); }));
+    return [...keys, 'blancos', 'nulos', ...Object.keys(ACTA_CONTROL).filter(k => vs.some(v => v && v[k]!==undefined))];
+  };
+
+  const fmtTs = ts => new Date(ts).toLocaleString('es-BO');
+
+  const renderHistorial = () => {
+    const hist = State.getHistory();
+    const ids = Object.keys(hist).filter(id=>hist[id].length);
+    const list = UI.$('histMesaList');
+    list.innerHTML='';
+    UI.$('countHistorial').textContent = `${ids.length} mesa${ids.length!==1?'s':''}`;
+    UI.$('emptyHistorial').style.display = ids.length ? 'none' : '';
+    if (_histMesa && !hist[_histMesa]) _histMesa = null;
+
+    ids.forEach(id => {
+      const entries = hist[id];
+      const last = entries[entries.length-1];
+      const anf = State.getAnforas().find(a=>a.id===id);
+      const item = UI.el('button','hist-mesa');
+      if (id===_histMesa) item.classList.add('active');
+      item.appendChild(UI.el('div','hist-mesa-num', `Mesa ${last.num}`));
+      item.appendChild(UI.el('div','hist-mesa-meta', `${anf?anf.recinto:'Mesa eliminada'} · ${entries.length} versi${entries.length!==1?'ones':'ón'} · ${fmtTs(last.ts)}`));
+      if (entries.length>1) item.appendChild(UI.makeBadge(`${entries.length-1} corrección${entries.length>2?'es':''}`,'sbadge-pending'));
+      item.addEventListener('click', ()=>{ _histMesa=id; renderHistorial(); });
+      list.appendChild(item);
+    });
+
+    const detail = UI.$('histDetail');
+    if (!_histMesa) { detail.classList.add('hidden'); return; }
+    detail.classList.remove('hidden');
+    const entries = hist[_histMesa];
+    UI.$('histTitle').textContent = `Mesa ${entries[entries.length-1].num} — ${entries.length} versi${entries.length!==1?'ones':'ón'}`;
+
+    const selA = UI.$('histVerA'), selB = UI.$('histVerB');
+    const prevA = selA.dataset.mesa===_histMesa ? selA.value : '', prevB = selB.dataset.mesa===_histMesa ? selB.value : '';
+    [selA, selB].forEach(sel => {
+      sel.innerHTML=''; sel.dataset.mesa=_histMesa;
+      entries.forEach((e,i) => sel.appendChild(new Option(`v${i+1} · ${fmtTs(e.ts)}`, String(i))));
+    });
+    selA.value = prevA || String(Math.max(0, entries.length-2));
+    selB.value = prevB || String(entries.length-1);
+    renderHistCompare();
+
+    const tl = UI.$('histTimeline');
+    tl.innerHTML='';
+    [...entries].reverse().forEach((e, ri) => {
+      const i = entries.length-1-ri;
+      const box = UI.el('div','hist-entry');
+      const head = UI.el('div','hist-entry-head');
+      head.appendChild(UI.el('span','hist-ver',`v${i+1}`));
+      head.appendChild(UI.el('span','hist-ts',fmtTs(e.ts)));
+      head.appendChild(UI.el('span','hist-op',`Operador: ${e.operator}`));
+      box.appendChild(head);
+      const kind = !e.prev ? 'Registro inicial del acta' : !e.next ? 'Votos borrados' : 'Corrección';
+      box.appendChild(UI.el('div','hist-kind', e.reason ? `${kind} · Motivo: ${e.reason}` : kind));
+      const changes = voteKeys(e.prev, e.next).filter(k => ((e.prev||{})[k]||0)!==((e.next||{})[k]||0));
+      const ul = UI.el('div','hist-changes');
+      changes.forEach(k => {
+        const a=(e.prev||{})[k]||0, b=(e.next||{})[k]||0;
+        ul.appendChild(UI.el('div','hist-change', `${fieldLabel(k)}: ${UI.fmt(a)} → ${UI.fmt(b)} (${b-a>0?'+':''}${UI.fmt(b-a)})`));
+      });
+      box.appendChild(ul);
+      tl.appendChild(box);
+    });
+  };
+
+  const renderHistCompare = () => {
+    const entries = State.getHistory(_histMesa);
+    const a = entries[parseInt(UI.$('histVerA').value)], b = entries[parseInt(UI.$('histVerB').value)];
+    const tbody = UI.$('tbodyHistCompare');
+    tbody.innerHTML='';
+    if (!a || !b) return;
+    let ta=0, tb=0;
+    voteKeys(a.next, b.next).forEach(k => {
+      const va=(a.next||{})[k]||0, vb=(b.next||{})[k]||0;
+      if (!ACTA_CONTROL[k]) { ta+=va; tb+=vb; }
+      const tr=document.createElement('tr');
+      if (va!==vb) tr.className='row-changed';
+      tr.appendChild(UI.td(fieldLabel(k),'td-name'));
+      tr.appendChild(UI.td(a.next?UI.fmt(va):'—','td-num'));
+      tr.appendChild(UI.td(b.next?UI.fmt(vb):'—','td-num'));
+      tr.appendChild(UI.td(va===vb?'':`${vb-va>0?'+':''}${UI.fmt(vb-va)}`,'td-num'));
+      tbody.appendChild(tr);
+    });
+    const tr=document.createElement('tr'); tr.className='row-total';
+    [['Total','td-name'],[UI.fmt(ta),'td-num'],[UI.fmt(tb),'td-num'],[ta===tb?'':`${tb-ta>0?'+':''}${UI.fmt(tb-ta)}`,'td-num']].forEach(([v,c])=>tr.appendChild(UI.td(v,c)));
+    tbody.appendChild(tr);
+  };
+
+  /* ════ STATISTICS / DASHBOARD ════ */
+  const renderStats = () => {
+    const s = State.getStats();
+
+    // ── KPI Row 1 ──
+    const kpis1 = [
+      { label:'Mesas',            val:`${s.processed}/${s.anforas.length}`, sub:'procesadas de '+s.anforas.length+(s.anuladas?` · ${s.anuladas} anulada${s.anuladas!==1?'s':''}`:''), cls:'' },
+      { label:'Votos Válidos',    val:UI.fmt(s.totalValidos), sub:`de ${UI.fmt(s.totalHab)} habilitados`, cls:'accent' },
+      { label:'Participación',    val:s.participacion.toFixed(1)+'%', sub:'sobre habilitados de mesas procesadas', cls:'' },
+      { label:'Mesas Faltantes',  val:s.faltantes, sub:'sin procesar aún', cls:s.faltantes>0?'red':'green' },
+    ];
+    renderKPIGrid('kpiGrid', kpis1);
+    renderProvisional(s);
+
+    // ── Panel de la candidatura propia ──
+    const focus = s.focusCandidate;
+    const focusV = s.focusVotes;
+    const leader = s.sorted[0];
+    const second = s.sorted.find(c=>c.id!==focus?.id);
+    const brand = State.getBranding();
+    UI.$('mtsHeroCard').classList.toggle('hidden', !focus);
+    UI.$('secondaryStats').classList.toggle('hidden', !focus);
+    if (focus) {
+      UI.$('heroPartido').textContent = focus.party || brand.titulo;
+      UI.$('heroNombre').textContent  = focus.name;
+      UI.$('heroCargo').textContent   = [`Candidato a ${s.cargo?.name||''}`, brand.subtitulo, brand.municipio].filter(Boolean).join(' · ');
+    }
 
-    if (UI.$('heroVotos')) UI.$('heroVotos').textContent = UI.fmt(mtsV);
-    if (UI.$('heroPct'))   UI.$('heroPct').textContent   = UI.pct(mtsV, s.totalValidos);
+    if (UI.$('heroVotos')) UI.$('heroVotos').textContent = UI.fmt(focusV);
+    if (UI.$('heroPct'))   UI.$('heroPct').textContent   = UI.pct(focusV, s.totalValidos);
     if (UI.$('heroPos')) {
-      const pos = s.mtsPosition;
+      const pos = s.focusPosition;
       UI.$('heroPos').textContent = pos ? (pos===1?'🥇 1°':`${pos}°`) : '—';
     }
 
-    // Win probability — simple Bayesian-like estimate
-    let winProb = '—';
-    if (s.processed>0 && mts && s.totalValidos>0) {
-      const mtsShare = mtsV / s.totalValidos;
-      const leaderShare = leader?.votes/s.totalValidos || 0;
-      const processed_ratio = s.processed / s.anforas.length;
-      // If MTS leads: prob increases as more processed. If behind: estimate based on gap and remaining mesas
-      if (mts.id === leader?.id) {
-        const confidence = Math.min(95, 50 + processed_ratio * 45);
-        winProb = confidence.toFixed(0)+'%';
-      } else {
-        const gap = (leaderShare - mtsShare) * s.totalValidos;
-        const remainingAnf = s.anforas.length - s.processed;
-        const avgPerAnf = s.processed>0 ? mtsV/s.processed : 0;
-        const projected = mtsV + avgPerAnf * remainingAnf;
-        const leaderProjected = leader.votes + (leader.votes/s.processed)*remainingAnf;
-        if (projected > leaderProjected) {
-          winProb = Math.min(70, 30 + processed_ratio*40).toFixed(0)+'%';
-        } else {
-          winProb = Math.max(5, 30 - gap/10).toFixed(0)+'%';
-        }
-      }
-    }
+    // Probabilidad de victoria: remuestreo de la proyección por zona (ver Projection)
+    const proj = Projection.project(s);
+    const focusProj = proj && focus ? proj.cands.find(c=>c.id===focus.id) : null;
+    const winProb = focusProj ? `${focusProj.winProb.toFixed(0)}%` : '—';
     if (UI.$('heroProb')) UI.$('heroProb').textContent = winProb;
 
     // Hero bar
     if (UI.$('mtsHeroBar')) {
-      const w = s.totalValidos>0 ? Math.max(2, mtsV/s.totalValidos*100) : 0;
+      const w = s.totalValidos>0 ? Math.max(2, focusV/s.totalValidos*100) : 0;
       UI.$('mtsHeroBar').style.width = w+'%';
     }
     if (UI.$('mtsHeroBarLabel')) {
       if (s.processed>0 && s.totalValidos>0) {
-        UI.$('mtsHeroBarLabel').textContent = `${UI.pct(mtsV, s.totalValidos)} de los votos válidos`;
+        UI.$('mtsHeroBarLabel').textContent = `${UI.pct(focusV, s.totalValidos)} de los votos válidos`;
       } else {
         UI.$('mtsHeroBarLabel').textContent = 'Sin datos ingresados';
       }
     }
 
     // Right panel: ventaja/desventaja
-    if (UI.$('mtsVentaja') && mts) {
+    if (UI.$('mtsVentaja') && focus) {
       if (s.processed>0 && second) {
-        const diff = mtsV - second.votes;
+        const diff = focusV - second.votes;
         const sign = diff>0?'+':diff<0?'':'+';
         UI.$('mtsVentaja').textContent = sign + UI.fmt(Math.abs(diff));
         UI.$('mtsVentajaSub').textContent = diff>=0 ? `sobre ${second.name.split(' ')[0]}` : `detrás de ${leader.name.split(' ')[0]}`;
         const badge = UI.$('mtsTrendBadge');
         if (badge) {
-          if (mts.id===leader.id) { badge.textContent='🏆 LIDERANDO'; badge.className='mts-trend-badge mts-trend-winning'; }
+          if (focus.id===leader.id) { badge.textContent='🏆 LIDERANDO'; badge.className='mts-trend-badge mts-trend-winning'; }
           else { badge.textContent='📊 Persiguiendo'; badge.className='mts-trend-badge mts-trend-chasing'; }
         }
       } else {
@@ -651,15 +2882,15 @@ const Views = (() => {
       }
     }
 
-    // ── Estadísticas secundarias MTS ──
-    if (UI.$('statFaltantes') && mts) {
-      if (s.processed>0 && leader && mts.id!==leader.id) {
-        const gap = leader.votes - mtsV;
+    // ── Estadísticas secundarias de la candidatura propia ──
+    if (UI.$('statFaltantes') && focus) {
+      if (s.processed>0 && leader && focus.id!==leader.id) {
+        const gap = leader.votes - focusV;
         UI.$('statFaltantes').textContent = UI.fmt(gap);
         UI.$('statFaltantesSub').textContent = `votos para alcanzar a ${leader.name.split(' ')[0]}`;
-      } else if (mts.id===leader?.id && s.processed>0) {
+      } else if (focus.id===leader?.id && s.processed>0) {
         const secondCand = s.sorted[1];
-        const lead = mtsV - (secondCand?.votes||0);
+        const lead = focusV - (secondCand?.votes||0);
         UI.$('statFaltantes').textContent = '+'+UI.fmt(lead);
         UI.$('statFaltantesSub').textContent = 'votos de ventaja sobre el 2°';
       } else {
@@ -668,21 +2899,21 @@ const Views = (() => {
       }
     }
     if (UI.$('statAnforasLead')) {
-      UI.$('statAnforasLead').textContent = s.mtsAnforasLeading;
+      UI.$('statAnforasLead').textContent = s.focusAnforasLeading;
       UI.$('statAnforasLeadSub').textContent = `de ${s.processed} procesadas`;
     }
-    if (UI.$('statPromedio') && mts) {
-      const avg = s.processed>0 ? (mtsV/s.processed).toFixed(1) : '0';
+    if (UI.$('statPromedio') && focus) {
+      const avg = s.processed>0 ? (focusV/s.processed).toFixed(1) : '0';
       UI.$('statPromedio').textContent = avg;
     }
-    if (UI.$('statProyeccion') && mts && s.processed>0) {
-      const avg = mtsV/s.processed;
-      const proj = Math.round(avg * s.anforas.length);
-      UI.$('statProyeccion').textContent = UI.fmt(proj);
-      UI.$('statProyeccionSub').textContent = `≈${UI.pct(proj, s.totalHab)} del padrón`;
+    if (UI.$('statProyeccion') && focusProj) {
+      UI.$('statProyeccion').textContent = UI.fmt(focusProj.proj);
+      UI.$('statProyeccionSub').textContent = `IC 95%: ${UI.fmt(focusProj.lo)} – ${UI.fmt(focusProj.hi)}`;
     } else if (UI.$('statProyeccion')) {
       UI.$('statProyeccion').textContent = '—';
+      UI.$('statProyeccionSub').textContent = 'estimado al 100% de mesas, por zona';
     }
+    renderProjection(proj, s.focusCandidate);
 
     // ── PIE CHART ──
     const pieData = s.sorted.filter(c=>c.votes>0).map(c=>({ label:c.name, value:c.votes, color:c.color }));
@@ -695,12 +2926,12 @@ const Views = (() => {
     barContainer.innerHTML='';
     if (s.sorted.length>0 && s.totalValidos>0) {
       s.sorted.forEach(c=>{
-        const isMTS = c.name.toUpperCase()===MTS_CANDIDATE_NAME;
+        const isFocus = c.id===s.focusCandidate?.id;
         const item = UI.el('div','hbar-item');
-        if (isMTS) item.classList.add('hbar-item-mts');
+        if (isFocus) item.classList.add('hbar-item-mts');
         const lbl  = UI.el('div','hbar-label',c.name.length>22?c.name.slice(0,20)+'…':c.name);
         lbl.title=c.name;
-        if (isMTS) lbl.style.fontWeight='800';
+        if (isFocus) lbl.style.fontWeight='800';
         const track= UI.el('div','hbar-track');
         const fill = UI.el('div','hbar-fill');
         fill.style.background=c.color;
@@ -724,9 +2955,9 @@ const Views = (() => {
       empty.style.display='none';
       s.sorted.forEach((c,i)=>{
         const tr=document.createElement('tr');
-        const isMTS = c.name.toUpperCase()===MTS_CANDIDATE_NAME;
+        const isFocus = c.id===s.focusCandidate?.id;
         if (i===0) tr.className='row-leader';
-        if (isMTS) tr.classList.add('row-mts');
+        if (isFocus) tr.classList.add('row-mts');
         const rankSpan=UI.el('span',`td-rank${i===0?' rank-1':''}`,i===0?'★ 1°':`${i+1}°`);
         tr.appendChild(UI.td(rankSpan));
         const nameWrap=UI.el('span');
@@ -742,6 +2973,11 @@ const Views = (() => {
       });
     }
 
+    renderTerritorio();
+    renderMapa();
+    renderEvolucion();
+    renderPaquetes();
+
     // ── ZONA CHARTS ──
     const zonaContainer = UI.$('zonaCharts');
     const emptyZona = UI.$('emptyZona');
@@ -786,332 +3022,2414 @@ const Views = (() => {
         });
         zonaContainer.appendChild(card);
       });
-    }
+    }
+
+    // ── ANFORA BREAKDOWN ──
+    const bHead = UI.$('breakHead');
+    const bBody = UI.$('breakBody');
+    const emptyB = UI.$('emptyBreak');
+    bHead.innerHTML=''; bBody.innerHTML='';
+    const processed = s.anforas.filter(a=>s.results[a.id]);
+    const cmp = Historico.compare(s);
+    const deltaCol = cmp?.level==='mesa' && s.focusCandidate;
+    if(processed.length===0){emptyB.style.display='';}
+    else {
+      emptyB.style.display='none';
+      ['Mesa','Recinto','Zona',...s.cands.map(c=>c.alias||c.name.slice(0,8)),'Blanco','Nulos','Total',...(deltaCol?[`Δ ${focusLabel(s)} vs ${cmp.label}`]:[])].forEach(h=>{
+        const th=document.createElement('th'); th.textContent=h; bHead.appendChild(th);
+      });
+      processed.forEach(a=>{
+        const r=s.results[a.id]; let rowTotal=0;
+        const tr=document.createElement('tr');
+        tr.appendChild(UI.td(a.num,'td-name')); tr.appendChild(UI.td(a.recinto)); tr.appendChild(UI.td(a.ubicacion||'—','td-muted'));
+        s.cands.forEach(c=>{ const v=r[c.id]||0; rowTotal+=v; tr.appendChild(UI.td(UI.fmt(v),'td-num')); });
+        const b=r.blancos||0, n=r.nulos||0; rowTotal+=b+n;
+        tr.appendChild(UI.td(UI.fmt(b),'td-num')); tr.appendChild(UI.td(UI.fmt(n),'td-num')); tr.appendChild(UI.td(UI.fmt(rowTotal),'td-num'));
+        if (deltaCol) { const d=cmp.mesaSwing(a.id); tr.appendChild(UI.td(d===null?'—':fmtPP(d), d===null?'td-num td-muted':`td-num ${d>=0?'pp-up':'pp-down'}`)); }
+        bBody.appendChild(tr);
+      });
+    }
+
+    renderSeats(s);
+    renderObservadas(s);
+    renderComparison(s, cmp);
+
+    // ── KPI Row 2 ──
+    const kpis2 = [
+      { label:'Votos en Blanco',  val:UI.fmt(s.blancos), sub:`${UI.pct(s.blancos,s.totalEmitido)} del total emitido`, cls:'' },
+      { label:'Votos Nulos',      val:UI.fmt(s.nulos),   sub:`${UI.pct(s.nulos,s.totalEmitido)} del total emitido`,   cls:'' },
+      { label:'Total Emitido',    val:UI.fmt(s.totalEmitido), sub:'válidos + blancos + nulos', cls:'' },
+      { label:`Mesas ${focusLabel(s)}`, val:s.focusAnforasLeading, sub:`mesas donde ${focusLabel(s)} va primero`, cls:s.focusAnforasLeading>0?'green':'' },
+    ];
+    renderKPIGrid('kpiGrid2', kpis2);
+
+    // ── TV UPDATE ──
+    renderTV(s);
+    updateSidebar();
+  };
+
+  /* ── Comparación con la elección anterior ── */
+  const fmtPP = d => `${d>0?'+':''}${d.toFixed(1)} pp`;
+  const fmtPct = v => v===null ? '—' : v.toFixed(1)+'%';
+  const ppTd = d => UI.td(d===null ? '—' : fmtPP(d), d===null ? 'td-num td-muted' : `td-num ${d>=0?'pp-up':'pp-down'}`);
+
+  const renderComparison = (s, cmp) => {
+    UI.$('btnHistClear').classList.toggle('hidden', !cmp);
+    UI.$('histCmpBody').classList.toggle('hidden', !cmp || !cmp.comparables);
+    UI.$('histCmpChip').textContent = !cmp ? 'Sin datos anteriores'
+      : `${cmp.label} · por ${cmp.level} · ${cmp.comparables}/${cmp.conDatos} recintos comparables${cmp.unmatched?` · ${cmp.unmatched} fila${cmp.unmatched!==1?'s':''} sin emparejar`:''}`;
+    if (!cmp || !cmp.comparables) return;
+
+    const tbS = UI.$('tbodySwing');
+    tbS.innerHTML='';
+    [...cmp.swing].sort((a,b)=>b.swing-a.swing).forEach(c => {
+      const tr=document.createElement('tr');
+      if (c.id===s.focusCandidate?.id) tr.className='row-mts';
+      tr.appendChild(UI.td(c.alias||c.name,'td-name'));
+      tr.appendChild(UI.td(c.mapped ? fmtPct(c.anterior) : 'no participó','td-num td-muted'));
+      tr.appendChild(UI.td(fmtPct(c.actual),'td-num'));
+      tr.appendChild(ppTd(c.swing));
+      tbS.appendChild(tr);
+    });
+    if (cmp.otros>0.05) {
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td('Otros partidos anteriores','td-muted'));
+      tr.appendChild(UI.td(fmtPct(cmp.otros),'td-num td-muted'));
+      tr.appendChild(UI.td('—','td-num td-muted'));
+      tr.appendChild(ppTd(-cmp.otros));
+      tbS.appendChild(tr);
+    }
+
+    const tbZ = UI.$('tbodyTurnoutZona');
+    tbZ.innerHTML='';
+    cmp.zonas.forEach(z => {
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td(z.zona,'td-name'));
+      tr.appendChild(UI.td(fmtPct(z.anterior),'td-num td-muted'));
+      tr.appendChild(UI.td(fmtPct(z.actual),'td-num'));
+      tr.appendChild(ppTd(z.delta));
+      tbZ.appendChild(tr);
+    });
+
+    UI.$('histFocusHead').textContent = s.focusCandidate ? `Swing ${focusLabel(s)}` : 'Swing';
+    const tbM = UI.$('tbodyMovers');
+    tbM.innerHTML='';
+    cmp.recintos.slice(0,10).forEach(r => {
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td(r.recinto,'td-name'));
+      tr.appendChild(UI.td(r.zona,'td-muted'));
+      tr.appendChild(UI.td(r.volatilidad.toFixed(1),'td-num'));
+      tr.appendChild(ppTd(r.focusSwing));
+      tr.appendChild(UI.td(r.gana ? `${r.gana.c.alias||r.gana.c.name} ${fmtPP(r.gana.d)}` : '—'));
+      tr.appendChild(ppTd(r.turnoutDelta));
+      tbM.appendChild(tr);
+    });
+  };
+
+  /* ── Proyección por zona con intervalo bootstrap ── */
+  const renderProjection = (proj, focus) => {
+    UI.$('projBody').style.display  = proj ? '' : 'none';
+    UI.$('emptyProj').style.display = proj ? 'none' : '';
+    UI.$('projChip').textContent = proj ? `${proj.cobertura.toFixed(1)}% de habilitados reportado` : 'Sin datos';
+    const tbody = UI.$('tbodyProj');
+    tbody.innerHTML='';
+    UI.$('projZonas').innerHTML='';
+    if (!proj) return;
+    UI.$('projIter').textContent = UI.fmt(proj.iter);
+    proj.cands.forEach(c => {
+      const tr=document.createElement('tr');
+      if (c.id===focus?.id) tr.className='row-mts';
+      const nameCell=UI.el('span','');
+      const dot=UI.el('span'); dot.style.cssText=`display:inline-block;width:9px;height:9px;border-radius:50%;background:${c.color};margin-right:7px;vertical-align:middle`;
+      nameCell.appendChild(dot); nameCell.appendChild(document.createTextNode(c.name));
+      tr.appendChild(UI.td(nameCell,'td-name'));
+      tr.appendChild(UI.td(UI.fmt(c.actual),'td-num td-muted'));
+      tr.appendChild(UI.td(UI.fmt(c.proj),'td-num'));
+      tr.appendChild(UI.td(`${UI.fmt(c.lo)} – ${UI.fmt(c.hi)}`,'td-num td-muted'));
+      tr.appendChild(UI.td(`${c.winProb.toFixed(1)}%`,'td-num'));
+      tbody.appendChild(tr);
+    });
+    const ul = UI.el('ul','proj-zonas');
+    proj.zonas.forEach(z => ul.appendChild(UI.el('li','',
+      `${z.zona}: ${z.reportadas}/${z.mesas} mesas reportadas` +
+      (z.habPend>0 ? ` · ${UI.fmt(z.habPend)} habilitados por proyectar${z.pooled?' (usa la tasa general)':''}` : ' · completa'))));
+    UI.$('projZonas').appendChild(ul);
+  };
+
+  /* ── Reparto de escaños del cargo activo ── */
+  const renderSeatStrip = (id, seats) => {
+    const strip = UI.$(id);
+    strip.innerHTML='';
+    seats.rows.forEach(p => {
+      for (let i=0; i<p.seats; i++) {
+        const seat = UI.el('span','seat'); seat.style.background=p.color; seat.title=p.name;
+        strip.appendChild(seat);
+      }
+    });
+  };
+
+  const renderSeats = s => {
+    const cargo = s.cargo;
+    const metodoSel = UI.$('iSeatsMetodo');
+    if (!metodoSel.options.length) Object.entries(SEAT_METHODS).forEach(([k,label]) => {
+      const o=document.createElement('option'); o.value=k; o.textContent=label; metodoSel.appendChild(o);
+    });
+    UI.$('iSeatsN').value = cargo?.escanos||0;
+    metodoSel.value = cargo?.metodo||'dhondt';
+    UI.$('iSeatsUmbral').value = cargo?.umbral||0;
+
+    const seats = Seats.forStats(s);
+    UI.$('seatsBody').style.display  = seats ? '' : 'none';
+    UI.$('emptySeats').style.display = seats ? 'none' : '';
+    UI.$('seatsChip').textContent = seats
+      ? `${seats.label} · ${seats.escanos} escaño${seats.escanos!==1?'s':''}${seats.umbral>0?` · umbral ${seats.umbral}%`:''}`
+      : 'Sin reparto';
+    if (!seats) return;
+    renderSeatStrip('seatStrip', seats);
+
+    const head = UI.$('seatsHead');
+    head.innerHTML='';
+    const cols = seats.quotients
+      ? ['Partido','Votos',...seats.divisors.map(d=>`÷${d}`),'Escaños','Faltan para el próximo']
+      : ['Partido','Votos','Votos / cociente','Enteros','Residuo','Escaños','Faltan para el próximo'];
+    cols.forEach((h,i)=>{ const th=document.createElement('th'); th.textContent=h; if(i>0) th.style.textAlign='right'; head.appendChild(th); });
+
+    const tbody = UI.$('tbodySeats');
+    tbody.innerHTML='';
+    seats.rows.forEach(p => {
+      const tr=document.createElement('tr');
+      if (!p.eligible) tr.className='row-muted';
+      const nameCell=UI.el('span','');
+      const dot=UI.el('span','seat'); dot.style.background=p.color;
+      nameCell.appendChild(dot); nameCell.appendChild(document.createTextNode(p.alias||p.name));
+      if (!p.eligible && p.votes>0) nameCell.appendChild(UI.el('span','td-muted',' · bajo umbral'));
+      tr.appendChild(UI.td(nameCell,'td-name'));
+      tr.appendChild(UI.td(UI.fmt(p.votes),'td-num'));
+      if (seats.quotients) {
+        seats.quotients[p.id].forEach(c => tr.appendChild(UI.td(UI.fmt(Math.round(c.q)), c.won ? 'td-num q-won' : 'td-num td-muted')));
+      } else {
+        const full = p.eligible ? Math.floor(p.votes/seats.quota) : 0;
+        tr.appendChild(UI.td(p.eligible ? (p.votes/seats.quota).toFixed(2) : '—','td-num'));
+        tr.appendChild(UI.td(full,'td-num'));
+        tr.appendChild(UI.td(p.eligible ? UI.fmt(Math.round(seats.remainder[p.id])) : '—', p.seats>full ? 'td-num q-won' : 'td-num'));
+      }
+      tr.appendChild(UI.td(p.seats,'td-num td-seats'));
+      tr.appendChild(UI.td(p.next===null ? '—' : `+${UI.fmt(p.next)}`,'td-num'));
+      tbody.appendChild(tr);
+    });
+  };
+
+  /* ── Mesas con observaciones de consistencia ── */
+  const renderObservadas = s => {
+    const obs = Rules.checkAll();
+    const list = s.anforas.filter(a=>obs[a.id]);
+    const tbody = UI.$('tbodyObservadas');
+    tbody.innerHTML='';
+    UI.$('countObservadas').textContent = `${list.length} mesa${list.length!==1?'s':''}`;
+    UI.$('emptyObservadas').style.display = list.length ? 'none' : '';
+    list.forEach(a => {
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td(a.num,'td-name'));
+      tr.appendChild(UI.td(a.recinto));
+      const ul=UI.el('ul','obs-list');
+      obs[a.id].forEach(i=>ul.appendChild(UI.el('li',`acta-check-${i.level}`,i.msg)));
+      tr.appendChild(UI.td(ul));
+      tbody.appendChild(tr);
+    });
+  };
+
+  /* ── Totales provisionales (incluyen mesas por verificar) ── */
+  const renderProvisional = s => {
+    const prov = s.provisional;
+    const card = UI.$('provCard');
+    card.classList.toggle('hidden', prov.pendientes===0);
+    if (prov.pendientes===0) return;
+    UI.$('provChip').textContent = `${prov.pendientes} mesa${prov.pendientes!==1?'s':''} por verificar · ${prov.processed}/${s.anforas.length} con datos`;
+    const wrap = UI.$('provBars');
+    wrap.innerHTML='';
+    const maxV = prov.sorted[0]?.votes||1;
+    prov.sorted.forEach(c => {
+      const extra = c.votes - (s.sorted.find(x=>x.id===c.id)?.votes||0);
+      const item = UI.el('div','hbar-item');
+      const lbl  = UI.el('div','hbar-label',c.name.length>22?c.name.slice(0,20)+'…':c.name); lbl.title=c.name;
+      const track= UI.el('div','hbar-track');
+      const fill = UI.el('div','hbar-fill prov-fill'); fill.style.background=c.color;
+      fill.style.width=Math.max(3,c.votes/maxV*100)+'%';
+      fill.appendChild(UI.el('span','hbar-val',UI.pct(c.votes,prov.totalValidos)));
+      track.appendChild(fill);
+      const num = UI.el('div','hbar-num',UI.fmt(c.votes));
+      num.title = extra>0 ? `+${UI.fmt(extra)} por verificar` : 'Sin votos por verificar';
+      const ex = UI.el('div','prov-extra',extra>0?`+${UI.fmt(extra)}`:'—');
+      item.appendChild(lbl); item.appendChild(track); item.appendChild(num); item.appendChild(ex);
+      wrap.appendChild(item);
+    });
+  };
+
+  /* ── Evolución: participación en los válidos y ventaja, acta por acta ── */
+  const renderEvolucion = () => {
+    const { cands, points } = State.getSeries();
+    const focus = State.getFocus();
+    const hora = ts => ts ? new Date(ts).toLocaleTimeString('es-BO', { hour:'2-digit', minute:'2-digit', hour12:false }) : 'Inicio';
+    const series = key => cands.map(c => ({ label:c.alias||c.name, color:c.color, bold:c.id===focus?.id, values:points.map(p=>p[key][c.id]) }));
+    const tip = key => i => {
+      const p = points[i];
+      const vals = [...cands].sort((a,b)=>p[key][b.id]-p[key][a.id]).map(c=>`${c.alias||c.name}: ${key==='lead'&&p.lead[c.id]>0?'+':''}${p[key][c.id].toFixed(1)}${key==='lead'?' pp':'%'}`);
+      return [`${p.num ? `Mesa ${p.num}` : 'Mesas sin hora registrada'} · ${hora(p.ts)} · ${p.mesas} mesa${p.mesas!==1?'s':''}`, ...vals].join('\n');
+    };
+    const opts = key => ({ fmt: v => key==='lead' ? `${v>0?'+':''}${v}` : `${v}%`, xLabel: i => hora(points[i].ts), tip: tip(key) });
+    UI.$('evoChip').textContent = points.length ? `${points.length} acta${points.length!==1?'s':''} en orden de llegada` : 'Sin actas';
+    LineChart.render('evoShare', series('share'), opts('share'));
+    LineChart.render('evoLead',  series('lead'),  opts('lead'));
+    const legend = UI.$('evoLegend');
+    legend.innerHTML='';
+    cands.forEach(c => {
+      const it = UI.el('div','pl-item');
+      const dot = UI.el('div','pl-dot'); dot.style.background=c.color;
+      it.appendChild(dot); it.appendChild(UI.el('span','pl-name',c.alias||c.name));
+      legend.appendChild(it);
+    });
+    UI.$('tvEvo').classList.toggle('hidden', points.length<2);
+    LineChart.render('tvEvoShare', series('share'), opts('share'));
+    LineChart.render('tvEvoLead',  series('lead'),  opts('lead'));
+  };
+
+  /* ── Resultados por territorio: un clic en la fila baja de nivel, las migas suben ── */
+  let _terrKey = '';
+
+  const terrPath = () => State.findNode(State.getTree(), _terrKey);
+
+  const renderTerritorio = () => {
+    const path = terrPath(), node = path.at(-1);
+    _terrKey = node.key;
+    const goTo = key => { _terrKey = key; renderTerritorio(); };
+
+    const crumbs = UI.$('terrCrumbs');
+    crumbs.innerHTML='';
+    path.forEach((n,i) => {
+      if (i) crumbs.appendChild(UI.el('span','terr-sep','›'));
+      const b = UI.el('button','terr-crumb',n.name);
+      b.type='button'; b.disabled = n===node; b.title = TERR_LEVELS[n.level];
+      b.addEventListener('click', ()=>goTo(n.key));
+      crumbs.appendChild(b);
+    });
+
+    const sum = UI.$('terrSummary');
+    sum.innerHTML='';
+    [
+      ['Ganador', node.winner?.name || '—'],
+      ['Votos válidos', UI.fmt(node.validos)],
+      ['Participación', node.processed ? node.turnout.toFixed(1)+'%' : '—'],
+      ['Avance', `${node.processed}/${node.mesas} mesas · ${node.progress.toFixed(0)}%`],
+    ].forEach(([l,v]) => {
+      const k = UI.el('div','terr-kpi');
+      k.appendChild(UI.el('div','terr-kpi-l',l)); k.appendChild(UI.el('div','terr-kpi-v',v));
+      sum.appendChild(k);
+    });
+    if (node.anulada) sum.appendChild(UI.makeBadge('⊘ Mesa anulada: fuera del cómputo','sbadge-error'));
+
+    const bars = UI.$('terrBars');
+    bars.innerHTML='';
+    const cands = [...State.getCandidates()].sort((a,b)=>(node.byCand[b.id]||0)-(node.byCand[a.id]||0));
+    const maxV = node.byCand[cands[0]?.id]||1;
+    if (node.validos>0) cands.forEach(c => {
+      const v = node.byCand[c.id]||0;
+      const item = UI.el('div','hbar-item');
+      const lbl  = UI.el('div','hbar-label',c.alias||c.name); lbl.title=c.name;
+      const track= UI.el('div','hbar-track');
+      const fill = UI.el('div','hbar-fill'); fill.style.background=c.color;
+      fill.style.width=Math.max(3,v/maxV*100)+'%';
+      fill.appendChild(UI.el('span','hbar-val',UI.fmt(v)));
+      track.appendChild(fill);
+      item.appendChild(lbl); item.appendChild(track); item.appendChild(UI.el('div','hbar-num',UI.pct(v,node.validos)));
+      bars.appendChild(item);
+    });
+
+    const tbody = UI.$('tbodyTerr');
+    tbody.innerHTML='';
+    UI.$('terrTable').classList.toggle('hidden', !node.children.length);
+    UI.$('emptyTerr').style.display = node.children.length || node.level!=='municipio' ? 'none' : '';
+    if (!node.children.length) return;
+    UI.$('terrLevelHead').textContent = TERR_LEVELS[node.children[0].level];
+    node.children.forEach(n => {
+      const tr = document.createElement('tr');
+      tr.className = n.anulada ? 'terr-row terr-anulada' : 'terr-row';
+      tr.tabIndex = 0;
+      tr.addEventListener('click', ()=>goTo(n.key));
+      tr.addEventListener('keydown', e=>{ if (e.key==='Enter') goTo(n.key); });
+      tr.appendChild(UI.td(n.name,'td-name'));
+      const win = UI.el('span');
+      if (n.winner) {
+        const dot = UI.el('span','zona-winner-dot'); dot.style.cssText=`display:inline-block;margin-right:7px;background:${n.winner.color}`;
+        win.appendChild(dot); win.appendChild(document.createTextNode(n.winner.alias||n.winner.name));
+      } else win.textContent = n.anulada ? 'Anulada' : '—';
+      tr.appendChild(UI.td(win, n.winner?'':'td-muted'));
+      tr.appendChild(UI.td(UI.fmt(n.validos),'td-num'));
+      tr.appendChild(UI.td(n.processed ? n.turnout.toFixed(1)+'%' : '—','td-num'));
+      const prog = UI.el('div','terr-prog');
+      prog.appendChild(UI.makeBar(n.processed, n.mesas, 'var(--verde)', 6));
+      prog.appendChild(UI.el('span','terr-prog-txt',`${n.processed}/${n.mesas}`));
+      tr.appendChild(UI.td(prog));
+      tbody.appendChild(tr);
+    });
+  };
+
+  /* ════ MAPA ════ */
+  const SIN_DATOS = '#c8b99a';
+  let _mapaSel = null;
+
+  const renderMapa = () => {
+    const capa = UI.$('selMapaCapa').value;
+    const focus = State.getFocus();
+    const recs = [];
+    const walk = (n, path) => n.level==='recinto' ? recs.push({ n, path }) : n.children.forEach(c=>walk(c, [...path, n]));
+    walk(State.getTree(), []);
+    const conGeo = recs.filter(r=>State.getGeo(r.n.recintoKey));
+    const sinGeo = recs.filter(r=>!State.getGeo(r.n.recintoKey));
+    const share = n => focus && n.validos ? (n.byCand[focus.id]||0)/n.validos : 0;
+    const maxHab = Math.max(1, ...conGeo.map(r=>r.n.hab));
+    const maxShare = Math.max(0.01, ...conGeo.map(r=>share(r.n)));
+    if (!conGeo.some(r=>r.n.key===_mapaSel)) _mapaSel = null;
+
+    const items = conGeo.map(({ n }) => {
+      const g = State.getGeo(n.recintoKey), hasData = n.validos>0;
+      const propia = capa==='propia' && focus;
+      return {
+        key:n.key, name:n.name, lat:g.lat, lon:g.lon, size:Math.sqrt(n.hab/maxHab), selected:n.key===_mapaSel,
+        color:   !hasData ? SIN_DATOS : propia ? focus.color : n.winner.color,
+        opacity: !hasData ? 0.5 : propia ? 0.15+0.8*share(n)/maxShare : 0.85,
+        title:   `${n.name} — ${hasData ? (propia ? `${focus.alias||focus.name} ${(share(n)*100).toFixed(1)}%` : `lidera ${n.winner.name}`) : 'sin votos computados'} · ${UI.fmt(n.hab)} habilitados`,
+      };
+    });
+    UI.$('emptyMapa').style.display = items.length ? 'none' : '';
+    UI.$('mapaSvg').parentElement.classList.toggle('hidden', !items.length);
+    RecintoMap.render(UI.$('mapaSvg'), items, key => { _mapaSel = key===_mapaSel ? null : key; renderMapa(); });
+
+    // Leyenda de la capa
+    const legend = UI.$('mapaLegend');
+    legend.innerHTML='';
+    const row = (color, label, opacity=1) => {
+      const it = UI.el('div','pl-item');
+      const dot = UI.el('div','pl-dot'); dot.style.background=color; dot.style.opacity=opacity;
+      it.appendChild(dot); it.appendChild(UI.el('span','pl-name',label));
+      legend.appendChild(it);
+    };
+    if (capa==='propia') {
+      if (!focus) legend.appendChild(UI.el('p','fld-hint','Elige la candidatura propia en Identidad de campaña para ver esta capa.'));
+      else {
+        legend.appendChild(UI.el('div','mapa-legend-ttl',`${focus.alias||focus.name} · % de votos válidos`));
+        [0, 0.5, 1].forEach(f => row(focus.color, `${(f*maxShare*100).toFixed(0)}%`, 0.15+0.8*f));
+      }
+    } else {
+      legend.appendChild(UI.el('div','mapa-legend-ttl','Partido que lidera'));
+      const lideres = State.getCandidates().filter(c => conGeo.some(r=>r.n.validos>0 && r.n.winner.id===c.id));
+      lideres.forEach(c => row(c.color, c.alias||c.name));
+    }
+    if (conGeo.some(r=>!r.n.validos)) row(SIN_DATOS, 'Sin votos computados', 0.5);
+
+    // Detalle del recinto elegido
+    const det = UI.$('mapaDetalle');
+    det.innerHTML='';
+    const sel = conGeo.find(r=>r.n.key===_mapaSel);
+    if (!sel) det.appendChild(UI.el('p','fld-hint','Toca un recinto para ver su detalle.'));
+    else {
+      const n = sel.n;
+      det.appendChild(UI.el('div','mapa-det-ttl',n.name));
+      det.appendChild(UI.el('div','mapa-det-sub',sel.path.slice(1).map(x=>x.name).reverse().join(' · ')));
+      [
+        ['Mesas computadas', `${n.processed}/${n.mesas}`],
+        ['Habilitados', UI.fmt(n.hab)],
+        ['Participación', n.processed ? n.turnout.toFixed(1)+'%' : '—'],
+        ['Lidera', n.winner?.name || '—'],
+        ...(focus ? [[focus.alias||focus.name, n.validos ? (share(n)*100).toFixed(1)+'%' : '—']] : []),
+      ].forEach(([l,v]) => {
+        const r = UI.el('div','mapa-det-row');
+        r.appendChild(UI.el('span',null,l)); r.appendChild(UI.el('strong',null,v));
+        det.appendChild(r);
+      });
+      const top = [...State.getCandidates()].sort((a,b)=>(n.byCand[b.id]||0)-(n.byCand[a.id]||0)).slice(0,5);
+      if (n.validos) top.forEach(c => {
+        const v = n.byCand[c.id]||0;
+        const r = UI.el('div','mapa-det-cand');
+        r.appendChild(UI.el('span','mapa-det-name',c.alias||c.name));
+        r.appendChild(UI.makeBar(v, n.validos, c.color, 6));
+        r.appendChild(UI.el('span','mapa-det-pct',UI.pct(v,n.validos)));
+        det.appendChild(r);
+      });
+    }
+
+    UI.$('cardSinGeo').classList.toggle('hidden', !sinGeo.length);
+    UI.$('chipSinGeo').textContent = `${sinGeo.length} de ${recs.length}`;
+    const list = UI.$('listSinGeo');
+    list.innerHTML='';
+    sinGeo.forEach(({ n, path }) => list.appendChild(UI.el('span','chip',`${n.name}${path.at(-1).level==='asiento' ? ` · ${path.at(-1).name}` : ''}`)));
+  };
+
+  /* ════ PAQUETES DE REPORTES ════ */
+  // Mesas marcadas en el armador: se conservan entre redibujos mientras existan
+  const _paqSel = new Set();
+
+  const paqSeleccion = () => State.getAnforas().filter(a=>_paqSel.has(a.id)).map(a=>a.id);
+
+  // modo: todas | computadas | ninguna
+  const paqMarcar = modo => {
+    _paqSel.clear();
+    State.getAnforas().forEach(a => { if (modo==='todas' || (modo==='computadas' && State.getResult(a.id))) _paqSel.add(a.id); });
+    renderPaquetes();
+  };
+
+  const renderPaquetes = () => {
+    const list = UI.$('paqList'), scroll = list.scrollTop;
+    const recintos = State.getRecintos();
+    const ids = new Set(State.getAnforas().map(a=>a.id));
+    [..._paqSel].forEach(id => { if (!ids.has(id)) _paqSel.delete(id); });
+    const toggle = (id, on) => on ? _paqSel.add(id) : _paqSel.delete(id);
+    const check = (checked, onChange) => {
+      const c = UI.el('input'); c.type='checkbox'; c.checked=checked;
+      c.addEventListener('change', () => { onChange(c.checked); renderPaquetes(); });
+      return c;
+    };
+
+    list.innerHTML='';
+    if (!recintos.length) list.appendChild(UI.el('p','fld-hint','No hay mesas registradas.'));
+    recintos.forEach(g => {
+      const marcadas = g.mesas.filter(a=>_paqSel.has(a.id)).length;
+      const row = UI.el('div','paq-rec');
+      const lbl = UI.el('label','toggle');
+      const chk = check(marcadas===g.mesas.length, on => g.mesas.forEach(a=>toggle(a.id, on)));
+      chk.indeterminate = marcadas>0 && marcadas<g.mesas.length;
+      lbl.appendChild(chk); lbl.appendChild(UI.el('span',null,g.recinto));
+      row.appendChild(lbl);
+      row.appendChild(UI.el('span','paq-sub',[g.ubicacion, `${marcadas}/${g.mesas.length}`].filter(Boolean).join(' · ')));
+      list.appendChild(row);
+      const mesas = UI.el('div','paq-mesas');
+      g.mesas.forEach(a => {
+        const m = UI.el('label', State.getResult(a.id) ? 'paq-mesa' : 'paq-mesa paq-sin');
+        m.title = `${MESA_ESTADOS[State.getEstado(a.id)].label}${State.getResult(a.id)?'':' · sin votos verificados'}${State.getFoto(a.id)?' · con foto del acta':''}`;
+        m.appendChild(check(_paqSel.has(a.id), on => toggle(a.id, on)));
+        m.appendChild(UI.el('span',null,a.num));
+        mesas.appendChild(m);
+      });
+      list.appendChild(mesas);
+    });
+    list.scrollTop = scroll;
+
+    const n = _paqSel.size, r = recintos.filter(g=>g.mesas.some(a=>_paqSel.has(a.id))).length;
+    UI.$('paqChip').textContent = n ? `${n} mesa${n>1?'s':''} · ${r} recinto${r>1?'s':''}` : 'Nada marcado';
+    UI.$('btnPaquete').disabled = !n || (!UI.$('chkPaqCert').checked && !UI.$('chkPaqRes').checked);
+  };
+
+  /* ════ TV VIEW ════ */
+  const renderTV = (s) => {
+    const focus = s.focusCandidate;
+    const focusV = s.focusVotes;
+
+    // Banner de la candidatura propia
+    if(UI.$('tvMtsBanner')) UI.$('tvMtsBanner').classList.toggle('hidden', !focus);
+    if(UI.$('tvMtsName'))   UI.$('tvMtsName').textContent = focus?.name || '';
+    if(UI.$('tvMtsVotos')) UI.$('tvMtsVotos').textContent = UI.fmt(focusV);
+    if(UI.$('tvMtsPct'))   UI.$('tvMtsPct').textContent   = UI.pct(focusV, s.totalValidos);
+    if(UI.$('tvMtsBar')) {
+      const w = s.totalValidos>0 ? Math.max(0, focusV/s.totalValidos*100) : 0;
+      UI.$('tvMtsBar').style.width = w+'%';
+    }
+    if(UI.$('tvMtsPos')) {
+      const pos = s.focusPosition;
+      UI.$('tvMtsPos').textContent = pos===1 ? '🏆 LIDERANDO' : pos>0 ? `Pos. ${pos}°` : '—';
+    }
+
+    // Scoreboard
+    const board = UI.$('tvScoreboard');
+    const seats = s.totalValidos>0 ? Seats.forStats(s) : null;
+    if (board) {
+      board.innerHTML='';
+      if (s.sorted.length===0 || s.totalValidos===0) {
+        const empty=UI.el('div','tv-empty','Sin datos — Iniciando conteo...');
+        board.appendChild(empty);
+      } else {
+        s.sorted.forEach((c,i) => {
+          const isFocus = c.id===s.focusCandidate?.id;
+          const row = UI.el('div',`tv-row${isFocus?' tv-row-mts':''}`);
+
+          const rank = UI.el('div','tv-rank', i===0?'🥇':`${i+1}°`);
+          const info = UI.el('div','tv-info');
+          const dot  = UI.el('span','tv-dot'); dot.style.background=c.color;
+          const name = UI.el('span','tv-name', c.name.length>32?c.name.slice(0,30)+'…':c.name);
+          if (isFocus) name.style.fontWeight='900';
+          info.appendChild(dot); info.appendChild(name);
+
+          const barWrap = UI.el('div','tv-bar-wrap');
+          const barFill = UI.el('div','tv-bar-fill');
+          barFill.style.background=c.color;
+          const maxV = s.sorted[0]?.votes||1;
+          barFill.style.width = Math.max(2, c.votes/maxV*100)+'%';
+          barWrap.appendChild(barFill);
+
+          const numBox = UI.el('div','tv-num');
+          const votes  = UI.el('div','tv-votes', UI.fmt(c.votes));
+          const pctEl  = UI.el('div','tv-pct',   UI.pct(c.votes, s.totalValidos));
+          numBox.appendChild(votes); numBox.appendChild(pctEl);
+          const seatRow = seats?.rows.find(x=>x.id===c.id);
+          if (seatRow?.seats) numBox.appendChild(UI.el('div','tv-seat-count',`${seatRow.seats} escaño${seatRow.seats!==1?'s':''}`));
+          const extra = (s.provisional.sorted.find(x=>x.id===c.id)?.votes||0) - c.votes;
+          if (extra>0) numBox.appendChild(UI.el('div','tv-prov',`+${UI.fmt(extra)} prov.`));
+
+          row.appendChild(rank); row.appendChild(info); row.appendChild(barWrap); row.appendChild(numBox);
+          board.appendChild(row);
+        });
+      }
+    }
+
+    // Escaños
+    UI.$('tvSeats').classList.toggle('hidden', !seats);
+    if (seats) {
+      UI.$('tvSeatsLbl').textContent = `Escaños proyectados (${seats.label}): ` +
+        seats.rows.filter(p=>p.seats>0).map(p=>`${p.alias||p.name} ${p.seats}`).join(' · ');
+      renderSeatStrip('tvSeatStrip', seats);
+    }
+
+    // Progress
+    const prog = s.anforas.length>0 ? s.processed/s.anforas.length*100 : 0;
+    if(UI.$('tvProcessed')) UI.$('tvProcessed').textContent = s.processed;
+    if(UI.$('tvTotal'))     UI.$('tvTotal').textContent     = s.anforas.length;
+    if(UI.$('tvPendientes')) UI.$('tvPendientes').textContent = s.provisional.pendientes>0 ? ` · ${s.provisional.pendientes} por verificar` : '';
+    if(UI.$('tvProgressBar')) UI.$('tvProgressBar').style.width = prog.toFixed(1)+'%';
+    if(UI.$('tvProgressPct')) UI.$('tvProgressPct').textContent = prog.toFixed(1)+'%';
+    if(UI.$('tvTotalVotos')) UI.$('tvTotalVotos').textContent = `Total emitido: ${UI.fmt(s.totalEmitido)}`;
+    if(UI.$('tvParticipacion')) UI.$('tvParticipacion').textContent = `Participación: ${s.participacion.toFixed(2)}%`;
+    if(UI.$('tvTotalHab')) UI.$('tvTotalHab').textContent = UI.fmt(s.totalHab);
+  };
+
+  /* ════ KPI GRID ════ */
+  const renderKPIGrid = (id, kpis) => {
+    const grid = UI.$(id);
+    grid.innerHTML='';
+    kpis.forEach(k=>{
+      const card=UI.el('div',`kpi-card ${k.cls||''}`);
+      card.appendChild(UI.el('div','kpi-lbl',k.label));
+      const val=UI.el('div','kpi-val'); val.textContent=k.val; val.title=String(k.val);
+      card.appendChild(val);
+      card.appendChild(UI.el('div','kpi-sub',k.sub));
+      grid.appendChild(card);
+    });
+  };
+
+  /* ── Edit modals ── */
+  const openEditCand = c => {
+    UI.$('editCandId').value=c.id; UI.$('editCandName').value=c.name;
+    UI.$('editCandParty').value=c.party||''; UI.$('editCandAlias').value=c.alias||'';
+    UI.$('editCandColor').value=c.color||'#1a3d2b';
+    UI.$('editCprev').style.background=c.color||'#1a3d2b';
+    UI.$('editChex').textContent=c.color||'#1a3d2b';
+    UI.clearErr('errEditCand'); UI.openModal('modalCand');
+  };
+
+  const openEditAnf = a => {
+    UI.$('editAnfId').value=a.id; UI.$('editAnfNum').value=a.num;
+    UI.$('editAnfRecinto').value=a.recinto; UI.$('editAnfUbic').value=a.ubicacion||''; UI.$('editAnfCirc').value=a.circ||'';
+    UI.$('editAnfEnc1').value=a.enc1||''; UI.$('editAnfEnc2').value=a.enc2||'';
+    UI.$('editAnfHab').value=a.habilitados||0;
+    UI.clearErr('errEditAnf'); UI.openModal('modalAnf');
+  };
+
+  const openEditDel = d => {
+    UI.$('editDelId').value=d.id; UI.$('editDelNombre').value=d.nombre;
+    UI.$('editDelCI').value=d.ci||''; UI.$('editDelTel').value=d.telefono||'';
+    UI.$('editDelRecinto').value=d.recinto||'';
+    UI.clearErr('errEditDel'); UI.openModal('modalDelegado');
+  };
+
+  let _pending = null;
+  const confirmAction = (type,id,title,msg) => {
+    UI.$('confirmTitle').textContent=title; UI.$('confirmMsg').textContent=msg;
+    _pending={type,id}; UI.openModal('modalConfirm');
+  };
+  const executePending = () => {
+    if(!_pending) return;
+    let undoable = _pending.type!=='cuenta';
+    if(_pending.type==='candidate') State.deleteCandidate(_pending.id);
+    if(_pending.type==='anfora')    State.deleteAnfora(_pending.id);
+    if(_pending.type==='delegado')  State.deleteDelegado(_pending.id);
+    if(_pending.type==='pending')   State.resolveEntry(_pending.id,'discard');
+    if(_pending.type==='historico') State.clearHistorico();
+    if(_pending.type==='cuenta') {
+      const r=Auth.eliminar(_pending.id);
+      if(!r.ok) alert(r.error);
+      clearCuentaForm(); renderCuentas();
+    }
+    if(_pending.type==='cargo') {
+      const r=State.deleteCargo(_pending.id);
+      if(!r.ok) { alert(r.error); undoable=false; }
+    }
+    if(_pending.type==='reset')     { State.reset(); renderAll(); UI.closeModal('modalConfirm'); _pending=null; undoToast(); return; }
+    // Sin redibujar el formulario: no se pierde lo que se está transcribiendo
+    if(_pending.type==='foto')      { State.clearFoto(_pending.id); refreshFoto(_pending.id); UI.closeModal('modalConfirm'); _pending=null; undoToast(); return; }
+    _pending=null; UI.closeModal('modalConfirm'); renderAll();
+    if(undoable) undoToast();
+  };
+
+  /* ── Deshacer / rehacer ── */
+  const undoToast = () => { const u=State.getUndo().undo; if(u) UI.toast(u, { label:'Deshacer', fn:undo }); };
+
+  const undo = () => {
+    const r=State.undo({ operator:Auth.current()?.nombre });
+    if(!r.ok) { UI.toast(r.error); return; }
+    renderAll();
+    UI.toast(`Se deshizo: ${r.label}`, { label:'Rehacer', fn:redo });
+  };
+
+  const redo = () => {
+    const r=State.redo({ operator:Auth.current()?.nombre });
+    if(!r.ok) { UI.toast(r.error); return; }
+    renderAll();
+    UI.toast(`Se rehízo: ${r.label}`, { label:'Deshacer', fn:undo });
+  };
+
+  const renderAll = () => {
+    UI.$('chkDoble').checked = !!State.getSettings().doubleEntry;
+    renderCargos(); renderBranding(); renderRapid(); renderCandidates(); renderAnforas(); renderDelegados(); renderIngresoSelector();
+    const sel=UI.$('selAnfora').value; if(sel) renderIngresoForm(sel);
+    renderStats(); renderHistorial(); renderSesion();
+  };
+
+  return { showStorageError, renderCargos, renderBranding, renderCandidates, renderAnforas, renderDelegados, renderIngresoSelector, renderIngresoForm, updateComputed, openEstado, renderEstadoNota, isRapid, renderRapid, renderActaFoto, refreshFoto, openActa, renderResultAnfora, renderActaChecks, renderHistorial, renderHistCompare, renderStats, terrPath, renderMapa, renderPaquetes, paqSeleccion, paqMarcar, renderAll, showView, renderSesion, renderCuentas, clearCuentaForm, openEditCand, openEditAnf, confirmAction, executePending, undo, redo };
+})();
+
+/* ════════════════════════════════════════════════════════
+   EXPORT — PDF con la identidad de campaña, hojas de cálculo
+════════════════════════════════════════════════════════ */
+const Export = (() => {
+  // Marca del partido dibujada cuando no hay logo legible
+  const markPDF = (doc, x, y, size) => {
+    const P = pts => pts.map(([px,py]) => [x+px*size/42, y+py*size/42]);
+    doc.circle(x+size/2, y+size/2, size/2-0.75, { fill:'#e8f0eb', stroke:'#1a3d2b', lw:1.5 });
+    doc.poly(P([[21,9],[33,30],[9,30]]), { stroke:'#1a3d2b', lw:2 });
+    doc.poly(P([[21,15],[29,28],[13,28]]), { fill:'#c9d4cd' });
+    doc.circle(x+size/2, y+size/2, 3*size/42, { fill:'#1a3d2b' });
+  };
+
+  // Huella de los datos: el mismo checksum que lleva el respaldo JSON tomado en ese momento
+  const dataHash = () => Backup.checksum(JSON.stringify(State.exportData()));
+
+  // Documento con el pie de la campaña: página, huella de datos y hora de generación
+  const createPDF = (b, hash, d) => Pdf.create({ footerH:30, footer:(doc, n, total) => {
+    const y = doc.H-doc.M-18;
+    doc.line(doc.M, y, doc.M+doc.cw, y, { stroke:'#ddd6c8', lw:1.5 });
+    doc.text(`${b.titulo} · Cómputo Propio · Uso exclusivo del partido`, doc.M, y+11, { size:7, color:'#9c9080', maxW:doc.cw-90 });
+    doc.text(`Página ${n} de ${total}`, doc.M+doc.cw, y+11, { size:7, bold:true, color:'#6b6450', align:'right' });
+    doc.text(`Huella de datos ${hash} · coincide con el checksum del respaldo JSON de este momento · Generado: ${d}`, doc.M, y+21, { size:6.5, color:'#9c9080', maxW:doc.cw });
+  } });
+
+  // Encabezado de página nueva: logo, distintivo, título y subtítulo; a la derecha h.right y la fecha
+  const headerPDF = (doc, logo, h) => {
+    doc.addPage();
+    const { M, cw } = doc;
+    if (logo) doc.image(logo, M, M, 44, 44); else markPDF(doc, M, M, 44);
+    const rightW = Math.min(cw*0.35, Math.max(Pdf.width(h.right, 10, true), Pdf.width(`Generado: ${h.date}`, 8)));
+    const leftW = cw-58-rightW-12;
+    doc.rect(M+58, M+2, Pdf.width(h.badge, 6.5, true)+14, 12, { fill:'#1a3d2b', r:2 });
+    doc.text(h.badge, M+65, M+10.5, { size:6.5, bold:true, color:'#ffffff' });
+    doc.text(h.title, M+58, M+31, { size:15, bold:true, color:'#1a3d2b', maxW:leftW });
+    doc.text(h.sub, M+58, M+42, { size:7.5, color:'#6b6450', maxW:leftW });
+    doc.text(h.right, M+cw, M+22, { size:10, bold:true, color:'#1a3d2b', align:'right', maxW:rightW });
+    doc.text(`Generado: ${h.date}`, M+cw, M+34, { size:8, color:'#6b6450', align:'right', maxW:rightW });
+    doc.line(M, M+54, M+cw, M+54, { stroke:'#1a3d2b', lw:3 });
+    doc.y = M+68;
+  };
+
+  // Fila de tarjetas: [{ l, v, s, kind:'accent'|'gold', small }]
+  const kpisPDF = (doc, kpis, h=54) => {
+    const kw = (doc.cw-(kpis.length-1)*8)/kpis.length;
+    doc.ensure(h+12);
+    kpis.forEach((k, i) => {
+      const x = doc.M+i*(kw+8), accent = k.kind==='accent', gold = k.kind==='gold';
+      doc.rect(x, doc.y, kw, h, { fill:accent?'#1a3d2b':gold?'#fdf4e3':'#f5f0e6', stroke:accent?'#142e20':gold?'#d9cdb8':'#ddd6c8', lw:0.75, r:6 });
+      doc.text(k.l.toUpperCase(), x+10, doc.y+15, { size:6.5, bold:true, color:accent?'#b3c2b8':gold?'#8a6810':'#6b6450', maxW:kw-20 });
+      doc.text(k.v, x+10, doc.y+(k.small?h-22:h-20), { size:k.small?10:15, bold:true, color:accent?'#ffffff':gold?'#8a6010':'#1a3d2b', maxW:kw-20 });
+      if (k.s) doc.text(k.s, x+10, doc.y+h-8, { size:6.5, color:accent?'#b3c2b8':'#6b6450', maxW:kw-20 });
+    });
+    doc.y += h+12;
+  };
+
+  // Título de sección con la barra de acento; reserva lugar para lo que sigue (keep)
+  const h2PDF = (doc, text, keep=60, x=doc.M, w=doc.cw) => {
+    doc.ensure(30+keep);
+    doc.y += 14;
+    doc.rect(x, doc.y, 3, 11, { fill:'#1a3d2b', r:1.5 });
+    doc.text(text.toUpperCase(), x+9, doc.y+8.5, { size:7.5, bold:true, color:'#1a3d2b', maxW:w-9 });
+    doc.line(x, doc.y+15, x+w, doc.y+15, { stroke:'#ddd6c8', lw:1.5 });
+    doc.y += 22;
+  };
+
+  // Tabla de resultados por candidato con la candidatura propia y el líder resaltados
+  const candTablePDF = (doc, s, b) => {
+    const focus = s.focusCandidate, top = s.sorted[0]?.votes||0, { cw } = doc;
+    doc.table([
+      { label:'Pos.', w:34 }, { label:'Candidato', w:150 }, { label:'Partido', w:104 },
+      { label:'Votos', w:52, align:'right' }, { label:'% Válidos', w:50, align:'right' }, { label:'% Hab.', w:45, align:'right' }, { label:'Proporción', w:cw-435 },
+    ], s.sorted.map((c, i) => {
+      const isFocus = c.id===focus?.id;
+      return [
+        { t:`${i+1}°`, bold:true, color:i===0?'#b08d3c':'#9c9080' },
+        { t:isFocus ? `${c.name} · ${b.sigla||c.alias||''}` : c.name, dot:c.color, bold:true, color:isFocus?'#1a3d2b':undefined },
+        { t:c.party||'—', size:7, color:'#6b6450' },
+        { t:UI.fmt(c.votes), bold:true, color:isFocus?'#1a3d2b':undefined },
+        UI.pct(c.votes,s.totalValidos),
+        { t:UI.pct(c.votes,s.totalHab), color:'#9c9080' },
+        { bar:{ frac:top ? c.votes/top : 0, color:c.color } },
+      ];
+    }), { size:8.5, rowH:20, rowFill:i => s.sorted[i].id===focus?.id ? '#f0f7f2' : i===0 ? '#fdfaf0' : null });
+  };
+
+  // path: camino de State.findNode hasta el territorio a exportar; sin él, el municipio completo
+  const toPDF = async path => {
+    path = path || [State.getTree()];
+    const node = path.at(-1), scoped = path.length>1;
+    const s = State.getStats(scoped ? new Set(node.ids) : undefined);
+    const b = State.getBranding(), focus = s.focusCandidate;
+    const d = new Date().toLocaleString('es-BO'), hash = dataHash();
+    const sub = [`Cómputo Electoral ${b.anio}`.trim(), b.municipio && `Municipio de ${b.municipio}`, scoped && path.slice(1).map(n=>n.name).join(' › '), s.cargo?.name].filter(Boolean).join(' · ');
+    const [logo, foto] = await Promise.all([Pdf.loadImage(b.logo), focus ? Pdf.loadImage(b.foto) : null]);
+
+    const doc = createPDF(b, hash, d);
+    const { M, cw } = doc;
+    headerPDF(doc, logo, { badge:'REPORTE ELECTORAL OFICIAL', title:b.titulo, sub, right:focus?.name || b.subtitulo, date:d });
+    kpisPDF(doc, [
+      { l:'Mesas', v:String(s.anforas.length), s:`${s.processed} procesadas` },
+      { l:'Votos válidos', v:UI.fmt(s.totalValidos), s:`${UI.fmt(s.totalHab)} habilitados`, kind:'accent' },
+      { l:'Participación', v:`${s.participacion.toFixed(1)}%`, s:'sobre habilitados de mesas procesadas' },
+      { l:'Candidato líder', v:s.sorted[0]?.name||'—', s:UI.pct(s.sorted[0]?.votes||0,s.totalValidos), kind:'gold', small:true },
+    ]);
+
+    // Candidatura propia
+    if (focus) {
+      doc.rect(M, doc.y, cw, 58, { fill:'#1a3d2b', r:7 });
+      const tx = foto ? M+66 : M+16;
+      if (foto) { doc.image(foto, M+14, doc.y+8, 42, 42, { fit:'cover', circle:true }); doc.circle(M+35, doc.y+29, 21, { stroke:'#8ea596', lw:1.5 }); }
+      doc.text((focus.party||b.titulo).toUpperCase(), tx, doc.y+24, { size:6.5, color:'#b3c2b8', maxW:cw*0.55 });
+      doc.text(focus.name, tx, doc.y+40, { size:13, bold:true, color:'#ffffff', maxW:cw*0.55 });
+      doc.text(UI.fmt(s.focusVotes), M+cw-16, doc.y+30, { size:20, bold:true, color:'#ffffff', align:'right' });
+      doc.text(`${UI.pct(s.focusVotes,s.totalValidos)} · Posición ${s.focusPosition}°`, M+cw-16, doc.y+44, { size:9, color:'#d1dbd4', align:'right' });
+      doc.y += 70;
+    }
+
+    // Distribución: dona vectorial y leyenda
+    const pieItems = s.sorted.filter(c=>c.votes>0).map(c=>({ label:c.name, value:c.votes, color:c.color }));
+    if (s.blancos>0) pieItems.push({ label:'Blanco', value:s.blancos, color:'#c8b99a' });
+    if (s.nulos>0)   pieItems.push({ label:'Nulos',  value:s.nulos,  color:'#9c9080' });
+    const total = pieItems.reduce((t,p)=>t+p.value, 0);
+    const legendH = pieItems.length*15;
+    h2PDF(doc, 'Distribución de votos', Math.max(170, legendH));
+    const cx = M+85, cy = doc.y+82, ro = 80, ri = 43;
+    if (total) {
+      let a = -Math.PI/2;
+      pieItems.forEach(p => {
+        const e = a+p.value/total*Math.PI*2;
+        doc.sector(cx, cy, ro, ri, a, e, { fill:p.color, stroke:'#ffffff', lw:1.5 });
+        a = e;
+      });
+    } else doc.circle(cx, cy, (ro+ri)/2, { stroke:'#ede8de', lw:ro-ri });
+    doc.text(UI.fmt(s.totalValidos), cx, cy+3, { size:16, bold:true, align:'center' });
+    doc.text('VOTOS VÁLIDOS', cx, cy+14, { size:6.5, color:'#6b6450', align:'center' });
+    const lx = M+190;
+    pieItems.forEach((p, i) => {
+      const y = doc.y+14+i*15;
+      doc.circle(lx+4, y-3, 4, { fill:p.color });
+      doc.text(p.label, lx+14, y, { size:8.5, bold:true, maxW:cw-190-74 });
+      doc.text(UI.pct(p.value,total), M+cw, y, { size:8.5, color:'#6b6450', align:'right' });
+    });
+    doc.y += Math.max(170, legendH+10);
+
+    h2PDF(doc, `Resultados por candidato · ${s.cargo?.name||''}`);
+    candTablePDF(doc, s, b);
+
+    // Los escaños se reparten sobre todo el municipio: no se proyectan para una parte
+    const seats = s.totalValidos>0 && !scoped ? Seats.forStats(s) : null;
+    if (seats) {
+      h2PDF(doc, `Escaños proyectados · ${seats.label}${seats.umbral>0?` · umbral ${seats.umbral}%`:''}`);
+      doc.table([
+        { label:'Partido', w:cw-270 }, { label:'Votos', w:80, align:'right' }, { label:'Escaños', w:70, align:'right' }, { label:'Faltan para el próximo', w:120, align:'right' },
+      ], seats.rows.map(p => {
+        const color = p.eligible ? undefined : '#9c9080';
+        return [{ t:`${p.alias||p.name}${p.eligible?'':' · bajo umbral'}`, dot:p.color, color }, { t:UI.fmt(p.votes), color }, { t:String(p.seats), bold:true, color }, { t:p.next===null?'—':'+'+UI.fmt(p.next), color }];
+      }));
+    }
+
+    if (node.children.length && node.children[0].level!=='mesa') {
+      const lvl = TERR_LEVELS[node.children[0].level];
+      h2PDF(doc, `Resultados por ${lvl}`);
+      doc.table([
+        { label:lvl, w:cw-350 }, { label:'Ganador', w:110 }, { label:'Votos válidos', w:80, align:'right' }, { label:'Participación', w:75, align:'right' }, { label:'Avance', w:85, align:'right' },
+      ], node.children.map(n => [
+        { t:n.name, bold:true }, n.winner ? { t:n.winner.alias||n.winner.name, dot:n.winner.color } : '—',
+        UI.fmt(n.validos), n.processed ? n.turnout.toFixed(1)+'%' : '—', `${n.processed}/${n.mesas} · ${n.progress.toFixed(0)}%`,
+      ]));
+    }
+
+    // Detalle por mesa: el encabezado se repite en cada página
+    const processedAnf = s.anforas.filter(a=>s.results[a.id]);
+    if (processedAnf.length) {
+      h2PDF(doc, 'Detalle por mesa', 40);
+      const nw = Math.min(36, (cw-200)/(s.cands.length+3));
+      const tw = cw-nw*(s.cands.length+3);
+      doc.table([
+        { label:'Cod.', w:tw*0.17 }, { label:'Recinto', w:tw*0.33 }, { label:'Zona', w:tw*0.25 }, { label:'Encargado', w:tw*0.25 },
+        ...s.cands.map(c=>({ label:c.alias||c.name.slice(0,10), w:nw, align:'right' })),
+        { label:'Blanco', w:nw, align:'right' }, { label:'Nulos', w:nw, align:'right' }, { label:'Total', w:nw, align:'right' },
+      ], processedAnf.map(a => {
+        const r = s.results[a.id], v = s.cands.map(c=>r[c.id]||0);
+        const t = v.reduce((x,y)=>x+y, 0)+(r.blancos||0)+(r.nulos||0);
+        return [{ t:a.num, bold:true }, a.recinto, { t:a.ubicacion||'—', color:'#6b6450' }, { t:a.enc1, color:'#6b6450' },
+          ...v.map(UI.fmt), UI.fmt(r.blancos||0), UI.fmt(r.nulos||0), { t:UI.fmt(t), bold:true }];
+      }), { size:7, rowH:15 });
+    }
+
+    doc.ensure(24);
+    doc.y += 14;
+    doc.text(`Total emitido: ${UI.fmt(s.totalEmitido)} · Habilitados: ${UI.fmt(s.totalHab)} · Participación: ${s.participacion.toFixed(2)}%`, M+cw, doc.y, { size:7.5, color:'#6b6450', align:'right' });
+
+    const name = `${fileBase()}${scoped ? '-'+slug(node.name) : ''}.pdf`;
+    UI.download(name, doc.finish({ title:`Reporte Electoral — ${b.titulo}`, subject:sub, keywords:`huella ${hash}` }));
+  };
+
+  /* ── Paquetes: certificado por mesa y resumen por recinto ── */
+  const resultadoLabel = anforaId => {
+    const p = State.getPending(anforaId);
+    return State.getResult(anforaId) ? 'Verificado' : p?.second ? 'Discrepancia' : p ? 'Por verificar' : 'Sin datos';
+  };
+
+  const circLabel = a => a.circ ? `Circ. ${a.circ}` : '';
+
+  // Una hoja por mesa con las cifras transcritas del cargo elegido, para el seguimiento legal del acta
+  const certificadoPDF = async (doc, logo, a, ctx) => {
+    const { b, d, hab } = ctx, { M, cw } = doc;
+    const r = State.getResult(a.id), estado = State.getEstado(a.id), last = State.getEstadoLog(a.id).at(-1);
+    const cargo = State.getCargo()?.name || '';
+    headerPDF(doc, logo, {
+      badge:'CERTIFICADO DE CÓMPUTO PROPIO', title:b.titulo, date:d, right:`Mesa ${a.num}`,
+      sub:[a.recinto, a.ubicacion, circLabel(a), b.municipio && `Municipio de ${b.municipio}`, cargo].filter(Boolean).join(' · '),
+    });
+    const h = State.getHistory(a.id).at(-1);
+    kpisPDF(doc, [
+      { l:'Mesa', v:a.num, s:cargo },
+      { l:'Recinto', v:a.recinto, s:[a.ubicacion, circLabel(a)].filter(Boolean).join(' · '), small:true },
+      { l:'Habilitados', v:UI.fmt(hab[a.id]||0) },
+      { l:'Estado', v:MESA_ESTADOS[estado].label, s:last ? `desde ${new Date(last.ts).toLocaleString('es-BO')}` : '', kind:MESA_ESTADOS[estado].paso===undefined ? 'gold' : 'accent', small:true },
+    ]);
+
+    // Cifras del acta a la izquierda, foto a la derecha
+    const top = doc.y, colW = 300, fx = M+colW+15, fw = cw-colW-15;
+    h2PDF(doc, `Cifras transcritas · ${cargo}`, 40, M, colW);
+    const cands = State.getActaOrder();
+    const val = r ? cands.reduce((t,c)=>t+(r[c.id]||0), 0) : 0, emi = r ? val+(r.blancos||0)+(r.nulos||0) : 0;
+    const n = v => r ? UI.fmt(v||0) : '—';
+    doc.table([
+      { label:'Candidato', w:150 }, { label:'Sigla', w:60 }, { label:'Votos', w:45, align:'right' }, { label:'% Válidos', w:45, align:'right' },
+    ], [
+      ...cands.map(c => [{ t:c.name, dot:c.color, bold:true }, { t:c.alias||'—', color:'#6b6450' }, { t:n(r?.[c.id]), bold:true }, r ? UI.pct(r[c.id]||0,val) : '—']),
+      [{ t:'Votos en blanco', color:'#6b6450' }, '', n(r?.blancos), ''],
+      [{ t:'Votos nulos', color:'#6b6450' }, '', n(r?.nulos), ''],
+      [{ t:'Votos válidos', bold:true }, '', { t:n(val), bold:true }, ''],
+      [{ t:'Total emitidos', bold:true }, '', { t:n(emi), bold:true }, r && hab[a.id] ? UI.pct(emi,hab[a.id]) : ''],
+    ], { x:M, w:colW, size:7.5, rowH:15, rowFill:i => i>=cands.length+2 ? '#f5f0e6' : null });
+    const control = Object.entries(ACTA_CONTROL).filter(([k])=>r && r[k]!==undefined && r[k]!==null);
+    if (control.length) {
+      doc.y += 12;
+      control.forEach(([k,label]) => {
+        doc.text(label, M+5, doc.y, { size:7.5, color:'#6b6450' });
+        doc.text(UI.fmt(r[k]), M+colW-5, doc.y, { size:7.5, bold:true, align:'right' });
+        doc.y += 11;
+      });
+    }
+    const leftEnd = doc.y;
+
+    doc.y = top;
+    h2PDF(doc, 'Acta', 40, fx, fw);
+    const fh = Math.max(leftEnd-doc.y, 260);
+    const src = State.getFoto(a.id);
+    const foto = src ? await Pdf.loadImage(src.src, 1200) : null;
+    doc.rect(fx, doc.y, fw, fh, { fill:'#f5f0e6', stroke:'#ddd6c8', lw:0.75, r:4 });
+    if (foto) doc.image(foto, fx+4, doc.y+4, fw-8, fh-8);
+    else doc.text(src ? 'No se pudo leer la foto del acta' : 'Sin foto del acta adjunta', fx+fw/2, doc.y+fh/2, { size:8, color:'#9c9080', align:'center' });
+    doc.y = Math.max(leftEnd, doc.y+fh);
+
+    // Observaciones: nota del estado, doble digitación y reglas del acta
+    const obs = [
+      last?.nota && `${MESA_ESTADOS[estado].label}: ${last.nota}`,
+      !r && State.getPending(a.id) && `Resultado ${resultadoLabel(a.id).toLowerCase()} en la doble digitación`,
+      ...(r ? Rules.check(a.id, r, hab).map(x=>(x.level==='error'?'Error: ':'Atención: ')+x.msg) : []),
+    ].filter(Boolean);
+    h2PDF(doc, 'Observaciones', 14*Math.max(1, obs.length));
+    (obs.length ? obs : ['Sin observaciones.']).forEach(t => { doc.text(t, M+5, doc.y+8, { size:8, color:obs.length?'#1a1a0f':'#9c9080', maxW:cw-10 }); doc.y += 13; });
+    if (h) { doc.text(`Última transcripción: ${new Date(h.ts).toLocaleString('es-BO')}${h.operator?` · ${h.operator}`:''}`, M+5, doc.y+8, { size:7, color:'#9c9080', maxW:cw-10 }); doc.y += 13; }
+
+    h2PDF(doc, 'Delegados de mesa', 50);
+    const person = (slot, name) => { const dl = State.findDelegado(name); return [slot, { t:name||'—', bold:true }, dl?.ci||'—', dl?.telefono||'—']; };
+    doc.table([{ label:'Cargo', w:110 }, { label:'Nombre', w:cw-300 }, { label:'CI', w:90 }, { label:'Teléfono', w:100 }],
+      [person('Encargado 1', a.enc1), ...(a.enc2 ? [person('Encargado 2', a.enc2)] : [])], { size:8, rowH:17 });
+
+    // Firmas
+    doc.ensure(46);
+    const sw = (cw-30)/2;
+    [a.enc1, a.enc2].forEach((name, i) => {
+      const x = M+i*(sw+30);
+      doc.line(x, doc.y+34, x+sw, doc.y+34, { stroke:'#9c9080', lw:0.75 });
+      doc.text(name && name!==ENC_PENDIENTE ? `Firma · ${name}` : 'Firma y sello', x+sw/2, doc.y+43, { size:7, color:'#9c9080', align:'center', maxW:sw });
+    });
+    doc.y += 46;
+  };
+
+  // Una hoja por recinto: totales, resultados por candidato y el estado de cada mesa
+  const resumenPDF = (doc, logo, g, ctx) => {
+    const { b, d, hab } = ctx, { cw } = doc;
+    const s = State.getStats(new Set(g.mesas.map(a=>a.id)));
+    const a0 = g.mesas[0], anuladas = g.mesas.filter(a=>State.isAnulada(a.id)).length;
+    headerPDF(doc, logo, {
+      badge:'RESUMEN POR RECINTO', title:g.recinto, date:d, right:b.titulo,
+      sub:[g.ubicacion, circLabel(a0), b.municipio && `Municipio de ${b.municipio}`, s.cargo?.name].filter(Boolean).join(' · '),
+    });
+    kpisPDF(doc, [
+      { l:'Mesas', v:String(g.mesas.length), s:`${s.processed} computada${s.processed===1?'':'s'}${anuladas?` · ${anuladas} anulada${anuladas>1?'s':''}`:''}` },
+      { l:'Votos válidos', v:UI.fmt(s.totalValidos), s:`${UI.fmt(s.totalHab)} habilitados`, kind:'accent' },
+      { l:'Participación', v:`${s.participacion.toFixed(1)}%`, s:'sobre mesas computadas' },
+      { l:'Candidato líder', v:s.totalValidos ? s.sorted[0].name : '—', s:UI.pct(s.sorted[0]?.votes||0,s.totalValidos), kind:'gold', small:true },
+    ]);
+    h2PDF(doc, `Resultados por candidato · ${s.cargo?.name||''}`);
+    candTablePDF(doc, s, b);
+    h2PDF(doc, 'Mesas del recinto', 40);
+    doc.table([
+      { label:'Mesa', w:50 }, { label:'Estado', w:70 }, { label:'Resultado', w:70 }, { label:'Encargado 1', w:cw-445 }, { label:'Encargado 2', w:95 },
+      { label:'Hab.', w:40, align:'right' }, { label:'Válidos', w:40, align:'right' }, { label:'Emitidos', w:40, align:'right' }, { label:'Part.', w:40, align:'right' },
+    ], g.mesas.map(a => {
+      const r = State.getResult(a.id), def = MESA_ESTADOS[State.getEstado(a.id)];
+      const val = r ? State.getCandidates().reduce((t,c)=>t+(r[c.id]||0), 0) : 0, emi = r ? val+(r.blancos||0)+(r.nulos||0) : 0;
+      return [{ t:a.num, bold:true }, def.label, { t:resultadoLabel(a.id), color:r?undefined:'#9c9080' }, a.enc1||'—', { t:a.enc2||'—', color:'#6b6450' },
+        UI.fmt(hab[a.id]||0), r ? UI.fmt(val) : '—', r ? { t:UI.fmt(emi), bold:true } : '—', r && hab[a.id] ? UI.pct(emi,hab[a.id]) : '—'];
+    }), { size:7.5, rowH:16 });
+  };
+
+  // ids: mesas elegidas en el armador. Por recinto: primero su resumen, luego los certificados de sus mesas
+  const paquete = async (ids, { certificados=true, resumenes=true }={}) => {
+    const sel = new Set(ids);
+    const grupos = State.getRecintos().map(g=>({ ...g, elegidas:g.mesas.filter(a=>sel.has(a.id)) })).filter(g=>g.elegidas.length);
+    if (!grupos.length || (!certificados && !resumenes)) return;
+    const b = State.getBranding(), d = new Date().toLocaleString('es-BO'), hash = dataHash();
+    const ctx = { b, d, hab:State.getHabMap() };
+    const logo = await Pdf.loadImage(b.logo);
+    const doc = createPDF(b, hash, d);
+    for (const g of grupos) {
+      if (resumenes) resumenPDF(doc, logo, g, ctx);
+      if (certificados) for (const a of g.elegidas) await certificadoPDF(doc, logo, a, ctx);
+    }
+    const kind = certificados && resumenes ? 'paquete' : certificados ? 'certificados' : 'resumenes';
+    UI.download(`${fileBase()}-${kind}.pdf`, doc.finish({ title:`${certificados?'Certificados de cómputo propio':'Resúmenes por recinto'} — ${b.titulo}`, subject:`${sel.size} mesas · ${grupos.length} recintos`, keywords:`huella ${hash}` }));
+  };
+
+  // Credencial de delegado: encabezado con logo, datos y línea de firma
+  const CRED_H = 148;
+  const credPDF = (doc, logo, b, x, w, dl, recinto, mesas) => {
+    const y = doc.y;
+    doc.rect(x, y, w, CRED_H, { fill:'#ffffff', stroke:'#1a3d2b', lw:1.5, r:6 });
+    if (logo) doc.image(logo, x+12, y+10, 30, 30); else markPDF(doc, x+12, y+10, 30);
+    doc.text(b.titulo, x+50, y+23, { size:8, bold:true, color:'#1a3d2b', maxW:w-62 });
+    doc.text('CREDENCIAL DE DELEGADO', x+50, y+33, { size:6.5, bold:true, color:'#6b6450', maxW:w-62 });
+    doc.line(x+12, y+46, x+w-12, y+46, { stroke:'#1a3d2b', lw:2 });
+    doc.text(dl.nombre, x+12, y+64, { size:11, bold:true, maxW:w-24 });
+    [['CI', dl.ci||'—'], ['Recinto', recinto], [mesas.length>1?'Mesas':'Mesa', mesas.join(', ')]].forEach(([l, v], i) => {
+      const lw = doc.text(`${l}: `, x+12, y+81+i*12, { size:8, color:'#6b6450' });
+      doc.text(v, x+12+lw, y+81+i*12, { size:8, bold:true, maxW:w-24-lw });
+    });
+    doc.line(x+24, y+CRED_H-22, x+w-24, y+CRED_H-22, { stroke:'#9c9080', lw:0.75 });
+    doc.text('Firma y sello', x+w/2, y+CRED_H-12, { size:7, color:'#9c9080', align:'center' });
+  };
+
+  // Lista de asignación y credenciales de delegados, una hoja por recinto
+  const credenciales = async () => {
+    const grupos = State.getRecintos();
+    if (!grupos.length) { UI.toast('Sin mesas registradas'); return; }
+    const b = State.getBranding(), d = new Date().toLocaleString('es-BO'), hash = dataHash();
+    const logo = await Pdf.loadImage(b.logo);
+    const doc = createPDF(b, hash, d);
+    const { M, cw } = doc, pw = (cw-240-45)/2, gap = 22, w = (cw-gap)/2;
+    const person = name => { const dl = State.findDelegado(name); return [{ t:name||'—', bold:true }, dl?.ci||'', dl?.telefono||'']; };
+    grupos.forEach(g => {
+      headerPDF(doc, logo, {
+        badge:'DELEGADOS POR RECINTO', title:g.recinto, date:d, right:b.titulo,
+        sub:[g.ubicacion, b.municipio && `Municipio de ${b.municipio}`, `Elecciones ${b.anio}`].filter(Boolean).join(' · '),
+      });
+      h2PDF(doc, 'Asignación de mesas', 40);
+      doc.table([
+        { label:'Mesa', w:45 }, { label:'Encargado 1', w:pw }, { label:'CI', w:60 }, { label:'Teléfono', w:60 },
+        { label:'Encargado 2', w:pw }, { label:'CI', w:60 }, { label:'Teléfono', w:60 },
+      ], g.mesas.map(a => [{ t:a.num, bold:true }, ...person(a.enc1), ...person(a.enc2)]), { size:8, rowH:17 });
+
+      const propias = nombre => g.mesas.filter(a=>a.enc1===nombre || a.enc2===nombre).map(a=>a.num);
+      const dels = State.getDelegados().filter(dl=>propias(dl.nombre).length);
+      if (!dels.length) return;
+      h2PDF(doc, 'Credenciales', CRED_H);
+      dels.forEach((dl, i) => {
+        if (i%2===0) { if (i) doc.y += CRED_H+gap; doc.ensure(CRED_H); }
+        credPDF(doc, logo, b, M+(i%2)*(w+gap), w, dl, g.recinto, propias(dl.nombre));
+      });
+      doc.y += CRED_H+gap;
+    });
+    UI.download(`${fileBase()}-delegados.pdf`, doc.finish({ title:`Delegados por recinto — ${b.titulo}`, subject:`${grupos.length} recintos`, keywords:`huella ${hash}` }));
+  };
+
+  /* ── Hojas de cálculo ── */
+  // Los encabezados fijos no cambian entre versiones: las planillas de los analistas los referencian.
+  // Entre ellos van las columnas de candidatos, tituladas con la sigla.
+  const r2 = v => Math.round(v*100)/100;
+  const share = (n, t) => t>0 ? r2(n/t*100) : 0;
+  const sigla = c => c.alias || c.name;
+
+  const sheets = () => {
+    const s = State.getStats(), cargo = s.cargo?.name || '';
+    const totales = [
+      ['Cargo','Posición','Candidato','Sigla','Partido','Votos','% Válidos','% Habilitados'],
+      ...s.sorted.map((c,i) => [cargo, i+1, c.name, c.alias||'', c.party||'', c.votes, share(c.votes,s.totalValidos), share(c.votes,s.totalHab)]),
+    ];
+    const mesas = [
+      ['Cargo','Mesa','Circunscripción','Asiento','Recinto','Habilitados',...s.cands.map(sigla),'Blancos','Nulos','Válidos','Emitidos'],
+      ...s.anforas.filter(a=>s.results[a.id]).map(a => {
+        const r = s.results[a.id], v = s.cands.map(c=>r[c.id]||0), val = v.reduce((t,x)=>t+x,0);
+        return [cargo, a.num, a.circ||'', a.ubicacion||'', a.recinto, s.habByAnfora[a.id]||0, ...v, r.blancos||0, r.nulos||0, val, val+(r.blancos||0)+(r.nulos||0)];
+      }),
+    ];
+    const zonas = [
+      ['Cargo','Asiento','Mesas computadas','Habilitados computados',...s.cands.map(sigla),'Válidos','Emitidos','Participación %'],
+      ...Object.values(s.byZona).map(z => [cargo, z.zona, z.anforas.length, z.hab, ...s.cands.map(c=>z.byCand[c.id]||0), z.votesTotal, z.emitido, share(z.emitido,z.hab)]),
+    ];
+    const estado = [
+      ['Mesa','Circunscripción','Asiento','Recinto','Estado','Desde','Nota','Resultado','Encargado 1','Encargado 2'],
+      ...State.getAnforas().map(a => {
+        const last = State.getEstadoLog(a.id).at(-1);
+        return [a.num, a.circ||'', a.ubicacion||'', a.recinto, MESA_ESTADOS[State.getEstado(a.id)].label, last?.ts||'', last?.nota||'', resultadoLabel(a.id), a.enc1||'', a.enc2||''];
+      }),
+    ];
+    return [
+      { key:'totales', name:'Totales', rows:totales },
+      { key:'mesas',   name:'Mesas',   rows:mesas },
+      { key:'zonas',   name:'Zonas',   rows:zonas },
+      { key:'estado',  name:'Estado',  rows:estado },
+    ];
+  };
+
+  const slug = t => String(t).toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'').replace(/[^a-z0-9]+/g,'-').replace(/^-|-$/g,'');
+  const fileBase = () => `computo-${slug(State.getCargo()?.name||'cargo')}-${UI.stamp()}`;
+
+  const toXLSX = () => UI.download(`${fileBase()}.xlsx`, Xlsx.write(sheets()));
+
+  // CSV (RFC 4180, UTF-8 con BOM para que Excel respete las tildes): una hoja por archivo
+  const toCSV = key => {
+    const sh = sheets().find(x=>x.key===key);
+    if (!sh) return;
+    const cell = v => { const t = String(v??''); return /[",\r\n]/.test(t) ? `"${t.replace(/"/g,'""')}"` : t; };
+    UI.download(`${fileBase()}-${key}.csv`, '\uFEFF'+sh.rows.map(r=>r.map(cell).join(',')).join('\r\n')+'\r\n', 'text/csv;charset=utf-8');
+  };
+
+  return { toPDF, paquete, credenciales, sheets, toXLSX, toCSV };
+})();
+
+/* ════════════════════════════════════════════════════════
+   RESPALDO JSON — Exportar / Importar
+════════════════════════════════════════════════════════ */
+const Backup = (() => {
+  const FORMAT  = 'mts-electoral-backup';
+  const VERSION = 2;   // v2: resultados, historial y digitaciones por cargo
+  let _incoming = null;
+
+  // FNV-1a 32 bits: suficiente para detectar archivos alterados o truncados
+  const checksum = str => {
+    let h = 0x811c9dc5;
+    for (let i=0; i<str.length; i++) { h ^= str.charCodeAt(i); h = Math.imul(h, 0x01000193) >>> 0; }
+    return h.toString(16).padStart(8,'0');
+  };
+
+  const exportJSON = () => {
+    const data = State.exportData();
+    const file = { format:FORMAT, version:VERSION, createdAt:new Date().toISOString(), checksum:checksum(JSON.stringify(data)), data };
+    UI.download(`respaldo-mts-${UI.stamp()}.json`, JSON.stringify(file, null, 2), 'application/json');
+  };
+
+  const isCount = v => Number.isInteger(v) && v>=0;
+
+  const validate = file => {
+    if (!file || typeof file!=='object') return { ok:false, error:'El archivo no contiene un objeto JSON.' };
+    if (file.format!==FORMAT) return { ok:false, error:'El archivo no es un respaldo del sistema de cómputo.' };
+    if (!Number.isInteger(file.version) || file.version>VERSION) return { ok:false, error:`Versión de respaldo no soportada (${file.version}).` };
+    const d = file.data;
+    if (!d || !Array.isArray(d.candidates) || !Array.isArray(d.anforas) || !d.results || typeof d.results!=='object')
+      return { ok:false, error:'Estructura inválida: faltan candidatos, ánforas o resultados.' };
+    if (checksum(JSON.stringify(d))!==file.checksum) return { ok:false, error:'El checksum no coincide: el archivo fue modificado o está dañado.' };
+    if (d.cargos!==undefined && !(Array.isArray(d.cargos) && d.cargos.every(c=>c && typeof c.id==='string' && typeof c.name==='string' && c.name.trim())))
+      return { ok:false, error:'Hay cargos sin id o nombre.' };
+    if (!d.candidates.every(c=>c && typeof c.id==='string' && typeof c.name==='string' && c.name.trim()))
+      return { ok:false, error:'Hay candidatos sin id o nombre.' };
+    if (!d.anforas.every(a=>a && typeof a.id==='string' && typeof a.num==='string' && typeof a.recinto==='string' && (a.circ===undefined || typeof a.circ==='string')))
+      return { ok:false, error:'Hay mesas sin id, código o recinto.' };
+    if (d.padron!==undefined && (!d.padron || typeof d.padron!=='object' || !Object.values(d.padron).every(isCount)))
+      return { ok:false, error:'El padrón por recinto tiene valores inválidos.' };
+    if (d.pending!==undefined && (!d.pending || typeof d.pending!=='object'))
+      return { ok:false, error:'Las digitaciones pendientes tienen un formato inválido.' };
+    if (d.history!==undefined && (!d.history || typeof d.history!=='object'))
+      return { ok:false, error:'El historial de actas tiene un formato inválido.' };
+    if (d.historico!==undefined && (!d.historico || typeof d.historico!=='object' || !Object.values(d.historico).every(h=>h && Array.isArray(h.rows))))
+      return { ok:false, error:'La elección anterior tiene un formato inválido.' };
+    if (d.fotos!==undefined && (!d.fotos || typeof d.fotos!=='object' || !Object.values(d.fotos).every(f=>f && typeof f.src==='string' && /^data:image\//.test(f.src))))
+      return { ok:false, error:'Las fotos de actas tienen un formato inválido.' };
+    if (d.delegados!==undefined && !(Array.isArray(d.delegados) && d.delegados.every(x=>x && typeof x.id==='string' && typeof x.nombre==='string' && x.nombre.trim())))
+      return { ok:false, error:'Hay delegados sin id o nombre.' };
+    if (d.geo!==undefined && (!d.geo || typeof d.geo!=='object' || !Object.values(d.geo).every(g=>g && Number.isFinite(g.lat) && Number.isFinite(g.lon))))
+      return { ok:false, error:'Las coordenadas de los recintos tienen un formato inválido.' };
+    if (d.estados!==undefined && (!d.estados || typeof d.estados!=='object' || !Object.values(d.estados).every(log=>Array.isArray(log) && log.every(e=>e && MESA_ESTADOS[e.estado] && typeof e.ts==='string'))))
+      return { ok:false, error:'Los estados de las mesas tienen un formato inválido.' };
+    // Los respaldos v1 (un solo cargo) se convierten antes de revisar resultados
+    const data = State.upgrade(JSON.parse(JSON.stringify(d)));
+    const cargoIds = new Set(data.cargos.map(c=>c.id));
+    if (!data.candidates.every(c=>cargoIds.has(c.cargoId)))
+      return { ok:false, error:'Hay candidatos sin un cargo válido.' };
+    const anfIds = new Set(data.anforas.map(a=>a.id));
+    for (const [cid, byAnf] of Object.entries(data.results)) {
+      if (!cargoIds.has(cid) || !byAnf || typeof byAnf!=='object') return { ok:false, error:`Resultados de un cargo inexistente (${cid}).` };
+      for (const [id, r] of Object.entries(byAnf)) {
+        if (!anfIds.has(id)) return { ok:false, error:`Resultado de una mesa inexistente (${id}).` };
+        if (!r || typeof r!=='object' || !Object.values(r).every(isCount))
+          return { ok:false, error:`Resultado inválido en la mesa ${data.anforas.find(a=>a.id===id).num}.` };
+      }
+    }
+    if (!Object.values(data.history).every(h => h && typeof h==='object' && Object.values(h).every(Array.isArray)))
+      return { ok:false, error:'El historial de actas tiene un formato inválido.' };
+    if (!Object.keys(data.estados||{}).every(id=>anfIds.has(id)))
+      return { ok:false, error:'Hay estados de mesas inexistentes.' };
+    if (!Object.keys(data.fotos||{}).every(id=>anfIds.has(id)))
+      return { ok:false, error:'Hay fotos de actas de mesas inexistentes.' };
+    return { ok:true, data };
+  };
+
+  const sumResult = r => Object.entries(r).reduce((s,[k,v])=>ACTA_CONTROL[k]?s:s+(v||0),0);
+  const countActas = results => Object.values(results).reduce((s,byAnf)=>s+Object.keys(byAnf).length,0);
+
+  const renderPreview = (file, data) => {
+    const cur  = State.exportData();
+    const plan = State.planMerge(data);
+    UI.$('backupMeta').textContent = `Respaldo generado el ${new Date(file.createdAt).toLocaleString('es-BO')} · checksum ${file.checksum}`;
+
+    const tbody = UI.$('tbodyBackupDiff');
+    tbody.innerHTML='';
+    [
+      // Combinar solo agrega: los catálogos existentes quedan como están y solo las actas pueden chocar
+      ['Cargos', cur.cargos.length, data.cargos.length, plan.cargoNew.length, null],
+      ['Candidatos', cur.candidates.length, data.candidates.length, plan.candNew.length, null],
+      ['Mesas', cur.anforas.length, data.anforas.length, plan.anfNew.length, null],
+      ['Actas con votos', countActas(cur.results), countActas(data.results), plan.resNew.length, plan.resConflict.length],
+      ['Ubicación de recintos', Object.keys(cur.geo).length, Object.keys(data.geo||{}).length, Object.keys(data.geo||{}).filter(k=>!cur.geo[k]).length, null],
+      ['Fotos de actas', Object.keys(cur.fotos).length, Object.keys(data.fotos||{}).length, Object.keys(data.fotos||{}).filter(id=>!cur.fotos[plan.anfMap[id]]).length, null],
+    ].forEach(([label,...nums])=>{
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td(label,'td-name'));
+      nums.forEach(n=>tr.appendChild(UI.td(n===null ? '—' : UI.fmt(n),'td-num')));
+      tbody.appendChild(tr);
+    });
+
+    const list = UI.$('backupConflicts');
+    list.innerHTML='';
+    plan.resConflict.forEach(c=>{
+      list.appendChild(UI.el('div','backup-conflict',`Mesa ${c.num} · ${c.cargo}: local ${UI.fmt(sumResult(c.local))} votos · respaldo ${UI.fmt(sumResult(c.incoming))} votos`));
+    });
+    list.style.display = plan.resConflict.length ? '' : 'none';
+  };
+
+  const openFile = file => {
+    const reader = new FileReader();
+    reader.onload = () => {
+      UI.clearErr('errBackup');
+      let parsed = null;
+      try { parsed = JSON.parse(reader.result); } catch(e) {}
+      const v = parsed ? validate(parsed) : { ok:false, error:'El archivo no es JSON válido.' };
+      _incoming = v.ok ? v.data : null;
+      UI.$('backupPreview').style.display = v.ok ? '' : 'none';
+      UI.$('btnBackupMerge').disabled   = !v.ok;
+      UI.$('btnBackupReplace').disabled = !v.ok;
+      if (v.ok) renderPreview(parsed, v.data);
+      else UI.setErr('errBackup', v.error);
+      UI.openModal('modalBackup');
+    };
+    reader.readAsText(file);
+  };
+
+  const apply = mode => {
+    if (!_incoming) return;
+    if (mode==='replace') State.replaceData(_incoming, 'Respaldo restaurado');
+    else {
+      const r = State.mergeData(_incoming);
+      if (r.conflicts>0) alert(`Se conservaron los datos locales en ${r.conflicts} mesa(s) con conflicto.`);
+    }
+    _incoming = null;
+    UI.closeModal('modalBackup');
+    Views.renderAll();
+  };
+
+  return { checksum, exportJSON, validate, openFile, apply };
+})();
+
+/* ════════════════════════════════════════════════════════
+   XLSX — lectura y escritura mínimas sin dependencias (ZIP + XML)
+════════════════════════════════════════════════════════ */
+const Xlsx = (() => {
+  const inflate = async bytes => {
+    if (typeof DecompressionStream==='undefined') throw new Error('Este navegador no puede leer archivos XLSX. Guarda la hoja como CSV.');
+    const stream = new Response(bytes).body.pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  };
+
+  // Lee el directorio central del ZIP y devuelve { nombre: Uint8Array }
+  const unzip = async buffer => {
+    const v = new DataView(buffer), bytes = new Uint8Array(buffer);
+    let eocd = -1;
+    for (let i=buffer.byteLength-22; i>=0; i--) if (v.getUint32(i,true)===0x06054b50) { eocd=i; break; }
+    if (eocd<0) throw new Error('El archivo no es un XLSX válido.');
+    const count = v.getUint16(eocd+10,true);
+    let p = v.getUint32(eocd+16,true);
+    const dec = new TextDecoder(), files = {};
+    for (let i=0; i<count; i++) {
+      const method = v.getUint16(p+10,true), size = v.getUint32(p+20,true);
+      const nLen = v.getUint16(p+28,true), xLen = v.getUint16(p+30,true), cLen = v.getUint16(p+32,true);
+      const local = v.getUint32(p+42,true);
+      const name = dec.decode(bytes.subarray(p+46, p+46+nLen));
+      const start = local + 30 + v.getUint16(local+26,true) + v.getUint16(local+28,true);
+      const raw = bytes.subarray(start, start+size);
+      files[name] = method===8 ? await inflate(raw) : raw;
+      p += 46 + nLen + xLen + cLen;
+    }
+    return files;
+  };
+
+  const colIndex = ref => {
+    const letters = ref.replace(/\d+/g,'');
+    let n=0; for (const ch of letters) n = n*26 + (ch.charCodeAt(0)-64);
+    return n-1;
+  };
+
+  // Devuelve las filas de la primera hoja como arreglo de arreglos de texto
+  const read = async buffer => {
+    const files = await unzip(buffer);
+    const dec = new TextDecoder();
+    const xml = name => new DOMParser().parseFromString(dec.decode(files[name]), 'application/xml');
+    const shared = files['xl/sharedStrings.xml']
+      ? [...xml('xl/sharedStrings.xml').getElementsByTagName('si')].map(si=>[...si.getElementsByTagName('t')].map(t=>t.textContent).join(''))
+      : [];
+    const sheetName = files['xl/worksheets/sheet1.xml'] ? 'xl/worksheets/sheet1.xml'
+      : Object.keys(files).filter(n=>/^xl\/worksheets\/[^/]+\.xml$/.test(n)).sort()[0];
+    if (!sheetName) throw new Error('El XLSX no contiene hojas.');
+    const rows = [];
+    [...xml(sheetName).getElementsByTagName('row')].forEach(rowEl => {
+      const row = [];
+      [...rowEl.getElementsByTagName('c')].forEach((c, i) => {
+        const ref = c.getAttribute('r');
+        const idx = ref ? colIndex(ref) : i;
+        const t = c.getAttribute('t');
+        const vEl = c.getElementsByTagName('v')[0];
+        let val = '';
+        if (t==='s') val = shared[parseInt(vEl?.textContent)] ?? '';
+        else if (t==='inlineStr') val = [...c.getElementsByTagName('t')].map(x=>x.textContent).join('');
+        else val = vEl ? vEl.textContent : '';
+        row[idx] = val;
+      });
+      rows.push(Array.from(row, x=>x??''));
+    });
+    return rows;
+  };
+
+  /* ── Escritura ── */
+  const CRC = Array.from({ length:256 }, (_, n) => { for (let k=0; k<8; k++) n = n&1 ? 0xEDB88320^(n>>>1) : n>>>1; return n>>>0; });
+  const crc32 = bytes => { let c = 0xFFFFFFFF; for (const b of bytes) c = CRC[(c^b)&0xFF]^(c>>>8); return (c^0xFFFFFFFF)>>>0; };
+
+  // ZIP sin compresión: basta para hojas de unos cientos de mesas y evita depender de CompressionStream
+  const zip = files => {
+    const enc = new TextEncoder(), parts = [], central = [];
+    const d = new Date();
+    const time = (d.getHours()<<11)|(d.getMinutes()<<5)|(d.getSeconds()>>1);
+    const date = ((d.getFullYear()-1980)<<9)|((d.getMonth()+1)<<5)|d.getDate();
+    let offset = 0;
+    Object.entries(files).forEach(([name, text]) => {
+      const nm = enc.encode(name), data = enc.encode(text), crc = crc32(data);
+      const loc = new DataView(new ArrayBuffer(30));
+      loc.setUint32(0, 0x04034b50, true);
+      [[4,20],[6,0x0800],[8,0],[10,time],[12,date]].forEach(([o,v]) => loc.setUint16(o, v, true));
+      loc.setUint32(14, crc, true); loc.setUint32(18, data.length, true); loc.setUint32(22, data.length, true);
+      loc.setUint16(26, nm.length, true);
+      const cen = new DataView(new ArrayBuffer(46));
+      cen.setUint32(0, 0x02014b50, true);
+      [[4,20],[6,20],[8,0x0800],[10,0],[12,time],[14,date]].forEach(([o,v]) => cen.setUint16(o, v, true));
+      cen.setUint32(16, crc, true); cen.setUint32(20, data.length, true); cen.setUint32(24, data.length, true);
+      cen.setUint16(28, nm.length, true); cen.setUint32(42, offset, true);
+      parts.push(loc, nm, data);
+      central.push(cen, nm);
+      offset += 30 + nm.length + data.length;
+    });
+    const size = central.reduce((t,x)=>t+x.byteLength, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, Object.keys(files).length, true); end.setUint16(10, Object.keys(files).length, true);
+    end.setUint32(12, size, true); end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type:'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+  };
+
+  const xmlEsc = v => String(v).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g,'');
+  const colName = i => (i>=26 ? colName(Math.floor(i/26)-1) : '') + String.fromCharCode(65+i%26);
+
+  // La primera fila es el encabezado (en negrita); números como número, el resto como texto
+  const sheetXml = rows => {
+    const body = rows.map((row, r) => `<row r="${r+1}">${row.map((v, c) => {
+      const ref = `${colName(c)}${r+1}`, st = r===0 ? ' s="1"' : '';
+      if (typeof v==='number' && Number.isFinite(v)) return `<c r="${ref}"${st}><v>${v}</v></c>`;
+      if (v===null || v===undefined || v==='') return '';
+      return `<c r="${ref}" t="inlineStr"${st}><is><t xml:space="preserve">${xmlEsc(v)}</t></is></c>`;
+    }).join('')}</row>`).join('');
+    return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews><sheetData>${body}</sheetData></worksheet>`;
+  };
+
+  // sheets: [{ name, rows }] → Blob .xlsx
+  const write = sheets => {
+    const NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const files = {
+      '[Content_Types].xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/><Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>${sheets.map((s,i)=>`<Override PartName="/xl/worksheets/sheet${i+1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')}</Types>`,
+      '_rels/.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${NS}/officeDocument" Target="xl/workbook.xml"/></Relationships>`,
+      'xl/workbook.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="${NS}"><sheets>${sheets.map((s,i)=>`<sheet name="${xmlEsc(s.name.replace(/[\[\]:*?/\\]/g,'').slice(0,31))}" sheetId="${i+1}" r:id="rId${i+1}"/>`).join('')}</sheets></workbook>`,
+      'xl/_rels/workbook.xml.rels': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((s,i)=>`<Relationship Id="rId${i+1}" Type="${NS}/worksheet" Target="worksheets/sheet${i+1}.xml"/>`).join('')}<Relationship Id="rId${sheets.length+1}" Type="${NS}/styles" Target="styles.xml"/></Relationships>`,
+      'xl/styles.xml': `<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts><fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills><borders count="1"><border/></borders><cellStyleXfs count="1"><xf/></cellStyleXfs><cellXfs count="2"><xf fontId="0"/><xf fontId="1" applyFont="1"/></cellXfs></styleSheet>`,
+    };
+    sheets.forEach((s,i) => { files[`xl/worksheets/sheet${i+1}.xml`] = sheetXml(s.rows); });
+    return zip(files);
+  };
+
+  return { read, write };
+})();
+
+/* ════════════════════════════════════════════════════════
+   PDF — escritura mínima: A4, fuentes base, JPEG y tablas que siguen de página
+   Las coordenadas van en puntos desde la esquina superior izquierda
+════════════════════════════════════════════════════════ */
+const Pdf = (() => {
+  const A4 = { w:595.28, h:841.89 };
+  const MARGIN = 40;
+
+  // Anchos de Helvetica y Helvetica-Bold (AFM, milésimas de em) para los caracteres 32–126
+  const W_REG = [278,278,355,556,556,889,667,191,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,278,278,584,584,584,556,
+    1015,667,667,722,722,667,611,778,722,278,500,667,556,833,722,778,667,778,722,667,611,722,667,944,667,667,611,278,278,278,469,556,
+    333,556,556,500,556,556,278,556,556,222,222,500,222,833,556,556,556,556,333,500,278,556,500,722,500,500,500,334,260,334,584];
+  const W_BOLD = [278,333,474,556,556,889,722,238,333,333,389,584,278,333,278,278,556,556,556,556,556,556,556,556,556,556,333,333,584,584,584,611,
+    975,722,722,722,722,667,611,778,722,278,556,722,611,833,722,778,667,778,722,667,611,722,667,944,667,667,611,333,278,333,584,556,
+    333,556,611,556,611,556,333,611,611,278,278,556,278,889,611,611,611,611,389,556,333,611,556,778,556,556,500,389,280,389,584];
+  const W_MISC = { '—':1000, '–':556, '…':1000, '·':278, '°':400, 'º':365, 'ª':370, '›':333, '‹':333, '•':350, '¿':611, '¡':333, '«':556, '»':556 };
+
+  // WinAnsiEncoding: Latin-1 más la puntuación tipográfica de 0x80–0x9F
+  const WIN = { '€':0x80, '‚':0x82, '„':0x84, '…':0x85, '‹':0x8B, '‘':0x91, '’':0x92, '“':0x93, '”':0x94, '•':0x95, '–':0x96, '—':0x97, '›':0x9B };
+  const code = ch => { const c = ch.charCodeAt(0); return ch.length===1 && (c<128 || (c>=0xA0 && c<=0xFF)) ? c : WIN[ch] || 63; };
+
+  const charW = (ch, bold) => {
+    const c = ch.charCodeAt(0);
+    if (c>=32 && c<=126) return (bold ? W_BOLD : W_REG)[c-32];
+    if (W_MISC[ch]) return W_MISC[ch];
+    const base = ch.normalize('NFD')[0];   // las vocales con tilde miden lo mismo que su base
+    return base!==ch && base.charCodeAt(0)<127 ? charW(base, bold) : 556;
+  };
+  const width = (s, size, bold) => [...String(s)].reduce((t,ch)=>t+charW(ch,bold), 0)*size/1000;
+
+  // Recorta con puntos suspensivos lo que no entra en maxW
+  const fit = (s, maxW, size, bold) => {
+    s = String(s??'');
+    if (width(s,size,bold)<=maxW) return s;
+    while (s && width(s+'…',size,bold)>maxW) s = s.slice(0,-1);
+    return s+'…';
+  };
+
+  const str = s => '('+[...String(s)].map(ch => {
+    const c = code(ch);
+    return c===40 || c===41 || c===92 ? '\\'+String.fromCharCode(c) : String.fromCharCode(c);
+  }).join('')+')';
+
+  const num = v => String(Math.round(v*100)/100);
+  const rgb = hex => {
+    let h = String(hex||'').replace('#','');
+    if (h.length===3) h = [...h].map(c=>c+c).join('');
+    if (!/^[0-9a-f]{6}$/i.test(h)) return '0.5 0.5 0.5';
+    return [0,2,4].map(i=>num(parseInt(h.slice(i,i+2),16)/255)).join(' ');
+  };
+
+  // Imagen → JPEG por canvas, asentada sobre blanco. null si no se puede leer
+  // (sin canvas, o canvas contaminado al abrir la app como file:// con una ruta relativa)
+  const loadImage = (src, px=240) => new Promise(resolve => {
+    const cv = document.createElement('canvas'), ctx = src ? cv.getContext('2d') : null;
+    if (!ctx) return resolve(null);
+    const img = new Image();
+    img.onload = () => {
+      try {
+        const k = Math.min(1, px/Math.max(img.naturalWidth, img.naturalHeight));
+        cv.width = Math.max(1, Math.round(img.naturalWidth*k)); cv.height = Math.max(1, Math.round(img.naturalHeight*k));
+        ctx.fillStyle = '#fff'; ctx.fillRect(0, 0, cv.width, cv.height);
+        ctx.drawImage(img, 0, 0, cv.width, cv.height);
+        resolve({ data:atob(cv.toDataURL('image/jpeg', 0.9).split(',')[1]), w:cv.width, h:cv.height });
+      } catch(e) { resolve(null); }
+    };
+    img.onerror = () => resolve(null);
+    img.src = src;
+  });
+
+  /* ── Documento ── */
+  // opts.footerH: alto reservado al pie; opts.footer(doc, página, total) lo dibuja al cerrar
+  const create = (opts={}) => {
+    const pages = [], images = [];
+    let ops = null;
+    const doc = { W:A4.w, H:A4.h, M:MARGIN, y:MARGIN, cw:A4.w-2*MARGIN };
+    const bottom = () => A4.h-MARGIN-(opts.footerH||0);
+    const Y = y => num(A4.h-y);
+    const put = s => ops.push(s);
+
+    doc.addPage = () => { ops = []; pages.push(ops); doc.y = MARGIN; return doc; };
+    doc.ensure = h => { if (!ops || doc.y+h>bottom()) doc.addPage(); return doc; };
+    doc.pageCount = () => pages.length;
+
+    const paint = (st, path) => {
+      const f = st.fill && st.fill!=='none', s = !!st.stroke;
+      put(`q ${f?rgb(st.fill)+' rg ':''}${s?`${rgb(st.stroke)} RG ${num(st.lw??0.5)} w 1 j `:''}${path} ${f&&s?'B':f?'f':'S'} Q`);
+    };
+
+    doc.rect = (x, y, w, h, st={}) => {
+      const r = Math.min(st.r||0, w/2, h/2);
+      if (!r) return paint(st, `${num(x)} ${Y(y+h)} ${num(w)} ${num(h)} re`);
+      const k = r*0.5523;
+      paint(st, `${num(x+r)} ${Y(y)} m ${num(x+w-r)} ${Y(y)} l ${num(x+w-r+k)} ${Y(y)} ${num(x+w)} ${Y(y+r-k)} ${num(x+w)} ${Y(y+r)} c `
+        +`${num(x+w)} ${Y(y+h-r)} l ${num(x+w)} ${Y(y+h-r+k)} ${num(x+w-r+k)} ${Y(y+h)} ${num(x+w-r)} ${Y(y+h)} c `
+        +`${num(x+r)} ${Y(y+h)} l ${num(x+r-k)} ${Y(y+h)} ${num(x)} ${Y(y+h-r+k)} ${num(x)} ${Y(y+h-r)} c `
+        +`${num(x)} ${Y(y+r)} l ${num(x)} ${Y(y+r-k)} ${num(x+r-k)} ${Y(y)} ${num(x+r)} ${Y(y)} c h`);
+    };
+
+    // Polígono cerrado: pts [[x, y], …]
+    doc.poly = (pts, st={}) => paint(st, pts.map(([x,y],i)=>`${num(x)} ${Y(y)} ${i?'l':'m'}`).join(' ')+' h');
+
+    doc.line = (x1, y1, x2, y2, st={}) => paint({ stroke:'#000', ...st, fill:null }, `${num(x1)} ${Y(y1)} m ${num(x2)} ${Y(y2)} l`);
+
+    // Arco en curvas de Bézier, tramos de hasta 90°; ángulos en el sentido de las agujas del reloj
+    const arc = (cx, cy, r, a0, a1, start) => {
+      const n = Math.max(1, Math.ceil(Math.abs(a1-a0)/(Math.PI/2))), d = (a1-a0)/n, k = 4/3*Math.tan(d/4);
+      let out = start ? `${num(cx+r*Math.cos(a0))} ${Y(cy+r*Math.sin(a0))} ${start} ` : '';
+      for (let i=0; i<n; i++) {
+        const t0 = a0+i*d, t1 = t0+d;
+        out += `${num(cx+r*(Math.cos(t0)-k*Math.sin(t0)))} ${Y(cy+r*(Math.sin(t0)+k*Math.cos(t0)))} `
+          +`${num(cx+r*(Math.cos(t1)+k*Math.sin(t1)))} ${Y(cy+r*(Math.sin(t1)-k*Math.cos(t1)))} `
+          +`${num(cx+r*Math.cos(t1))} ${Y(cy+r*Math.sin(t1))} c `;
+      }
+      return out;
+    };
+    const circlePath = (cx, cy, r) => arc(cx, cy, r, 0, Math.PI*2, 'm')+'h';
+
+    doc.circle = (cx, cy, r, st={}) => paint(st, circlePath(cx, cy, r));
+
+    // Sector de anillo (porción de la dona)
+    doc.sector = (cx, cy, ro, ri, a0, a1, st={}) =>
+      paint(st, arc(cx, cy, ro, a0, a1, 'm')+arc(cx, cy, ri, a1, a0, 'l')+'h');
+
+    // y es la línea base; align: left | right | center
+    doc.text = (s, x, y, st={}) => {
+      const size = st.size||9, t = st.maxW ? fit(s, st.maxW, size, st.bold) : String(s??'');
+      const w = width(t, size, st.bold);
+      const tx = st.align==='right' ? x-w : st.align==='center' ? x-w/2 : x;
+      put(`q ${rgb(st.color||'#1a1a0f')} rg BT /${st.bold?'F2':'F1'} ${num(size)} Tf ${num(tx)} ${Y(y)} Td ${str(t)} Tj ET Q`);
+      return w;
+    };
+
+    // img de loadImage; fit: contain | cover; circle recorta en círculo
+    doc.image = (img, x, y, w, h, st={}) => {
+      let i = images.indexOf(img);
+      if (i<0) { images.push(img); i = images.length-1; }
+      const k = (st.fit==='cover' ? Math.max : Math.min)(w/img.w, h/img.h);
+      const iw = img.w*k, ih = img.h*k;
+      const clip = st.circle ? circlePath(x+w/2, y+h/2, Math.min(w,h)/2) : `${num(x)} ${Y(y+h)} ${num(w)} ${num(h)} re`;
+      put(`q ${clip} W n ${num(iw)} 0 0 ${num(ih)} ${num(x+(w-iw)/2)} ${Y(y+(h+ih)/2)} cm /Im${i+1} Do Q`);
+    };
+
+    /* ── Tabla con encabezado repetido en cada página ──
+       cols: [{ label, w, align }] · rows: celdas de texto u objetos { t, bold, color, dot, bar:{ frac, color } }
+       opts: { size, rowH, rowFill(i), x, w } — x, w: tabla en una columna de la página */
+    doc.table = (cols, rows, o={}) => {
+      const size = o.size||8, rowH = o.rowH||size*2.1, headH = size*2.2, x0 = o.x??doc.M, tw = o.w??doc.cw;
+      const xs = cols.reduce((a,c)=>(a.push(a.at(-1)+c.w), a), [x0]);
+      const head = () => {
+        doc.rect(x0, doc.y, tw, headH, { fill:'#e8f0eb' });
+        cols.forEach((c,i) => {
+          const x = c.align==='right' ? xs[i+1]-5 : xs[i]+5;
+          doc.text(String(c.label).toUpperCase(), x, doc.y+headH/2+size*0.3, { size:size*0.8, bold:true, color:'#1a3d2b', align:c.align, maxW:c.w-6 });
+        });
+        doc.line(x0, doc.y+headH, x0+tw, doc.y+headH, { stroke:'#c5d3ca', lw:1 });
+        doc.y += headH;
+      };
+      doc.ensure(headH+rowH); head();
+      rows.forEach((r, ri) => {
+        if (doc.y+rowH>bottom()) { doc.addPage(); head(); }
+        const fill = o.rowFill?.(ri);
+        if (fill) doc.rect(x0, doc.y, tw, rowH, { fill });
+        const base = doc.y+rowH/2+size*0.35;
+        r.forEach((cell, i) => {
+          const c = cols[i], v = cell!==null && typeof cell==='object' ? cell : { t:cell };
+          let x = xs[i]+5;
+          if (v.bar) {
+            doc.rect(x, doc.y+rowH/2-2.5, c.w-10, 5, { fill:'#ede8de', r:2.5 });
+            doc.rect(x, doc.y+rowH/2-2.5, Math.max(5, (c.w-10)*v.bar.frac), 5, { fill:v.bar.color, r:2.5 });
+            return;
+          }
+          if (v.dot) { doc.circle(x+3, doc.y+rowH/2, 3, { fill:v.dot }); x += 10; }
+          const maxW = xs[i+1]-x-5;
+          doc.text(v.t??'', c.align==='right' ? xs[i+1]-5 : x, base, { size:v.size||size, bold:v.bold, color:v.color, align:c.align, maxW });
+        });
+        doc.line(x0, doc.y+rowH, x0+tw, doc.y+rowH, { stroke:'#ede8de', lw:0.5 });
+        doc.y += rowH;
+      });
+    };
+
+    // Ensambla el archivo; info: { title, subject, keywords }
+    doc.finish = (info={}) => {
+      if (!pages.length) doc.addPage();
+      pages.forEach((p, i) => { ops = p; opts.footer?.(doc, i+1, pages.length); });
+      const objs = [];   // índice = número de objeto − 1
+      const add = body => { objs.push(body); return objs.length; };
+      add('<< /Type /Catalog /Pages 2 0 R >>');
+      add('');   // Pages, se completa al final
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      const imgRefs = images.map(im => add(`<< /Type /XObject /Subtype /Image /Width ${im.w} /Height ${im.h} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${im.data.length} >>\nstream\n${im.data}\nendstream`));
+      const xobj = imgRefs.length ? ` /XObject << ${imgRefs.map((r,i)=>`/Im${i+1} ${r} 0 R`).join(' ')} >>` : '';
+      const kids = pages.map(p => {
+        const content = p.join('\n');
+        const c = add(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        return add(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${A4.w} ${A4.h}] /Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xobj} >> /Contents ${c} 0 R >>`);
+      });
+      objs[1] = `<< /Type /Pages /Kids [${kids.map(k=>`${k} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+      const d = new Date(), p2 = n => String(n).padStart(2,'0');
+      const infoRef = add(`<< /Producer ${str('Sistema de Cómputo Electoral')} /CreationDate (D:${d.getFullYear()}${p2(d.getMonth()+1)}${p2(d.getDate())}${p2(d.getHours())}${p2(d.getMinutes())}${p2(d.getSeconds())})`
+        +['title','subject','keywords'].filter(k=>info[k]).map(k=>` /${k[0].toUpperCase()+k.slice(1)} ${str(info[k])}`).join('')+' >>');
+
+      let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+      const offsets = objs.map((body, i) => { const at = out.length; out += `${i+1} 0 obj\n${body}\nendobj\n`; return at; });
+      const xref = out.length;
+      out += `xref\n0 ${objs.length+1}\n0000000000 65535 f \n`+offsets.map(o=>`${String(o).padStart(10,'0')} 00000 n \n`).join('');
+      out += `trailer\n<< /Size ${objs.length+1} /Root 1 0 R /Info ${infoRef} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+      const bytes = new Uint8Array(out.length);
+      for (let i=0; i<out.length; i++) bytes[i] = out.charCodeAt(i);
+      return new Blob([bytes], { type:'application/pdf' });
+    };
+
+    return doc;
+  };
+
+  return { create, loadImage, width, fit };
+})();
+
+/* ════════════════════════════════════════════════════════
+   IMPORTAR PADRÓN — CSV / XLSX
+════════════════════════════════════════════════════════ */
+const Padron = (() => {
+  const FIELDS = [
+    { key:'num',         label:'Cod. Mesa *',  aliases:['num','mesa','cod mesa','codigo','codigo mesa','cod','nro mesa','numero'] },
+    { key:'recinto',     label:'Recinto *',    aliases:['recinto','recinto electoral','local','unidad educativa'] },
+    { key:'ubicacion',   label:'Asiento / Zona', aliases:['ubicacion','asiento','asiento electoral','zona','localidad'] },
+    { key:'circ',        label:'Circunscripción', aliases:['circ','circunscripcion','circ uninominal','circunscripcion uninominal'] },
+    { key:'enc1',        label:'Encargado 1',  aliases:['enc1','encargado 1','encargado','delegado','responsable'] },
+    { key:'enc2',        label:'Encargado 2',  aliases:['enc2','encargado 2','delegado 2'] },
+    { key:'habilitados', label:'Habilitados',  aliases:['habilitados','electores','inscritos','votantes habilitados'] },
+  ];
+  let _header = [], _rows = [], _map = {};
+
+  const norm = s => String(s||'').toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g,'').replace(/[._]/g,' ').replace(/\s+/g,' ').trim();
+
+  const parseCSV = text => {
+    text = text.replace(/^\uFEFF/,'');
+    const first = text.split(/\r?\n/,1)[0];
+    const delim = [';','\t',','].reduce((best,d)=>first.split(d).length>first.split(best).length?d:best, ',');
+    const rows=[]; let row=[], cell='', q=false;
+    for (let i=0; i<text.length; i++) {
+      const ch=text[i];
+      if (q) {
+        if (ch==='"' && text[i+1]==='"') { cell+='"'; i++; }
+        else if (ch==='"') q=false;
+        else cell+=ch;
+      } else if (ch==='"') q=true;
+      else if (ch===delim) { row.push(cell); cell=''; }
+      else if (ch==='\n' || ch==='\r') {
+        if (ch==='\r' && text[i+1]==='\n') i++;
+        row.push(cell); rows.push(row); row=[]; cell='';
+      } else cell+=ch;
+    }
+    if (cell!=='' || row.length) { row.push(cell); rows.push(row); }
+    return rows.filter(r=>r.some(c=>String(c).trim()!==''));
+  };
+
+  const parseCount = raw => {
+    const s = String(raw??'').replace(/\s/g,'');
+    if (s==='') return 0;
+    if (/^\d+$/.test(s)) return parseInt(s,10);
+    if (/^\d{1,3}([.,]\d{3})+$/.test(s)) return parseInt(s.replace(/[.,]/g,''),10);
+    if (/^\d+\.0+$/.test(s)) return parseInt(s,10);
+    return NaN;
+  };
+
+  const guessMap = () => {
+    _map = {};
+    const hs = _header.map(norm);
+    FIELDS.forEach(f => {
+      const i = hs.findIndex((h,idx)=>f.aliases.includes(h) && !Object.values(_map).includes(idx));
+      _map[f.key] = i;
+    });
+  };
+
+  const colName = i => (i>=26 ? colName(Math.floor(i/26)-1) : '') + String.fromCharCode(65+i%26);
+
+  const cell = (row, key) => _map[key]>=0 ? String(row[_map[key]]??'').trim() : '';
+
+  // Valida cada fila contra el archivo y contra las mesas ya registradas
+  const validateRows = () => {
+    const existing = new Set(State.getAnforas().map(a=>a.num));
+    const counts = {};
+    _rows.forEach(r => { const n=cell(r,'num'); if(n) counts[n]=(counts[n]||0)+1; });
+    return _rows.map((r, i) => {
+      const rec = { line:i+2, num:cell(r,'num'), recinto:cell(r,'recinto'), ubicacion:cell(r,'ubicacion'), circ:cell(r,'circ'), enc1:cell(r,'enc1'), enc2:cell(r,'enc2'), habRaw:cell(r,'habilitados'), errors:[] };
+      rec.habilitados = parseCount(rec.habRaw);
+      if (!rec.num) rec.errors.push('Sin código de mesa');
+      else if (counts[rec.num]>1) rec.errors.push('Código duplicado en el archivo');
+      else if (existing.has(rec.num)) rec.errors.push('La mesa ya está registrada');
+      if (!rec.recinto) rec.errors.push('Sin recinto');
+      if (isNaN(rec.habilitados)) rec.errors.push(`Habilitados no numérico ("${rec.habRaw}")`);
+      return rec;
+    });
+  };
+
+  const renderMap = () => {
+    const wrap = UI.$('padronMap');
+    wrap.innerHTML='';
+    FIELDS.forEach(f => {
+      const fld = UI.el('div','fld');
+      fld.appendChild(UI.el('label','lbl',f.label));
+      const sel = UI.el('select','inp');
+      sel.appendChild(new Option('— no importar —','-1'));
+      _header.forEach((h,i)=>sel.appendChild(new Option(`${colName(i)} · ${h||'(sin título)'}`, String(i))));
+      sel.value = String(_map[f.key]);
+      sel.addEventListener('change', ()=>{ _map[f.key]=parseInt(sel.value); renderReport(); });
+      fld.appendChild(sel);
+      wrap.appendChild(fld);
+    });
+  };
+
+  const renderReport = () => {
+    const recs = validateRows();
+    const tbody = UI.$('tbodyPadron');
+    tbody.innerHTML='';
+    recs.forEach(r => {
+      const tr=document.createElement('tr');
+      tr.appendChild(UI.td(r.line,'td-muted'));
+      tr.appendChild(UI.td(r.num||'—','td-name'));
+      tr.appendChild(UI.td(r.recinto||'—'));
+      tr.appendChild(UI.td(r.ubicacion||'—','td-muted'));
+      tr.appendChild(UI.td(isNaN(r.habilitados)?r.habRaw:UI.fmt(r.habilitados),'td-num'));
+      const st=document.createElement('td');
+      if (r.errors.length) r.errors.forEach(e=>st.appendChild(UI.makeBadge(e,'sbadge-error')));
+      else st.appendChild(UI.makeBadge('✓ Válida','sbadge-done'));
+      tr.appendChild(st);
+      tbody.appendChild(tr);
+    });
+    const ok = recs.filter(r=>!r.errors.length).length;
+    UI.$('padronSummary').textContent = `${ok} de ${recs.length} filas válidas · ${recs.length-ok} con observaciones`;
+    const btn = UI.$('btnPadronImport');
+    btn.disabled = ok===0;
+    btn.textContent = `+ Importar ${ok} mesa${ok!==1?'s':''} válida${ok!==1?'s':''}`;
+  };
+
+  const openFile = async file => {
+    UI.clearErr('errPadron');
+    UI.$('padronFileName').textContent = file.name;
+    try {
+      const rows = /\.xlsx$/i.test(file.name) ? await Xlsx.read(await UI.readFile(file,'buffer')) : parseCSV(await UI.readFile(file));
+      if (rows.length<2) throw new Error('El archivo no tiene filas de datos (la primera fila debe ser el encabezado).');
+      _header = rows[0].map(h=>String(h).trim());
+      _rows = rows.slice(1);
+      guessMap();
+      renderMap(); renderReport();
+      UI.$('padronWizard').classList.remove('hidden');
+    } catch(e) {
+      cancel();
+      UI.setErr('errPadron', e.message);
+    }
+  };
+
+  const commit = () => {
+    if (_map.num<0 || _map.recinto<0) { UI.setErr('errPadron','Asigna las columnas de código de mesa y recinto.'); return; }
+    // Con registro de delegados, los nombres que no figuran en él quedan por asignar
+    const enc = n => n && (!State.getDelegados().length || State.findDelegado(n)) ? n : '';
+    const added = State.importAnforas(validateRows().filter(r=>!r.errors.length)
+      .map(r => ({ ...r, enc1:enc(r.enc1)||ENC_PENDIENTE, enc2:enc(r.enc2) })));
+    cancel();
+    Views.renderAnforas(); Views.renderIngresoSelector();
+    alert(`✓ Se importaron ${added} mesas del padrón.`);
+  };
+
+  const cancel = () => {
+    _header=[]; _rows=[]; _map={};
+    UI.$('padronWizard').classList.add('hidden');
+    UI.$('padronFileName').textContent='Ningún archivo';
+  };
+
+  return { norm, parseCSV, parseCount, openFile, commit, cancel };
+})();
+
+/* ════════════════════════════════════════════════════════
+   ELECCIÓN ANTERIOR
+════════════════════════════════════════════════════════ */
+const Historico = (() => {
+  // Columnas reconocidas; el resto de columnas con encabezado se toman como partidos
+  const KEYS = {
+    mesa:        ['num','mesa','cod mesa','codigo','codigo mesa','cod','nro mesa','numero'],
+    recinto:     ['recinto','recinto electoral','local','unidad educativa'],
+    asiento:     ['ubicacion','asiento','asiento electoral','zona','localidad'],
+    habilitados: ['habilitados','electores','inscritos','votantes habilitados'],
+    blancos:     ['blancos','blanco','votos blancos','votos en blanco','en blanco'],
+    nulos:       ['nulos','nulo','votos nulos'],
+  };
+  let _parsed = null;
+
+  const { norm } = Padron;
+  // Totales y campos de control del acta: no son partidos
+  const IGNORE = [
+    'validos','votos validos','emitidos','votos emitidos','total','total emitido',
+    'votantes','recibidas','no utilizadas','noutilizadas',
+    ...Object.values(ACTA_CONTROL).map(norm),
+  ];
+
+  // Un partido anterior corresponde a un candidato actual por sigla, partido o nombre
+  const matchCand = (col, cands) => {
+    const n = norm(col);
+    return cands.find(c => [c.alias, c.party, c.name].some(v => v && norm(v)===n)) || null;
+  };
+
+  const parse = rows => {
+    const header = rows[0].map(h=>String(h).trim());
+    const hs = header.map(norm);
+    const idx = {};
+    Object.entries(KEYS).forEach(([k,aliases]) => { idx[k] = hs.findIndex(h=>aliases.includes(h)); });
+    const level = idx.mesa>=0 ? 'mesa' : idx.recinto>=0 ? 'recinto' : null;
+    if (!level) return { ok:false, error:'El archivo debe tener una columna de mesa o de recinto.' };
+    const used = new Set(Object.values(idx));
+    const partidos = header.map((h,i)=>({ h, i })).filter(({ h, i }) => h && !used.has(i) && !IGNORE.includes(hs[i]));
+    if (!partidos.length) return { ok:false, error:'No se encontraron columnas de votos por partido.' };
+
+    const seen = new Set(), out = [], errors = [];
+    rows.slice(1).forEach((r, n) => {
+      const line = n+2;
+      const get = i => i>=0 ? String(r[i]??'').trim() : '';
+      const key = level==='mesa' ? get(idx.mesa) : `${norm(get(idx.asiento))}/${norm(get(idx.recinto))}`;
+      if (!get(level==='mesa'?idx.mesa:idx.recinto)) { errors.push(`Fila ${line}: sin ${level}`); return; }
+      if (seen.has(key)) { errors.push(`Fila ${line}: ${level} duplicado`); return; }
+      const row = { mesa:get(idx.mesa), recinto:get(idx.recinto), asiento:get(idx.asiento), votes:{} };
+      const bad = [];
+      [['habilitados',idx.habilitados],['blancos',idx.blancos],['nulos',idx.nulos]].forEach(([k,i]) => {
+        row[k] = Padron.parseCount(get(i)); if (isNaN(row[k])) bad.push(header[i]);
+      });
+      partidos.forEach(({ h, i }) => { row.votes[h] = Padron.parseCount(get(i)); if (isNaN(row.votes[h])) bad.push(h); });
+      if (bad.length) { errors.push(`Fila ${line}: valor no numérico en ${bad.join(', ')}`); return; }
+      seen.add(key);
+      out.push(row);
+    });
+    return { ok:true, level, partidos:partidos.map(p=>p.h), rows:out, errors };
+  };
+
+  const openFile = async file => {
+    UI.clearErr('errHistorico');
+    try {
+      const rows = /\.xlsx$/i.test(file.name) ? await Xlsx.read(await UI.readFile(file,'buffer')) : Padron.parseCSV(await UI.readFile(file));
+      if (rows.length<2) throw new Error('El archivo no tiene filas de datos (la primera fila debe ser el encabezado).');
+      const p = parse(rows);
+      if (!p.ok) throw new Error(p.error);
+      _parsed = p;
+      UI.$('iHistLabel').value = file.name.replace(/\.[^.]+$/,'');
+      renderPreview();
+    } catch(e) {
+      cancel();
+      UI.setErr('errHistorico', e.message);
+    }
+  };
+
+  const renderPreview = () => {
+    const p = _parsed, cands = State.getCandidates();
+    UI.$('histImportPreview').classList.remove('hidden');
+    UI.$('histImportSummary').textContent =
+      `${p.rows.length} fila${p.rows.length!==1?'s':''} por ${p.level} · ${p.errors.length} con observaciones`;
+    const list = UI.$('histImportMap');
+    list.innerHTML='';
+    p.partidos.forEach(col => {
+      const c = matchCand(col, cands);
+      list.appendChild(UI.makeBadge(c ? `${col} → ${c.alias||c.name}` : `${col} → sin candidato actual`, c ? 'sbadge-done' : 'sbadge-pending'));
+    });
+    UI.$('histImportErrors').textContent = p.errors.slice(0,8).join(' · ') + (p.errors.length>8 ? ` · y ${p.errors.length-8} más` : '');
+    UI.$('btnHistImport').disabled = !p.rows.length;
+  };
+
+  const commit = () => {
+    if (!_parsed) return;
+    const label = UI.$('iHistLabel').value.trim() || 'Elección anterior';
+    State.setHistorico({ label, level:_parsed.level, partidos:_parsed.partidos, rows:_parsed.rows, importedAt:new Date().toISOString() });
+    cancel();
+    Views.renderStats();
+  };
+
+  const cancel = () => {
+    _parsed = null;
+    UI.$('histImportPreview').classList.add('hidden');
+  };
+
+  // Compara solo recintos con mesas ya computadas. Por mesa: las mismas mesas en ambas
+  // elecciones; por recinto: el recinto anterior completo frente a lo computado.
+  const compare = s => {
+    const h = State.getHistorico();
+    if (!h) return null;
+    const colCand = {};
+    h.partidos.forEach(col => { const c = matchCand(col, s.cands); if (c) colCand[col]=c.id; });
+    const blank = () => ({ votes:{}, validos:0, emitido:0, hab:0 });
+    const units = {};
+    const unit = a => {
+      const k = State.recintoKey(a);
+      if (!units[k]) units[k] = { key:k, recinto:a.recinto, zona:a.ubicacion||'Sin zona', cur:blank(), prev:blank() };
+      return units[k];
+    };
+    const addPrev = (t, row) => {
+      Object.entries(row.votes).forEach(([col,v]) => {
+        t.validos += v;
+        const id = colCand[col]; if (id) t.votes[id] = (t.votes[id]||0)+v;
+      });
+      t.emitido += Object.values(row.votes).reduce((a,b)=>a+b,0) + row.blancos + row.nulos;
+      t.hab += row.habilitados;
+    };
 
-    // ── ANFORA BREAKDOWN ──
-    const bHead = UI.$('breakHead');
-    const bBody = UI.$('breakBody');
-    const emptyB = UI.$('emptyBreak');
-    bHead.innerHTML=''; bBody.innerHTML='';
-    const processed = s.anforas.filter(a=>s.results[a.id]);
-    if(processed.length===0){emptyB.style.display='';}
-    else {
-      emptyB.style.display='none';
-      ['Mesa','Recinto','Zona',...s.cands.map(c=>c.alias||c.name.slice(0,8)),'Blanco','Nulos','Total'].forEach(h=>{
-        const th=document.createElement('th'); th.textContent=h; bHead.appendChild(th);
+    s.anforas.forEach(a => {
+      const r = s.results[a.id]; if (!r) return;
+      const t = unit(a).cur;
+      s.cands.forEach(c => { t.votes[c.id]=(t.votes[c.id]||0)+(r[c.id]||0); t.validos+=r[c.id]||0; });
+      t.emitido += (r.blancos||0)+(r.nulos||0);
+      t.hab += s.habByAnfora[a.id]||0;
+    });
+    Object.values(units).forEach(u => { u.cur.emitido += u.cur.validos; });
+
+    const perMesa = {};
+    let unmatched = 0;
+    if (h.level==='mesa') {
+      const byNum = {};
+      s.anforas.forEach(a => { byNum[a.num]=a; });
+      h.rows.forEach(row => {
+        const a = byNum[row.mesa];
+        if (!a) { unmatched++; return; }
+        if (!s.results[a.id]) return;
+        addPrev(unit(a).prev, row);
+        perMesa[a.id] = row;
       });
-      processed.forEach(a=>{
-        const r=s.results[a.id]; let rowTotal=0;
-        const tr=document.createElement('tr');
-        tr.appendChild(UI.td(a.num,'td-name')); tr.appendChild(UI.td(a.recinto)); tr.appendChild(UI.td(a.ubicacion||'—','td-muted'));
-        s.cands.forEach(c=>{ const v=r[c.id]||0; rowTotal+=v; tr.appendChild(UI.td(UI.fmt(v),'td-num')); });
-        const b=r.blancos||0, n=r.nulos||0; rowTotal+=b+n;
-        tr.appendChild(UI.td(UI.fmt(b),'td-num')); tr.appendChild(UI.td(UI.fmt(n),'td-num')); tr.appendChild(UI.td(UI.fmt(rowTotal),'td-num'));
-        bBody.appendChild(tr);
+    } else {
+      const groups = State.getRecintos();
+      h.rows.forEach(row => {
+        const found = groups.filter(g => norm(g.recinto)===norm(row.recinto) && (!row.asiento || norm(g.ubicacion)===norm(row.asiento)));
+        if (found.length!==1) { unmatched++; return; }
+        const u = units[found[0].key];
+        if (u) addPrev(u.prev, row);
       });
     }
 
-    // ── KPI Row 2 ──
-    const kpis2 = [
-      { label:'Votos en Blanco',  val:UI.fmt(s.blancos), sub:`${UI.pct(s.blancos,s.totalEmitido)} del total emitido`, cls:'' },
-      { label:'Votos Nulos',      val:UI.fmt(s.nulos),   sub:`${UI.pct(s.nulos,s.totalEmitido)} del total emitido`,   cls:'' },
-      { label:'Total Emitido',    val:UI.fmt(s.totalEmitido), sub:'válidos + blancos + nulos', cls:'' },
-      { label:'Candidatos MTS',   val:s.mtsAnforasLeading, sub:`mesas donde MTS va primero`, cls:s.mtsAnforasLeading>0?'green':'' },
-    ];
-    renderKPIGrid('kpiGrid2', kpis2);
+    const share = (t, id) => t.validos>0 ? (t.votes[id]||0)/t.validos*100 : 0;
+    const turnout = t => t.hab>0 ? t.emitido/t.hab*100 : null;
+    const comparable = Object.values(units).filter(u => u.cur.validos>0 && u.prev.validos>0);
+    const cur = blank(), prev = blank();
+    comparable.forEach(u => [[cur,u.cur],[prev,u.prev]].forEach(([acc,t]) => {
+      acc.validos+=t.validos; acc.emitido+=t.emitido; acc.hab+=t.hab;
+      Object.entries(t.votes).forEach(([id,v]) => { acc.votes[id]=(acc.votes[id]||0)+v; });
+    }));
+    const focus = s.focusCandidate;
 
-    // ── TV UPDATE ──
-    renderTV(s);
-    updateSidebar();
+    const recintos = comparable.map(u => {
+      const sw = s.cands.map(c => ({ c, d:share(u.cur,c.id)-share(u.prev,c.id) }));
+      const otros = 100 - s.cands.reduce((a,c)=>a+share(u.prev,c.id),0);
+      return {
+        recinto:u.recinto, zona:u.zona,
+        // Índice de Pedersen: mitad de la suma de cambios absolutos de porcentaje
+        volatilidad: (sw.reduce((a,x)=>a+Math.abs(x.d),0) + Math.abs(otros)) / 2,
+        focusSwing: focus ? sw.find(x=>x.c.id===focus.id).d : null,
+        gana: sw.reduce((best,x)=>x.d>best.d?x:best, sw[0]),
+        turnoutDelta: turnout(u.cur)!==null && turnout(u.prev)!==null ? turnout(u.cur)-turnout(u.prev) : null,
+      };
+    }).sort((a,b)=>b.volatilidad-a.volatilidad);
+
+    // Participación por zona: lo computado (byZona) frente a los recintos comparables de la zona
+    const zonas = Object.values(s.byZona).map(z => {
+      const p = blank();
+      comparable.filter(u=>u.zona===z.zona).forEach(u => { p.emitido+=u.prev.emitido; p.hab+=u.prev.hab; });
+      const actual = z.hab>0 ? z.emitido/z.hab*100 : null, anterior = turnout(p);
+      return { zona:z.zona, actual, anterior, delta: actual!==null && anterior!==null ? actual-anterior : null };
+    });
+
+    return {
+      label:h.label, level:h.level, unmatched, comparables:comparable.length, conDatos:Object.values(units).filter(u=>u.cur.validos>0).length,
+      swing: s.cands.map(c => ({ ...c, anterior:share(prev,c.id), actual:share(cur,c.id), swing:share(cur,c.id)-share(prev,c.id), mapped:Object.values(colCand).includes(c.id) })),
+      otros: 100 - s.cands.reduce((a,c)=>a+share(prev,c.id),0),
+      zonas, recintos,
+      mesaSwing: id => {
+        const row = perMesa[id], r = s.results[id];
+        if (!row || !focus || !r) return null;
+        const t = blank(); addPrev(t, row);
+        const curValid = s.cands.reduce((a,c)=>a+(r[c.id]||0),0);
+        return (curValid>0 ? (r[focus.id]||0)/curValid*100 : 0) - share(t, focus.id);
+      },
+    };
   };
 
-  /* ════ TV VIEW ════ */
-  const renderTV = (s) => {
-    const mts = s.mtsCandidate;
-    const mtsV = s.mtsVotes;
+  return { openFile, commit, cancel, compare };
+})();
 
-    // MTS banner
-    if(UI.$('tvMtsVotos')) UI.$('tvMtsVotos').textContent = UI.fmt(mtsV);
-    if(UI.$('tvMtsPct'))   UI.$('tvMtsPct').textContent   = UI.pct(mtsV, s.totalValidos);
-    if(UI.$('tvMtsBar')) {
-      const w = s.totalValidos>0 ? Math.max(0, mtsV/s.totalValidos*100) : 0;
-      UI.$('tvMtsBar').style.width = w+'%';
-    }
-    if(UI.$('tvMtsPos')) {
-      const pos = s.mtsPosition;
-      UI.$('tvMtsPos').textContent = pos===1 ? '🏆 LIDERANDO' : pos>0 ? `Pos. ${pos}°` : '—';
-    }
+/* ════════════════════════════════════════════════════════
+   SINCRONIZACIÓN EN RED LOCAL — cliente de sync-server.js
+════════════════════════════════════════════════════════ */
+const Sync = (() => {
+  const RETRY = 5000;
+  const CATALOG = ['cargos','candidates','anforas','delegados'];
+  const loadPref = (name, def) => { try { return JSON.parse(Storage.getPref(name)) || def; } catch(e) { return def; } };
 
-    // Scoreboard
-    const board = UI.$('tvScoreboard');
-    if (board) {
-      board.innerHTML='';
-      if (s.sorted.length===0 || s.totalValidos===0) {
-        const empty=UI.el('div','tv-empty','Sin datos — Iniciando conteo...');
-        board.appendChild(empty);
-      } else {
-        s.sorted.forEach((c,i) => {
-          const isMTS = c.name.toUpperCase()===MTS_CANDIDATE_NAME;
-          const row = UI.el('div',`tv-row${isMTS?' tv-row-mts':''}`);
+  // cfg: a qué servidor se conecta este equipo, con qué nombre y con qué clave del evento
+  // st: última revisión vista, revisión de cada mesa (base), mesas y cambios de estado por enviar, conflictos
+  // y si hay cambios de catálogo sin publicar (catalogo)
+  let cfg = loadPref('sync', { url:'', device:'', clave:'' });
+  let st  = { estados:[], ...loadPref('sync_state', { rev:0, base:{}, outbox:[], conflicts:[] }) };
+  let es = null, status = 'off', retryTimer = null, renderTimer = null, catalogTimer = null, flushing = false;
 
-          const rank = UI.el('div','tv-rank', i===0?'🥇':`${i+1}°`);
-          const info = UI.el('div','tv-info');
-          const dot  = UI.el('span','tv-dot'); dot.style.background=c.color;
-          const name = UI.el('span','tv-name', c.name.length>32?c.name.slice(0,30)+'…':c.name);
-          if (isMTS) name.style.fontWeight='900';
-          info.appendChild(dot); info.appendChild(name);
+  const key  = (cargoId, anforaId) => `${cargoId}/${anforaId}`;
+  const save = () => { Storage.setPref('sync', JSON.stringify(cfg)); Storage.setPref('sync_state', JSON.stringify(st)); };
 
-          const barWrap = UI.el('div','tv-bar-wrap');
-          const barFill = UI.el('div','tv-bar-fill');
-          barFill.style.background=c.color;
-          const maxV = s.sorted[0]?.votes||1;
-          barFill.style.width = Math.max(2, c.votes/maxV*100)+'%';
-          barWrap.appendChild(barFill);
+  const api = async (method, path, body) => {
+    const res = await fetch(cfg.url+path, {
+      method, cache:'no-store',
+      headers: { 'X-Clave':cfg.clave||'', ...(body ? { 'Content-Type':'application/json' } : {}) },
+      body: body ? JSON.stringify(body) : undefined,
+    });
+    const data = await res.json().catch(()=>({}));
+    if (!res.ok) throw new Error(data.error || `El servidor respondió ${res.status}.`);
+    return data;
+  };
 
-          const numBox = UI.el('div','tv-num');
-          const votes  = UI.el('div','tv-votes', UI.fmt(c.votes));
-          const pctEl  = UI.el('div','tv-pct',   UI.pct(c.votes, s.totalValidos));
-          numBox.appendChild(votes); numBox.appendChild(pctEl);
+  const setStatus = s => { status = s; render(); };
 
-          row.appendChild(rank); row.appendChild(info); row.appendChild(barWrap); row.appendChild(numBox);
-          board.appendChild(row);
-        });
+  const baseFrom = meta => {
+    const base = {};
+    Object.entries(meta||{}).forEach(([cargoId, byAnf]) => Object.entries(byAnf).forEach(([anforaId, m]) => { base[key(cargoId, anforaId)] = m.rev; }));
+    return base;
+  };
+
+  const cargoName = id => State.getCargos().find(c=>c.id===id)?.name || '';
+  const mesaNum   = id => State.getAnforas().find(a=>a.id===id)?.num || '';
+  // Las fotos de actas quedan en cada equipo: pesarían demasiado en la red
+  const catalog = () => { const d = State.exportData(); delete d.fotos; return d; };
+
+  // Los resultados remotos no re-dibujan el formulario de ingreso: el operador puede estar digitando
+  const refresh = () => {
+    clearTimeout(renderTimer);
+    renderTimer = setTimeout(() => { Views.renderIngresoSelector(); Views.renderStats(); Views.renderHistorial(); }, 200);
+  };
+
+  /* ── Conexión ── */
+  // Servidor vacío: este equipo lo inicializa con sus datos. Equipo que ya sincronizó con este
+  // servidor (comparten ids): se pone al día sin reemplazar nada (catchUp). Equipo nuevo: se adopta
+  // el catálogo del servidor (mismos ids en todos los equipos) y se combinan las mesas locales:
+  // las que el servidor no tiene se publican, las distintas quedan como conflicto.
+  const join = async () => {
+    const snap = await api('GET', '/api/snapshot');
+    if (!snap.data) {
+      const r = await api('POST', '/api/catalog', { device:cfg.device, data:catalog() });
+      st = { rev:r.rev, base:baseFrom(r.meta), outbox:[], estados:[], conflicts:[] };
+    } else if (State.getCargos().some(c=>snap.data.cargos.some(x=>x.id===c.id))) {
+      await catchUp(snap);
+    } else {
+      const local = State.exportData();
+      State.replaceData(snap.data, 'Datos del servidor de sincronización');
+      const plan = State.planMerge(local);
+      State.mergeData(local, 'Datos de este equipo combinados al conectar');
+      st = { rev:snap.rev, base:baseFrom(snap.meta), outbox:[], estados:[], conflicts:[] };
+      // Cambios de estado que el servidor no tiene (hechos sin conexión)
+      Object.entries(local.estados||{}).forEach(([id, log]) => {
+        const anforaId = plan.anfMap[id], have = new Set((snap.data.estados?.[anforaId]||[]).map(State.estadoKey));
+        if (anforaId) log.filter(e=>!have.has(State.estadoKey(e))).forEach(entry => st.estados.push({ anforaId, entry }));
+      });
+      st.catalogo = !!(plan.cargoNew.length || plan.candNew.length || plan.anfNew.length);
+      st.outbox = plan.resNew.map(r => ({ cargoId:r.cargoId, anforaId:r.anforaId, base:0, result:r.result,
+        entry:{ ts:new Date().toISOString(), num:r.num, operator:cfg.device, reason:'Publicada al conectar el equipo', prev:null, next:r.result } }));
+      st.conflicts = plan.resConflict.map(r => ({ cargoId:r.cargoId, anforaId:r.anforaId, mine:r.incoming, theirs:r.local, rev:st.base[key(r.cargoId, r.anforaId)]||0, device:'servidor' }));
+    }
+    save();
+    Views.renderAll();
+  };
+
+  // Lo cambiado aquí sin conexión (sello más nuevo que el del servidor, o que el servidor no tiene)
+  // se conserva y se publica; historial y estados se combinan por hora.
+  // Cada mesa se decide por su revisión: la que este equipo conocía (antes) y la del servidor (rev).
+  const catchUp = async snap => {
+    const local = State.exportData(), prev = st, sellos = snap.data.sellos || {};
+    const propio = Object.entries(local.sellos||{}).some(([k, ids]) => Object.entries(ids).some(([id, m]) => m.ts > (sellos[k]?.[id]?.ts || '')))
+      || CATALOG.some(k => local[k].some(x => !snap.data[k].some(y=>y.id===x.id)));
+    State.mergeCatalog(snap.data);
+    State.mergeLogs(snap.data);
+
+    const enCola = new Set(prev.outbox.map(o=>key(o.cargoId, o.anforaId)));
+    st = { rev:snap.rev, base:baseFrom(snap.meta), outbox:prev.outbox, estados:prev.estados || [], conflicts:prev.conflicts, catalogo:prev.catalogo || propio };
+    const mesas = {};
+    [local.results, snap.data.results].forEach(res => Object.entries(res).forEach(([cargoId, byAnf]) => Object.keys(byAnf).forEach(anforaId => { mesas[key(cargoId, anforaId)] = { cargoId, anforaId }; })));
+    Object.entries(mesas).forEach(([k, { cargoId, anforaId }]) => {
+      if (enCola.has(k) || !State.getCargos().some(c=>c.id===cargoId) || !State.getAnforas().some(a=>a.id===anforaId)) return;
+      const mine = local.results[cargoId]?.[anforaId] || null, theirs = snap.data.results[cargoId]?.[anforaId] || null;
+      if (!mine===!theirs && (!mine || State.sameVotes(mine, theirs))) return;
+      const rev = st.base[k]||0, antes = prev.base[k]||0;
+      if (rev>antes && (antes>0 || !mine)) {
+        State.applyRemote({ cargoId, anforaId, result:theirs, entry:null });
+      } else if (rev>antes) {
+        st.conflicts = st.conflicts.filter(c=>key(c.cargoId, c.anforaId)!==k).concat({ cargoId, anforaId, mine, theirs, rev, device:'servidor' });
+      } else {
+        // El servidor no tiene lo último de este equipo (p. ej. se reinició con datos anteriores)
+        st.outbox.push({ cargoId, anforaId, base:rev, result:mine,
+          entry:{ ts:new Date().toISOString(), num:mesaNum(anforaId), operator:cfg.device, reason:'Publicada al reconectar el equipo', prev:theirs, next:mine, device:cfg.device } });
       }
+    });
+    // Cambios de estado que el servidor no tiene
+    Object.entries(local.estados||{}).forEach(([anforaId, log]) => {
+      const have = new Set((snap.data.estados?.[anforaId]||[]).map(State.estadoKey)), cola = new Set(st.estados.filter(e=>e.anforaId===anforaId).map(e=>State.estadoKey(e.entry)));
+      log.filter(e=>!have.has(State.estadoKey(e)) && !cola.has(State.estadoKey(e))).forEach(entry => st.estados.push({ anforaId, entry }));
+    });
+  };
+
+  const listen = () => {
+    if (es) es.close();
+    es = new EventSource(`${cfg.url}/api/events?since=${st.rev}&clave=${encodeURIComponent(cfg.clave||'')}`);
+    es.onopen  = () => { setStatus('online'); flush(); };
+    es.onerror = () => setStatus('offline');
+    es.addEventListener('mesa', e => onMesa(JSON.parse(e.data)));
+    es.addEventListener('estado', e => onEstado(JSON.parse(e.data)));
+    es.addEventListener('catalog', e => onCatalog(JSON.parse(e.data)));
+    es.addEventListener('resync', () => rejoin());
+  };
+
+  const onMesa = m => {
+    st.rev = Math.max(st.rev, m.rev);
+    const k = key(m.cargoId, m.anforaId);
+    if ((st.base[k]||0) >= m.rev) { save(); return; }
+    // Con un envío propio en cola la mesa no se pisa: el servidor marcará el conflicto
+    if (!st.outbox.some(o=>key(o.cargoId, o.anforaId)===k)) {
+      const r = State.applyRemote({ ...m, entry:m.entry && { ...m.entry, device:m.device } });
+      if (r.ok) { st.base[k] = m.rev; refresh(); }
     }
+    save();
+  };
 
-    // Progress
-    const prog = s.anforas.length>0 ? s.processed/s.anforas.length*100 : 0;
-    if(UI.$('tvProcessed')) UI.$('tvProcessed').textContent = s.processed;
-    if(UI.$('tvTotal'))     UI.$('tvTotal').textContent     = s.anforas.length;
-    if(UI.$('tvProgressBar')) UI.$('tvProgressBar').style.width = prog.toFixed(1)+'%';
-    if(UI.$('tvProgressPct')) UI.$('tvProgressPct').textContent = prog.toFixed(1)+'%';
-    if(UI.$('tvTotalVotos')) UI.$('tvTotalVotos').textContent = `Total emitido: ${UI.fmt(s.totalEmitido)}`;
-    if(UI.$('tvParticipacion')) UI.$('tvParticipacion').textContent = `Participación: ${s.participacion.toFixed(2)}%`;
+  const onEstado = m => {
+    st.rev = Math.max(st.rev, m.rev);
+    if (m.device!==cfg.device && State.applyEstado(m).ok) { refresh(); Views.renderAnforas(); }
+    save();
   };
 
-  /* ════ KPI GRID ════ */
-  const renderKPIGrid = (id, kpis) => {
-    const grid = UI.$(id);
-    grid.innerHTML='';
-    kpis.forEach(k=>{
-      const card=UI.el('div',`kpi-card ${k.cls||''}`);
-      card.appendChild(UI.el('div','kpi-lbl',k.label));
-      const val=UI.el('div','kpi-val'); val.textContent=k.val; val.title=String(k.val);
-      card.appendChild(val);
-      card.appendChild(UI.el('div','kpi-sub',k.sub));
-      grid.appendChild(card);
-    });
+  const onCatalog = async m => {
+    st.rev = Math.max(st.rev, m.rev);
+    if (m.device===cfg.device) { save(); return; }
+    try { const snap = await api('GET', '/api/snapshot'); State.mergeCatalog(snap.data); save(); Views.renderAll(); }
+    catch(e) { setStatus('offline'); }
   };
 
-  /* ── Edit modals ── */
-  const openEditCand = c => {
-    UI.$('editCandId').value=c.id; UI.$('editCandName').value=c.name;
-    UI.$('editCandParty').value=c.party||''; UI.$('editCandAlias').value=c.alias||'';
-    UI.$('editCandColor').value=c.color||'#1a3d2b';
-    UI.$('editCprev').style.background=c.color||'#1a3d2b';
-    UI.$('editChex').textContent=c.color||'#1a3d2b';
-    UI.clearErr('errEditCand'); UI.openModal('modalCand');
+  const rejoin = async () => {
+    try { await join(); listen(); }
+    catch(e) { setStatus('offline'); UI.setErr('errSync', e.message); }
   };
 
-  const openEditAnf = a => {
-    UI.$('editAnfId').value=a.id; UI.$('editAnfNum').value=a.num;
-    UI.$('editAnfRecinto').value=a.recinto; UI.$('editAnfUbic').value=a.ubicacion||'';
-    UI.$('editAnfEnc1').value=a.enc1||''; UI.$('editAnfEnc2').value=a.enc2||'';
-    UI.$('editAnfHab').value=a.habilitados||0;
-    UI.clearErr('errEditAnf'); UI.openModal('modalAnf');
+  const connect = async (url, device, clave) => {
+    url = url.trim().replace(/\/+$/,''); device = device.trim(); clave = (clave||'').trim();
+    if (!/^https?:\/\/[^/]+$/.test(url)) return { ok:false, error:'La dirección debe tener la forma http://IP:PUERTO' };
+    if (!device) return { ok:false, error:'Indica un nombre para este equipo.' };
+    if (!clave) return { ok:false, error:'Indica la clave del evento que muestra el servidor al iniciar.' };
+    const pending = State.exportData().pending;
+    if (Object.values(pending).some(p=>Object.keys(p).length))
+      return { ok:false, error:'Hay digitaciones pendientes de verificación en este equipo: verifícalas o descártalas antes de conectar.' };
+    cfg = { url, device, clave };
+    setStatus('connecting');
+    try { await join(); }
+    catch(e) { cfg = { url:'', device, clave }; save(); setStatus('off'); return { ok:false, error:`No se pudo conectar: ${e.message}` }; }
+    listen();
+    flush();
+    return { ok:true };
   };
 
-  let _pending = null;
-  const confirmAction = (type,id,title,msg) => {
-    UI.$('confirmTitle').textContent=title; UI.$('confirmMsg').textContent=msg;
-    _pending={type,id}; UI.openModal('modalConfirm');
+  const disconnect = () => {
+    if (es) es.close();
+    es = null; clearTimeout(retryTimer);
+    cfg = { ...cfg, url:'' };
+    st = { rev:0, base:{}, outbox:st.outbox, estados:st.estados, conflicts:[] };
+    save();
+    setStatus('off');
   };
-  const executePending = () => {
-    if(!_pending) return;
-    if(_pending.type==='candidate') State.deleteCandidate(_pending.id);
-    if(_pending.type==='anfora')    State.deleteAnfora(_pending.id);
-    if(_pending.type==='reset')     { State.reset(); renderAll(); UI.closeModal('modalConfirm'); _pending=null; return; }
-    _pending=null; UI.closeModal('modalConfirm'); renderAll();
+
+  /* ── Envío de mesas ── */
+  const queue = ({ cargoId, anforaId, result, entry }) => {
+    if (!cfg.url) return;
+    const k = key(cargoId, anforaId);
+    const prev = st.outbox.find(o=>key(o.cargoId, o.anforaId)===k);
+    const item = { cargoId, anforaId, base:prev ? prev.base : (st.base[k]||0), result, entry:entry && { ...entry, device:cfg.device } };
+    st.outbox = st.outbox.filter(o=>o!==prev).concat(item);
+    save(); render();
+    flush();
   };
 
-  const renderAll = () => {
-    renderCandidates(); renderAnforas(); renderIngresoSelector();
-    const sel=UI.$('selAnfora').value; if(sel) renderIngresoForm(sel);
-    renderStats();
+  const queueEstado = ({ anforaId, entry }) => {
+    if (!cfg.url) return;
+    st.estados.push({ anforaId, entry });
+    save();
+    flush();
+  };
+
+  // Cambios de catálogo: se publican solos, agrupados si llegan varios seguidos (p. ej. al importar)
+  const queueCatalog = () => {
+    if (!cfg.url) return;
+    st.catalogo = true;
+    save();
+    clearTimeout(catalogTimer);
+    catalogTimer = setTimeout(flush, 300);
+  };
+
+  const pendiente = () => st.catalogo || st.outbox.length || st.estados.length;
+
+  // El catálogo va primero: las mesas pueden traer votos de candidatos recién agregados
+  const flush = async () => {
+    if (!cfg.url || flushing || !pendiente()) return;
+    flushing = true;
+    const sent = st.outbox.slice(), estados = st.estados.slice(), catalogo = st.catalogo;
+    try {
+      if (catalogo) {
+        st.catalogo = false;
+        await api('POST', '/api/catalog', { device:cfg.device, data:catalog() });
+      }
+      const r = sent.length || estados.length ? await api('POST', '/api/push', { device:cfg.device, mesas:sent, estados }) : { accepted:[], conflicts:[], rejected:[] };
+      st.outbox = st.outbox.filter(o=>!sent.includes(o));
+      st.estados = st.estados.filter(e=>!estados.includes(e));
+      r.accepted.forEach(a => { st.base[key(a.cargoId, a.anforaId)] = Math.max(st.base[key(a.cargoId, a.anforaId)]||0, a.rev); });
+      r.conflicts.forEach(c => {
+        const mine = sent.find(o=>key(o.cargoId, o.anforaId)===key(c.cargoId, c.anforaId));
+        st.conflicts = st.conflicts.filter(x=>key(x.cargoId, x.anforaId)!==key(c.cargoId, c.anforaId))
+          .concat({ cargoId:c.cargoId, anforaId:c.anforaId, mine:mine.result, theirs:c.result, rev:c.rev, device:c.device });
+      });
+      if (r.rejected.length) UI.setErr('errSync', r.rejected[0].error);
+      setStatus(es ? 'online' : status);
+    } catch(e) {
+      if (catalogo) st.catalogo = true;
+      setStatus('offline');
+      clearTimeout(retryTimer);
+      retryTimer = setTimeout(flush, RETRY);
+    } finally {
+      flushing = false;
+      save(); render();
+    }
+    if (pendiente() && status==='online') flush();
+  };
+
+  // Conflicto por mesa: se acepta la versión del servidor o se publica la de este equipo sobre ella
+  const resolve = (i, choice) => {
+    const c = st.conflicts[i];
+    if (!c) return;
+    st.conflicts.splice(i, 1);
+    const k = key(c.cargoId, c.anforaId);
+    const entry = { ts:new Date().toISOString(), num:mesaNum(c.anforaId), operator:cfg.device };
+    if (choice==='theirs') {
+      State.applyRemote({ cargoId:c.cargoId, anforaId:c.anforaId, result:c.theirs,
+        entry:{ ...entry, reason:`Conflicto de sincronización: se aceptó la versión de ${c.device||'otro equipo'}`, prev:c.mine, next:c.theirs } });
+      st.base[k] = c.rev;
+    } else {
+      const mine = { ...entry, reason:'Conflicto de sincronización: se mantuvo la versión de este equipo', prev:c.theirs, next:c.mine };
+      State.applyRemote({ cargoId:c.cargoId, anforaId:c.anforaId, result:c.mine, entry:mine });
+      st.base[k] = c.rev;
+      st.outbox.push({ cargoId:c.cargoId, anforaId:c.anforaId, base:c.rev, result:c.mine, entry:{ ...mine, device:cfg.device } });
+    }
+    save();
+    Views.renderAll();
+    flush();
+  };
+
+  const publish = async () => {
+    UI.clearErr('errSync');
+    try { await api('POST', '/api/catalog', { device:cfg.device, data:catalog() }); st.catalogo = false; save(); }
+    catch(e) { UI.setErr('errSync', e.message); }
+  };
+
+  /* ── Vista ── */
+  const LABELS = { off:'Sin conectar', connecting:'Conectando…', online:'Conectado', offline:'Sin conexión · reintentando' };
+
+  const render = () => {
+    const pill = UI.$('syncPill');
+    pill.className = `sstatus sync-${status}`;
+    pill.title = LABELS[status];
+    UI.$('iSyncUrl').value    = cfg.url || UI.$('iSyncUrl').value || (/^https?:/.test(location.protocol) ? location.origin : '');
+    UI.$('iSyncDevice').value = cfg.device || UI.$('iSyncDevice').value;
+    UI.$('iSyncClave').value  = cfg.clave || UI.$('iSyncClave').value;
+    UI.$('syncStatus').textContent = `${LABELS[status]}${cfg.url?` · ${cfg.url}`:''}${st.outbox.length?` · ${st.outbox.length} mesa${st.outbox.length!==1?'s':''} por enviar`:''}`;
+    UI.$('btnSyncConnect').classList.toggle('hidden', !!cfg.url);
+    UI.$('btnSyncDisconnect').classList.toggle('hidden', !cfg.url);
+    UI.$('btnSyncPublish').disabled = status!=='online';
+
+    const box = UI.$('syncConflicts');
+    box.innerHTML='';
+    box.style.display = st.conflicts.length ? '' : 'none';
+    const votos = r => r ? `${UI.fmt(Object.entries(r).filter(([k])=>!(k in ACTA_CONTROL)).reduce((t,[,v])=>t+(v||0),0))} votos` : 'sin votos';
+    st.conflicts.forEach((c, i) => {
+      const row = UI.el('div','sync-conflict');
+      row.appendChild(UI.el('span','backup-conflict',`Mesa ${mesaNum(c.anforaId)} · ${cargoName(c.cargoId)}: este equipo ${votos(c.mine)} · ${c.device||'servidor'} ${votos(c.theirs)}`));
+      const bT = UI.el('button','btn btn-ghost btn-sm','Usar la del servidor'); bT.addEventListener('click', ()=>resolve(i,'theirs'));
+      const bM = UI.el('button','btn btn-ghost btn-sm','Mantener la mía');     bM.addEventListener('click', ()=>resolve(i,'mine'));
+      row.appendChild(bT); row.appendChild(bM);
+      box.appendChild(row);
+    });
+  };
+
+  const init = () => {
+    State.onResult(queue);
+    State.onEstado(queueEstado);
+    State.onCatalog(queueCatalog);
+    render();
+    if (cfg.url && typeof EventSource!=='undefined') { setStatus('connecting'); listen(); }
   };
 
-  return { renderCandidates, renderAnforas, renderIngresoSelector, renderIngresoForm, updateComputed, renderResultAnfora, renderStats, renderAll, openEditCand, openEditAnf, confirmAction, executePending };
+  return { init, connect, disconnect, publish, resolve, flush, render };
 })();
 
 /* ════════════════════════════════════════════════════════
-   EXPORT PDF — MTS Branded
+   CUENTAS Y ROLES — inicio de sesión local con PIN
+   Controla quién usa este equipo; no cifra los datos ni reemplaza el respaldo.
 ════════════════════════════════════════════════════════ */
-const Export = (() => {
-  const esc = s => String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;').replace(/"/g,'&quot;');
+const Auth = (() => {
+  const SESSION  = 'mts_electoral_v1_sesion';
+  const INTENTOS = 5, ESPERA = 30000;
+  let _fallos = 0, _bloqueo = 0;
 
-  const toPDF = () => {
-    const s = State.getStats();
-    const d = new Date().toLocaleString('es-BO');
-
-    // Pie SVG
-    const pieItems = s.sorted.filter(c=>c.votes>0).map(c=>({label:c.name,value:c.votes,color:c.color}));
-    if(s.blancos>0) pieItems.push({label:'Blanco',value:s.blancos,color:'#c8b99a'});
-    if(s.nulos>0)   pieItems.push({label:'Nulos',value:s.nulos,color:'#9c9080'});
-    const total=pieItems.reduce((t,p)=>t+p.value,0);
-    let pSVG=''; let angle=-Math.PI/2;
-    const TAU=Math.PI*2, cx=110,cy=110,ro=90,ri=48;
-    pieItems.forEach(p=>{
-      if(!p.value) return;
-      const sl=p.value/total*TAU; const ea=angle+sl;
-      const x1o=cx+ro*Math.cos(angle), y1o=cy+ro*Math.sin(angle);
-      const x2o=cx+ro*Math.cos(ea),    y2o=cy+ro*Math.sin(ea);
-      const x1i=cx+ri*Math.cos(ea),    y1i=cy+ri*Math.sin(ea);
-      const x2i=cx+ri*Math.cos(angle), y2i=cy+ri*Math.sin(angle);
-      const lg=sl>Math.PI?1:0;
-      pSVG+=`<path d="M${x1o} ${y1o} A${ro} ${ro} 0 ${lg} 1 ${x2o} ${y2o} L${x1i} ${y1i} A${ri} ${ri} 0 ${lg} 0 ${x2i} ${y2i} Z" fill="${p.color}" stroke="white" stroke-width="2"><title>${esc(p.label)}: ${p.value}</title></path>`;
-      angle=ea;
-    });
-    const pieSVGStr=`<svg viewBox="0 0 220 220" width="200" height="200" style="display:block">${pSVG}<text x="110" y="105" text-anchor="middle" font-size="20" font-weight="800" fill="#1a1a0f" font-family="Georgia,serif">${UI.fmt(s.totalValidos)}</text><text x="110" y="122" text-anchor="middle" font-size="8" fill="#6b6450" font-family="sans-serif" text-transform="uppercase">VOTOS VÁLIDOS</text></svg>`;
-
-    const candRows = s.sorted.map((c,i)=>{
-      const isMTS = c.name.toUpperCase()===MTS_CANDIDATE_NAME;
-      const bgStyle = isMTS ? 'background:linear-gradient(90deg,#f0f7f2,#fff)' : (i===0?'background:#fdfaf0':'');
-      return `<tr style="${bgStyle}">
-        <td style="font-weight:800;color:${i===0?'#b08d3c':'#9c9080'};white-space:nowrap">${i===0?'★ 1°':`${i+1}°`}</td>
-        <td style="padding:8px 14px">
-          <span style="display:inline-block;width:10px;height:10px;border-radius:50%;background:${c.color};flex-shrink:0;margin-right:7px;vertical-align:middle"></span>
-          <span style="font-weight:${isMTS?'900':'700'};color:${isMTS?'#1a3d2b':'inherit'}">${esc(c.name)}</span>
-          ${isMTS?'<span style="background:#1a3d2b;color:#fff;font-size:7pt;padding:1px 6px;border-radius:3px;margin-left:6px">MTS</span>':''}
-        </td>
-        <td style="color:#6b6450;font-size:8pt">${esc(c.party||'—')}</td>
-        <td style="text-align:right;font-weight:${isMTS?'900':'700'};font-family:monospace;color:${isMTS?'#1a3d2b':'inherit'}">${UI.fmt(c.votes)}</td>
-        <td style="text-align:right">${UI.pct(c.votes,s.totalValidos)}</td>
-        <td style="text-align:right;color:#9c9080">${UI.pct(c.votes,s.totalHab)}</td>
-        <td style="min-width:120px"><div style="background:#ede8de;border-radius:99px;height:8px;overflow:hidden"><div style="height:100%;border-radius:99px;background:${c.color};width:${s.sorted[0]?.votes?Math.max(3,c.votes/s.sorted[0].votes*100):3}%"></div></div></td>
-      </tr>`;
-    }).join('');
-
-    const mts = s.mtsCandidate;
-    const mtsBlock = mts ? `
-    <div style="margin:16px 0;padding:14px 18px;background:linear-gradient(135deg,#1a3d2b,#2d5c3e);color:#fff;border-radius:8px;display:flex;justify-content:space-between;align-items:center">
-      <div>
-        <div style="font-size:7pt;opacity:.7;text-transform:uppercase;letter-spacing:.08em;margin-bottom:4px">Movimiento Tercer Sistema</div>
-        <div style="font-size:13pt;font-weight:900;font-family:Georgia,serif">${esc(mts.name)}</div>
-      </div>
-      <div style="text-align:right">
-        <div style="font-size:22pt;font-weight:900;font-family:Georgia,serif">${UI.fmt(s.mtsVotes)}</div>
-        <div style="font-size:10pt;opacity:.8">${UI.pct(s.mtsVotes,s.totalValidos)} · Posición ${s.mtsPosition}°</div>
-      </div>
-    </div>` : '';
+  // SHA-256 propio: crypto.subtle solo existe en https o localhost, y la app se abre por http en la red local
+  const primes = n => { const p=[]; for (let x=2; p.length<n; x++) if (p.every(q=>x%q)) p.push(x); return p; };
+  const frac = x => ((x-Math.floor(x))*0x100000000)>>>0;
+  const K = primes(64).map(p=>frac(Math.cbrt(p))), H0 = primes(8).map(p=>frac(Math.sqrt(p)));
 
-    const processedAnf = s.anforas.filter(a=>s.results[a.id]);
-    const anforaHdrs = s.cands.map(c=>`<th style="background:#e8f0eb;color:#1a3d2b">${esc(c.alias||c.name.slice(0,10))}</th>`).join('');
-    const anforaRows = processedAnf.map(a=>{
-      const r=s.results[a.id]; let t=0;
-      const cells=s.cands.map(c=>{const v=r[c.id]||0;t+=v;return`<td style="text-align:right">${UI.fmt(v)}</td>`;}).join('');
-      const b=r.blancos||0,n=r.nulos||0; t+=b+n;
-      return`<tr><td style="font-weight:700">${esc(a.num)}</td><td>${esc(a.recinto)}</td><td style="color:#6b6450">${esc(a.ubicacion||'—')}</td><td style="color:#6b6450">${esc(a.enc1)}</td>${cells}<td style="text-align:right">${UI.fmt(b)}</td><td style="text-align:right">${UI.fmt(n)}</td><td style="text-align:right;font-weight:700">${UI.fmt(t)}</td></tr>`;
-    }).join('');
-
-    const pieLegendHTML = pieItems.map(p=>`<div style="display:flex;align-items:center;gap:8px;font-size:9pt;margin-bottom:6px"><span style="display:inline-block;width:10px;height:10px;border-radius:50%;background:${p.color};flex-shrink:0"></span><span style="flex:1;font-weight:600">${esc(p.label)}</span><span style="font-family:monospace;color:#6b6450">${UI.pct(p.value,total)}</span></div>`).join('');
-
-    const html=`<!DOCTYPE html><html lang="es"><head><meta charset="UTF-8"/><title>Reporte Electoral — Movimiento Tercer Sistema</title>
-<style>
-*{box-sizing:border-box;margin:0;padding:0}
-body{font-family:'Segoe UI',Arial,sans-serif;background:#ede8de;color:#1a1a0f;font-size:10pt;-webkit-print-color-adjust:exact;print-color-adjust:exact}
-.page{max-width:210mm;margin:0 auto;padding:14mm 14mm 10mm;background:#fdfaf4}
-.hdr{display:flex;align-items:center;justify-content:space-between;padding-bottom:14px;border-bottom:4px solid #1a3d2b;margin-bottom:22px}
-.hdr-left{display:flex;align-items:center;gap:14px}
-.hdr-badge{background:#1a3d2b;color:#fff;font-size:7pt;font-weight:800;text-transform:uppercase;letter-spacing:.08em;padding:3px 10px;border-radius:3px;margin-bottom:5px}
-.hdr-title{font-size:15pt;font-weight:800;color:#1a3d2b;font-family:Georgia,serif;letter-spacing:-.01em}
-.hdr-sub{font-size:7.5pt;color:#6b6450;margin-top:2px}
-.hdr-right{text-align:right}
-.hdr-report{font-size:10pt;font-weight:700;color:#1a3d2b}
-.hdr-date{font-size:8pt;color:#6b6450;margin-top:3px}
-.kpi-row{display:grid;grid-template-columns:repeat(4,1fr);gap:8px;margin-bottom:20px}
-.kpi{border:1px solid #ddd6c8;border-radius:8px;padding:11px 13px;background:#f5f0e6}
-.kpi.accent{background:#1a3d2b;border-color:#142e20}
-.kpi.gold{background:linear-gradient(135deg,#fdfae9,#fdf4e3);border-color:#d9cdb8}
-.kpi-l{font-size:6.5pt;font-weight:700;text-transform:uppercase;letter-spacing:.07em;color:#6b6450;margin-bottom:5px}
-.kpi.accent .kpi-l{color:rgba(255,255,255,.65)}
-.kpi.gold .kpi-l{color:#8a6810}
-.kpi-v{font-size:15pt;font-weight:800;color:#1a3d2b;line-height:1;margin-bottom:3px;font-family:Georgia,serif;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
-.kpi.accent .kpi-v{color:#fff}
-.kpi.gold .kpi-v{color:#8a6010}
-.kpi-s{font-size:7pt;color:#6b6450}
-.kpi.accent .kpi-s{color:rgba(255,255,255,.6)}
-h2{font-size:7.5pt;font-weight:800;text-transform:uppercase;letter-spacing:.1em;color:#1a3d2b;margin:18px 0 8px;padding-bottom:5px;border-bottom:2px solid #ddd6c8;display:flex;align-items:center;gap:6px}
-h2::before{content:'';display:inline-block;width:3px;height:14px;background:#1a3d2b;border-radius:99px}
-table{width:100%;border-collapse:collapse;font-size:9pt}
-thead tr{background:#e8f0eb}
-th{text-align:left;padding:7px 10px;font-size:6.5pt;font-weight:700;text-transform:uppercase;letter-spacing:.06em;color:#1a3d2b;border-bottom:2px solid rgba(26,61,43,0.15);white-space:nowrap}
-td{padding:8px 10px;border-bottom:1px solid #ede8de;vertical-align:middle}
-tr:last-child td{border-bottom:none}
-.charts-row{display:flex;gap:20px;margin-bottom:20px;align-items:flex-start}
-.pie-section{flex-shrink:0}
-.legend-section{flex:1;padding-top:10px}
-.footer{margin-top:18px;padding-top:10px;border-top:2px solid #ddd6c8;display:flex;justify-content:space-between;font-size:7.5pt;color:#9c9080}
-.print-bar{position:fixed;top:0;left:0;right:0;background:#1a3d2b;color:#fff;padding:10px 20px;display:flex;align-items:center;justify-content:space-between;gap:12px;z-index:999;font-family:inherit;font-size:12px}
-.pbtn{background:#6bbf85;color:#1a3d2b;border:none;border-radius:6px;padding:7px 18px;font-size:12px;font-weight:800;cursor:pointer;font-family:inherit}
-.pbtn:hover{background:#52a870}
-.pcls{background:rgba(255,255,255,.1);color:#fff;border:1px solid rgba(255,255,255,.25);border-radius:6px;padding:7px 14px;font-size:12px;cursor:pointer;font-family:inherit}
-@media screen{body{padding-top:52px}.page{box-shadow:0 4px 32px rgba(0,0,0,.1);margin:16px auto 40px;border-radius:8px}}
-@media print{.print-bar{display:none!important}body{background:#fff;padding-top:0}.page{padding:10mm;box-shadow:none;border-radius:0}h2{page-break-after:avoid}table{page-break-inside:auto}thead{display:table-header-group}tr{page-break-inside:avoid}}
-</style></head><body>
-<div class="print-bar">
-  <div style="display:flex;align-items:center;gap:10px">
-    <svg width="20" height="20" viewBox="0 0 42 42" fill="none"><circle cx="21" cy="21" r="20" stroke="rgba(107,191,133,0.5)" stroke-width="1.5"/><polygon points="21,9 33,30 9,30" fill="none" stroke="#6bbf85" stroke-width="2" stroke-linejoin="round"/></svg>
-    <strong>Movimiento Tercer Sistema</strong> — Reporte Electoral Oficial
-  </div>
-  <span style="color:rgba(255,255,255,.55);font-size:11px">Selecciona "Guardar como PDF" en el diálogo de impresión</span>
-  <div style="display:flex;gap:8px">
-    <button class="pcls" onclick="window.close()">✕ Cerrar</button>
-    <button class="pbtn" onclick="window.print()">🖨 Imprimir / Guardar PDF</button>
-  </div>
-</div>
-<div class="page">
-  <div class="hdr">
-    <div class="hdr-left">
-      <svg width="44" height="44" viewBox="0 0 42 42" fill="none"><circle cx="21" cy="21" r="20" fill="#e8f0eb" stroke="#1a3d2b" stroke-width="1.5"/><polygon points="21,9 33,30 9,30" fill="none" stroke="#1a3d2b" stroke-width="2" stroke-linejoin="round"/><polygon points="21,15 29,28 13,28" fill="rgba(26,61,43,0.2)"/><circle cx="21" cy="21" r="3" fill="#1a3d2b"/></svg>
-      <div>
-        <div class="hdr-badge">Reporte Electoral Oficial</div>
-        <div class="hdr-title">Movimiento Tercer Sistema</div>
-        <div class="hdr-sub">Cómputo Electoral 2025 · Municipio de Teoponte</div>
-      </div>
-    </div>
-    <div class="hdr-right">
-      <div class="hdr-report">Genaro Monge Hanco Valencia</div>
-      <div class="hdr-date">Generado: ${d}</div>
-    </div>
-  </div>
-  <div class="kpi-row">
-    <div class="kpi"><div class="kpi-l">Mesas</div><div class="kpi-v">${s.anforas.length}</div><div class="kpi-s">${s.processed} procesadas</div></div>
-    <div class="kpi accent"><div class="kpi-l">Votos Válidos</div><div class="kpi-v">${UI.fmt(s.totalValidos)}</div><div class="kpi-s">${UI.fmt(s.totalHab)} habilitados</div></div>
-    <div class="kpi"><div class="kpi-l">Participación</div><div class="kpi-v">${s.participacion.toFixed(1)}%</div><div class="kpi-s">sobre habilitados</div></div>
-    <div class="kpi gold"><div class="kpi-l">Candidato Líder</div><div class="kpi-v" style="font-size:10pt">${esc(s.sorted[0]?.name||'—')}</div><div class="kpi-s">${UI.pct(s.sorted[0]?.votes||0,s.totalValidos)}</div></div>
-  </div>
-  ${mtsBlock}
-  <h2>Distribución de Votos</h2>
-  <div class="charts-row">
-    <div class="pie-section">${pieSVGStr}</div>
-    <div class="legend-section">${pieLegendHTML}</div>
-  </div>
-  <h2>Resultados por Candidato</h2>
-  <table><thead><tr><th>Pos.</th><th>Candidato</th><th>Partido</th><th style="text-align:right">Votos</th><th style="text-align:right">% Válidos</th><th style="text-align:right">% Hab.</th><th>Proporción</th></tr></thead>
-  <tbody>${candRows}</tbody></table>
-  ${processedAnf.length>0?`<h2>Detalle por Mesa</h2><table><thead><tr><th>Cod.</th><th>Recinto</th><th>Zona</th><th>Encargado</th>${anforaHdrs}<th style="text-align:right">Blanco</th><th style="text-align:right">Nulos</th><th style="text-align:right">Total</th></tr></thead><tbody>${anforaRows}</tbody></table>`:''}
-  <div class="footer">
-    <span>Movimiento Tercer Sistema · Cómputo Propio · Uso exclusivo del partido</span>
-    <span>Total emitido: ${UI.fmt(s.totalEmitido)} · Habilitados: ${UI.fmt(s.totalHab)} · Participación: ${s.participacion.toFixed(2)}%</span>
-  </div>
-</div></body></html>`;
-
-    const win=window.open('','_blank');
-    if(!win){alert('El navegador bloqueó la ventana emergente. Permite popups para este archivo.');return;}
-    win.document.open(); win.document.write(html); win.document.close();
-  };
-
-  return { toPDF };
+  const sha256 = str => {
+    const bytes = [...new TextEncoder().encode(str)], bits = bytes.length*8;
+    bytes.push(0x80);
+    while (bytes.length%64!==56) bytes.push(0);
+    for (let i=7; i>=0; i--) bytes.push(i>=4 ? 0 : (bits>>>(i*8))&255);
+    const h = [...H0], w = new Array(64), rot = (x,n) => (x>>>n)|(x<<(32-n));
+    for (let o=0; o<bytes.length; o+=64) {
+      for (let i=0; i<64; i++) {
+        if (i<16) { w[i] = (bytes[o+i*4]<<24)|(bytes[o+i*4+1]<<16)|(bytes[o+i*4+2]<<8)|bytes[o+i*4+3]; continue; }
+        const s0 = rot(w[i-15],7)^rot(w[i-15],18)^(w[i-15]>>>3), s1 = rot(w[i-2],17)^rot(w[i-2],19)^(w[i-2]>>>10);
+        w[i] = (w[i-16]+s0+w[i-7]+s1)|0;
+      }
+      let [a,b,c,d,e,f,g,k] = h;
+      for (let i=0; i<64; i++) {
+        const t1 = (k + (rot(e,6)^rot(e,11)^rot(e,25)) + ((e&f)^(~e&g)) + K[i] + w[i])|0;
+        const t2 = ((rot(a,2)^rot(a,13)^rot(a,22)) + ((a&b)^(a&c)^(b&c)))|0;
+        k=g; g=f; f=e; e=(d+t1)|0; d=c; c=b; b=a; a=(t1+t2)|0;
+      }
+      [a,b,c,d,e,f,g,k].forEach((x,i) => { h[i] = (h[i]+x)|0; });
+    }
+    return h.map(x=>(x>>>0).toString(16).padStart(8,'0')).join('');
+  };
+
+  const hashPin = (salt, pin) => sha256(`${salt}:${pin}`);
+  const salt = () => [...crypto.getRandomValues(new Uint8Array(8))].map(b=>b.toString(16).padStart(2,'0')).join('');
+  const checkPin = pin => /^\d{4,8}$/.test(pin||'') ? null : 'El PIN debe tener de 4 a 8 dígitos.';
+
+  /* ── Cuentas ── */
+  // Son del equipo, como la configuración de sincronización: no viajan en respaldos ni en la
+  // sincronización (nadie puede colar una cuenta de administrador desde otro equipo) y no se pierden al reiniciar.
+  // { id, nombre, rol, salt, pin } con el PIN guardado como hash
+  const getCuentas = () => { try { return JSON.parse(Storage.getPref('cuentas')) || []; } catch(e) { return []; } };
+  const saveCuentas = list => Storage.setPref('cuentas', JSON.stringify(list));
+  const admins = list => list.filter(c=>c.rol==='admin').length;
+
+  const cuentaData = (nombre, rolId, id) => {
+    const n = (nombre||'').trim();
+    if (!n) return { error:'El nombre no puede estar vacío.' };
+    if (!ROLES[rolId]) return { error:'Rol desconocido.' };
+    if (getCuentas().some(c=>c.id!==id && c.nombre.toLowerCase()===n.toLowerCase())) return { error:`Ya existe la cuenta "${n}".` };
+    return { nombre:n, rol:rolId };
+  };
+
+  const withPin = pin => { const s = salt(); return { salt:s, pin:hashPin(s, pin) }; };
+
+  const crear = (nombre, rolId, pin) => {
+    const v = cuentaData(nombre, rolId);
+    if (v.error) return { ok:false, error:v.error };
+    const err = checkPin(pin);
+    if (err) return { ok:false, error:err };
+    const c = { id:`u_${Date.now().toString(36)}_${salt()}`, ...v, ...withPin(pin) };
+    saveCuentas([...getCuentas(), c]);
+    return { ok:true, cuenta:c };
+  };
+
+  // PIN vacío: se conserva el actual
+  const editar = (id, nombre, rolId, pin) => {
+    const list = getCuentas(), c = list.find(x=>x.id===id);
+    if (!c) return { ok:false, error:'Cuenta no encontrada.' };
+    const v = cuentaData(nombre, rolId, id);
+    if (v.error) return { ok:false, error:v.error };
+    if (c.rol==='admin' && v.rol!=='admin' && admins(list)<=1) return { ok:false, error:'Debe quedar al menos un Administrador.' };
+    const err = pin ? checkPin(pin) : null;
+    if (err) return { ok:false, error:err };
+    Object.assign(c, v, pin ? withPin(pin) : {});
+    saveCuentas(list);
+    return { ok:true };
+  };
+
+  const eliminar = id => {
+    const list = getCuentas(), c = list.find(x=>x.id===id);
+    if (!c) return { ok:false, error:'Cuenta no encontrada.' };
+    if (current()?.id===id) return { ok:false, error:'No puedes eliminar la cuenta con la que iniciaste sesión.' };
+    if (c.rol==='admin' && admins(list)<=1) return { ok:false, error:'Debe quedar al menos un Administrador.' };
+    saveCuentas(list.filter(x=>x.id!==id));
+    return { ok:true };
+  };
+
+  /* ── Sesión ── */
+  // Dura lo que la pestaña: sobrevive a recargar, no a cerrar el navegador
+  const current = () => {
+    let id = null;
+    try { id = sessionStorage.getItem(SESSION); } catch(e) {}
+    return getCuentas().find(c=>c.id===id) || null;
+  };
+  const rol   = () => current()?.rol || null;
+  const can   = (...roles) => roles.includes(rol());
+  const views = () => ROLES[rol()]?.views || [];
+
+  // Sin sesión solo responde el inicio de sesión; con sesión, lo marcado con data-rol y las vistas del rol
+  const permite = el => {
+    const r = rol();
+    if (!r) return !!el.closest?.('#loginScreen');
+    const restr = el.closest?.('[data-rol]');
+    if (restr && !restr.dataset.rol.split(' ').includes(r)) return false;
+    const view = el.closest?.('.snav-btn[data-view]')?.dataset.view || el.closest?.('.view')?.id.replace(/^view-/,'');
+    return !view || views().includes(view);
+  };
+
+  const login = (id, pin) => {
+    if (Date.now()<_bloqueo) return { ok:false, error:`Demasiados intentos fallidos: espera ${Math.ceil((_bloqueo-Date.now())/1000)} s.` };
+    const c = getCuentas().find(x=>x.id===id);
+    if (!c) return { ok:false, error:'Elige una cuenta.' };
+    if (hashPin(c.salt, pin)!==c.pin) {
+      if (++_fallos>=INTENTOS) { _fallos=0; _bloqueo=Date.now()+ESPERA; }
+      return { ok:false, error:'PIN incorrecto.' };
+    }
+    _fallos = 0;
+    try { sessionStorage.setItem(SESSION, c.id); } catch(e) { return { ok:false, error:'El navegador no permite guardar la sesión.' }; }
+    Storage.setPref('ultima_cuenta', c.id);
+    return { ok:true, cuenta:c };
+  };
+
+  const logout = () => { try { sessionStorage.removeItem(SESSION); } catch(e) {} };
+
+  return { getCuentas, crear, editar, eliminar, current, rol, can, views, permite, login, logout };
 })();
 
 /* ════════════════════════════════════════════════════════
@@ -1133,8 +5451,18 @@ const TVClock = (() => {
 ════════════════════════════════════════════════════════ */
 const Events = (() => {
   const $ = UI.$;
+  // Quien firma cada acta, estado o foto: la cuenta con sesión abierta
+  const operador = () => Auth.current()?.nombre || '';
 
   const init = () => {
+    /* ── Permisos por rol ── */
+    // Lo que no corresponde al rol está oculto (Views.renderSesion); aquí se corta además cualquier
+    // clic, cambio o atajo que llegue igual, antes de los manejadores de abajo
+    ['click','change','input','keydown','submit'].forEach(type => document.addEventListener(type, e=>{
+      if(Auth.permite(e.target)) return;
+      e.preventDefault(); e.stopImmediatePropagation();
+    }, true));
+
     /* ── Mobile sidebar ── */
     const sidebar   = $('sidebar');
     const backdrop  = $('sidebarBackdrop');
@@ -1160,15 +5488,7 @@ const Events = (() => {
 
     /* ── Navigation ── */
     document.querySelectorAll('.snav-btn[data-view]').forEach(btn=>{
-      btn.addEventListener('click',()=>{
-        document.querySelectorAll('.snav-btn').forEach(b=>b.classList.remove('active'));
-        document.querySelectorAll('.view').forEach(v=>v.classList.remove('active'));
-        btn.classList.add('active');
-        const view=$(`view-${btn.dataset.view}`);
-        if(view) view.classList.add('active');
-        if(btn.dataset.view==='stats'||btn.dataset.view==='tv') Views.renderStats();
-        closeSB();
-      });
+      btn.addEventListener('click',()=>{ Views.showView(btn.dataset.view); closeSB(); });
     });
 
     /* ── Color picker sync ── */
@@ -1205,14 +5525,66 @@ const Events = (() => {
       Views.renderCandidates(); Views.renderIngresoSelector();
     });
 
+    /* ── Cargos ── */
+    $('frmCargo').addEventListener('submit', e=>{
+      e.preventDefault(); UI.clearErr('errCargo');
+      const result=State.addCargo($('iCargoName').value);
+      if(!result.ok){UI.setErr('errCargo',result.error);return;}
+      $('iCargoName').value='';
+      State.setCargo(result.cargo.id);
+      Views.renderAll();
+    });
+    document.querySelectorAll('.cargo-sel').forEach(sel=>{
+      sel.addEventListener('change', e=>{ State.setCargo(e.target.value); Views.renderAll(); });
+    });
+
+    /* ── Identidad de campaña ── */
+    $('iFocusCand').addEventListener('change', e=>{
+      const r=State.setFocus(e.target.value||null);
+      if(!r.ok){UI.setErr('errBrand',r.error);return;}
+      Views.renderAll();
+    });
+    $('frmBrand').addEventListener('submit', e=>{
+      e.preventDefault(); UI.clearErr('errBrand');
+      const r=State.setBranding({ titulo:$('iBrTitulo').value, sigla:$('iBrSigla').value, anio:$('iBrAnio').value, subtitulo:$('iBrSubtitulo').value, municipio:$('iBrMunicipio').value });
+      if(!r.ok){UI.setErr('errBrand',r.error);return;}
+      Views.renderAll();
+    });
+    let brandImg=null;
+    document.querySelectorAll('[data-brand-file]').forEach(btn=>btn.addEventListener('click',()=>{ brandImg=btn.dataset.brandFile; $('fileBrand').click(); }));
+    document.querySelectorAll('[data-brand-clear]').forEach(btn=>btn.addEventListener('click',()=>{
+      State.setBranding({ [btn.dataset.brandClear]:'' }); Views.renderBranding();
+    }));
+    $('fileBrand').addEventListener('change', async e=>{
+      const f=e.target.files[0]; e.target.value='';
+      if(!f||!brandImg) return;
+      UI.clearErr('errBrand');
+      if(!/^image\//.test(f.type)){UI.setErr('errBrand','El archivo no es una imagen.');return;}
+      if(f.size>BRANDING_IMG_MAX){UI.setErr('errBrand',`La imagen supera ${BRANDING_IMG_MAX/1024} KB; usa una versión más liviana.`);return;}
+      try { State.setBranding({ [brandImg]:await UI.readFile(f,'dataurl') }); Views.renderBranding(); }
+      catch(err){ UI.setErr('errBrand',err.message); }
+    });
+
     /* ── Add Anfora ── */
+    // Doble asignación: se avisa y se confirma enviando de nuevo los mismos datos
+    let ackDoble=null;
+    const dobleAsignacion = (errId, anforaId, enc1, enc2) => {
+      const otras=[enc1,enc2].map(n=>({ n:n.trim(), mesas:State.mesasDe(n).filter(a=>a.id!==anforaId) })).filter(x=>x.mesas.length);
+      const sig=`${errId}:${anforaId}:${enc1.trim()}/${enc2.trim()}`;
+      if(!otras.length || ackDoble===sig){ ackDoble=null; return false; }
+      ackDoble=sig;
+      UI.setErr(errId, `⚠ ${otras.map(x=>`${x.n} ya es encargado de la mesa ${x.mesas.map(a=>a.num).join(', ')}`).join('; ')}. Pulsa de nuevo para asignarlo igual.`);
+      return true;
+    };
+
     $('frmAnfora').addEventListener('submit', e=>{
       e.preventDefault(); UI.clearErr('errAnfora');
-      const result=State.addAnfora($('iAnfNum').value,$('iAnfRecinto').value,$('iAnfUbic').value,$('iAnfEnc1').value,$('iAnfEnc2').value,$('iAnfHab').value);
+      if(dobleAsignacion('errAnfora', null, $('iAnfEnc1').value, $('iAnfEnc2').value)) return;
+      const result=State.addAnfora($('iAnfNum').value,$('iAnfRecinto').value,$('iAnfUbic').value,$('iAnfEnc1').value,$('iAnfEnc2').value,$('iAnfHab').value,$('iAnfCirc').value);
       if(!result.ok){UI.setErr('errAnfora',result.error);return;}
-      ['iAnfNum','iAnfRecinto','iAnfUbic','iAnfEnc1','iAnfEnc2','iAnfHab'].forEach(id=>$(id).value='');
+      ['iAnfNum','iAnfRecinto','iAnfUbic','iAnfCirc','iAnfEnc1','iAnfEnc2','iAnfHab'].forEach(id=>$(id).value='');
       $('iAnfNum').focus();
-      Views.renderAnforas(); Views.renderIngresoSelector();
+      Views.renderAnforas(); Views.renderIngresoSelector(); Views.renderDelegados();
     });
 
     /* ── Load preset anforas ── */
@@ -1223,6 +5595,15 @@ const Events = (() => {
       else alert('Las mesas del padrón ya están registradas.');
     });
 
+    /* ── Importar padrón ── */
+    $('btnPadronFile').addEventListener('click', ()=>$('filePadron').click());
+    $('filePadron').addEventListener('change', e=>{
+      const f=e.target.files[0]; if(f) Padron.openFile(f);
+      e.target.value='';
+    });
+    $('btnPadronImport').addEventListener('click', Padron.commit);
+    $('btnPadronCancel').addEventListener('click', Padron.cancel);
+
     /* ── Select Anfora ── */
     $('selAnfora').addEventListener('change', e=>Views.renderIngresoForm(e.target.value));
 
@@ -1231,7 +5612,9 @@ const Events = (() => {
     $('iVNulos').addEventListener('input', Views.updateComputed);
 
     /* ── Save ingreso ── */
-    $('btnGuardar').addEventListener('click', ()=>{
+    let ackChecks=null;
+    // Devuelve el resultado de State cuando se llegó a guardar
+    const guardar = () => {
       UI.clearErr('errIngreso');
       const anforaId=$('selAnfora').value;
       if(!anforaId){UI.setErr('errIngreso','Selecciona una mesa.');return;}
@@ -1245,27 +5628,166 @@ const Events = (() => {
       votes.blancos=parseInt($('iVBlancos').value)||0;
       votes.nulos=parseInt($('iVNulos').value)||0;
       total+=votes.blancos+votes.nulos;
-      const anf=State.getAnforas().find(a=>a.id===anforaId);
-      if(anf&&anf.habilitados>0&&total>anf.habilitados){
-        UI.setErr('errIngreso',`⚠ El total (${UI.fmt(total)}) supera los habilitados (${UI.fmt(anf.habilitados)}). Verifica.`);
+      // Campos de control: en blanco no se guardan
+      for(const [k,id] of Object.entries(CONTROL_INPUTS)){
+        const raw=$(id).value.trim(); if(raw==='') continue;
+        const v=parseInt(raw);
+        if(isNaN(v)||v<0){UI.setErr('errIngreso','Los campos de control deben ser números enteros no negativos.');return;}
+        votes[k]=v;
+      }
+      const hab=State.getHabilitados(anforaId);
+      if(hab>0&&total>hab){
+        UI.setErr('errIngreso',`⚠ El total (${UI.fmt(total)}) supera los habilitados (${UI.fmt(hab)}). Verifica.`);
+        return;
+      }
+      const operator=operador();
+      if(!operator){UI.setErr('errIngreso','Inicia sesión para guardar votos.');return;}
+      // Observaciones: se muestran y hay que confirmar con un segundo clic sobre los mismos datos
+      const issues=Rules.check(anforaId,votes);
+      const sig=anforaId+':'+JSON.stringify(votes);
+      if(issues.length && ackChecks!==sig){
+        ackChecks=sig;
+        Views.renderActaChecks(issues);
         return;
       }
-      State.saveResult(anforaId,votes);
-      Views.renderResultAnfora(anforaId);
-      Views.renderAnforas(); Views.renderStats(); Views.renderIngresoSelector();
+      ackChecks=null;
+      const meta={ operator, reason:$('iMotivo').value };
+      const doble=State.getSettings().doubleEntry || State.getPending(anforaId);
+      const saved=doble ? State.submitEntry(anforaId,votes,meta) : State.saveResult(anforaId,votes,meta);
+      if(!saved.ok){UI.setErr('errIngreso',saved.error);if(!$('fldMotivo').classList.contains('hidden'))$('iMotivo').focus();return;}
+      Views.renderIngresoForm(anforaId);
+      Views.renderAnforas(); Views.renderStats(); Views.renderIngresoSelector(); Views.renderHistorial();
+      if(saved.status==='mismatch') return saved;
+      const labels={ pending:'◐ Pendiente de verificación', verified:'✓ Verificada', unchanged:'✓ Sin cambios' };
       const btn=$('btnGuardar'); const orig=btn.textContent;
-      btn.textContent='✓ Guardado'; btn.style.background='var(--green)';
+      btn.textContent=labels[saved.status]||'✓ Guardado'; btn.style.background='var(--green)';
       setTimeout(()=>{ btn.textContent=orig; btn.style.background=''; },2000);
+      return saved;
+    };
+    $('btnGuardar').addEventListener('click', guardar);
+
+    /* ── Entrada rápida ── */
+    const entryFields = () => [...document.querySelectorAll('.vcard-inp'), $('iVBlancos'), $('iVNulos'), ...Object.values(CONTROL_INPUTS).map(id=>$(id))];
+    const openMesa = id => { UI.clearErr('errMesaCod'); $('selAnfora').value=id; Views.renderIngresoForm(id); entryFields()[0].focus(); };
+    // Siguiente mesa sin votos ni digitación en este cargo; si no queda, la siguiente por verificar.
+    // Las anuladas no se transcriben.
+    const nextMesa = fromId => {
+      const all=State.getAnforas().filter(a=>a.id===fromId || !State.isAnulada(a.id)), i=all.findIndex(a=>a.id===fromId);
+      const ring=[...all.slice(i+1), ...all.slice(0, Math.max(i,0))];
+      return ring.find(a=>!State.getResult(a.id) && !State.getPending(a.id))
+          || ring.find(a=>State.getPending(a.id) && !State.getPending(a.id).second);
+    };
+    $('chkRapida').addEventListener('change', e=>{
+      Storage.setPref('rapida', e.target.checked ? '1' : '0');
+      Views.renderRapid();
+      if($('selAnfora').value) Views.renderIngresoForm($('selAnfora').value);
+      if(e.target.checked) $('iMesaCod').focus();
+    });
+    $('iMesaCod').addEventListener('keydown', e=>{
+      if(e.key!=='Enter') return;
+      e.preventDefault(); UI.clearErr('errMesaCod');
+      const code=e.target.value.trim().toLowerCase();
+      if(!code) return;
+      const all=State.getAnforas();
+      const starts=all.filter(a=>a.num.toLowerCase().startsWith(code));
+      const a=all.find(x=>x.num.toLowerCase()===code) || (starts.length===1 ? starts[0] : null);
+      if(!a){UI.setErr('errMesaCod', starts.length ? `Varias mesas empiezan con "${e.target.value.trim()}": escribe el código completo.` : `No hay una mesa con el código "${e.target.value.trim()}".`);return;}
+      e.target.value='';
+      openMesa(a.id);
+    });
+    // Enter avanza por las casillas en el orden del acta
+    $('ingresoPanel').addEventListener('keydown', e=>{
+      if(!Views.isRapid() || e.key!=='Enter' || e.ctrlKey || e.metaKey) return;
+      const fields=entryFields(), i=fields.indexOf(e.target);
+      if(i<0) return;
+      e.preventDefault();
+      (fields[i+1]||$('btnGuardar')).focus();
+    });
+    $('ingresoPanel').addEventListener('focusin', e=>{ if(Views.isRapid() && e.target.type==='number') e.target.select(); });
+    document.addEventListener('keydown', e=>{
+      if(!Views.isRapid() || !$('view-ingreso').classList.contains('active') || document.querySelector('.modal-ov.open')) return;
+      if(e.key==='Enter' && (e.ctrlKey||e.metaKey)) {
+        e.preventDefault();
+        const id=$('selAnfora').value;
+        const saved=id && guardar();
+        if(!saved || saved.status==='mismatch') return;
+        const next=nextMesa(id);
+        if(next) openMesa(next.id);
+        else { UI.setErr('errMesaCod','No quedan mesas pendientes en este cargo.'); $('iMesaCod').focus(); }
+      }
+      else if(e.altKey && e.code==='KeyL') { e.preventDefault(); if(!$('ingresoPanel').classList.contains('hidden')){ $('btnLimpiar').click(); entryFields()[0].focus(); } }
+      else if(e.altKey && e.code==='KeyE') { e.preventDefault(); if($('cardResultAnfora').style.display!=='none') $('btnReEditar').click(); }
+      else if(e.altKey && e.code==='KeyM') { e.preventDefault(); $('iMesaCod').focus(); }
     });
 
     /* ── Limpiar ingreso ── */
     $('btnLimpiar').addEventListener('click',()=>{
       document.querySelectorAll('.vcard-inp').forEach(i=>i.value=0);
-      $('iVBlancos').value=0; $('iVNulos').value=0; Views.updateComputed();
+      $('iVBlancos').value=0; $('iVNulos').value=0;
+      Object.values(CONTROL_INPUTS).forEach(id=>$(id).value='');
+      Views.renderActaChecks(null); Views.updateComputed();
+    });
+
+    /* ── Estado de la mesa ── */
+    $('selEstadoFiltro').addEventListener('change', Views.renderAnforas);
+    $('selEstado').addEventListener('change', Views.renderEstadoNota);
+    $('btnSaveEstado').addEventListener('click', ()=>{
+      UI.clearErr('errEstado');
+      const r=State.setEstado($('estadoAnfId').value, $('selEstado').value, $('iEstadoNota').value, operador());
+      if(!r.ok){UI.setErr('errEstado',r.error);$('iEstadoNota').focus();return;}
+      UI.closeModal('modalEstado'); Views.renderAll();
     });
 
     /* ── Re-editar anfora result ── */
-    $('btnReEditar').addEventListener('click',()=>{ $('cardResultAnfora').style.display='none'; });
+    $('btnReEditar').addEventListener('click',()=>{ $('cardResultAnfora').style.display='none'; $('iMotivo').focus(); });
+
+    /* ── Foto del acta ── */
+    $('btnActaFoto').addEventListener('click',()=>$('fileActa').click());
+    $('fileActa').addEventListener('change', async e=>{
+      const f=e.target.files[0]; e.target.value='';
+      const id=$('selAnfora').value;
+      if(!f||!id) return;
+      UI.clearErr('errActa');
+      if(!/^image\//.test(f.type)){UI.setErr('errActa','El archivo no es una imagen.');return;}
+      try {
+        const r=State.setFoto(id, await UI.shrinkImage(f, ACTA_FOTO_PX), operador());
+        if(!r.ok){UI.setErr('errActa',r.error);return;}
+        Views.refreshFoto(id);
+      } catch(err){ UI.setErr('errActa',err.message); }
+    });
+    $('btnActaQuitar').addEventListener('click',()=>{
+      const id=$('selAnfora').value;
+      const a=State.getAnforas().find(x=>x.id===id);
+      Views.confirmAction('foto',id,`¿Quitar la foto del acta de la mesa "${a?.num}"?`,'La imagen se borrará de este equipo.');
+    });
+    $('btnActaLado').addEventListener('click',()=>{
+      Storage.setPref('acta_lado', Storage.getPref('acta_lado')==='1' ? '0' : '1');
+      Views.renderActaFoto($('selAnfora').value);
+    });
+    $('actaFotoImg').addEventListener('click',()=>Views.openActa($('selAnfora').value));
+    $('resultActaThumb').addEventListener('click',()=>Views.openActa($('selAnfora').value));
+
+    /* ── Doble digitación ── */
+    $('chkDoble').addEventListener('change', e=>{
+      State.setSetting('doubleEntry', e.target.checked, `Doble digitación ${e.target.checked?'activada':'desactivada'}`);
+      const id=$('selAnfora').value; if(id) Views.renderIngresoForm(id);
+    });
+    const resolve = choice => {
+      UI.clearErr('errIngreso');
+      const id=$('selAnfora').value;
+      const r=State.resolveEntry(id,choice,{ operator:operador() });
+      if(!r.ok){UI.setErr('errIngreso',r.error);return;}
+      Views.renderAll();
+    };
+    $('btnUsarPrimera').addEventListener('click', ()=>resolve('first'));
+    $('btnUsarSegunda').addEventListener('click', ()=>resolve('second'));
+    $('btnDescartarDig').addEventListener('click', ()=>{
+      Views.confirmAction('pending',$('selAnfora').value,'¿Descartar ambas digitaciones?','La mesa volverá a su estado anterior y el acta deberá digitarse de nuevo.');
+    });
+
+    /* ── Historial ── */
+    $('histVerA').addEventListener('change', Views.renderHistCompare);
+    $('histVerB').addEventListener('change', Views.renderHistCompare);
 
     /* ── Edit Candidate ── */
     $('btnSaveCand').addEventListener('click',()=>{
@@ -1278,22 +5800,125 @@ const Events = (() => {
     /* ── Edit Anfora ── */
     $('btnSaveAnf').addEventListener('click',()=>{
       UI.clearErr('errEditAnf');
-      const r=State.editAnfora($('editAnfId').value,$('editAnfNum').value,$('editAnfRecinto').value,$('editAnfUbic').value,$('editAnfEnc1').value,$('editAnfEnc2').value,$('editAnfHab').value);
+      if(dobleAsignacion('errEditAnf', $('editAnfId').value, $('editAnfEnc1').value, $('editAnfEnc2').value)) return;
+      const r=State.editAnfora($('editAnfId').value,$('editAnfNum').value,$('editAnfRecinto').value,$('editAnfUbic').value,$('editAnfEnc1').value,$('editAnfEnc2').value,$('editAnfHab').value,$('editAnfCirc').value);
       if(!r.ok){UI.setErr('errEditAnf',r.error);return;}
       UI.closeModal('modalAnf'); Views.renderAll();
     });
 
+    /* ── Delegados ── */
+    $('frmDelegado').addEventListener('submit', e=>{
+      e.preventDefault(); UI.clearErr('errDelegado');
+      const r=State.addDelegado({ nombre:$('iDelNombre').value, ci:$('iDelCI').value, telefono:$('iDelTel').value, recinto:$('iDelRecinto').value });
+      if(!r.ok){UI.setErr('errDelegado',r.error);return;}
+      ['iDelNombre','iDelCI','iDelTel'].forEach(id=>$(id).value='');
+      $('iDelNombre').focus();
+      Views.renderDelegados();
+    });
+    $('btnSaveDel').addEventListener('click',()=>{
+      UI.clearErr('errEditDel');
+      const r=State.editDelegado($('editDelId').value,{ nombre:$('editDelNombre').value, ci:$('editDelCI').value, telefono:$('editDelTel').value, recinto:$('editDelRecinto').value });
+      if(!r.ok){UI.setErr('errEditDel',r.error);return;}
+      UI.closeModal('modalDelegado'); Views.renderAll();
+    });
+    $('btnCredenciales').addEventListener('click', Export.credenciales);
+
     /* ── Confirm ── */
     $('btnConfirm').addEventListener('click', Views.executePending);
 
     /* ── Reset All ── */
     $('resetAllBtn').addEventListener('click',()=>{
-      Views.confirmAction('reset',null,'¿Reiniciar todo el sistema?','Se eliminarán todos los candidatos, ánforas y votos. Esta acción no se puede deshacer.');
+      Views.confirmAction('reset',null,'¿Reiniciar todo el sistema?','Se eliminarán todos los candidatos, ánforas y votos. Podrás deshacerlo con Ctrl+Z o desde el aviso que aparece al terminar.');
     });
 
     /* ── Export PDF ── */
-    $('navExportPDF').addEventListener('click', Export.toPDF);
-    $('btnPDF').addEventListener('click', Export.toPDF);
+    // La generación es asíncrona (imágenes, fuentes): un fallo se avisa en pantalla
+    const pdf = p => p.catch(err => UI.toast(`No se pudo generar el PDF: ${err.message}`));
+    $('navExportPDF').addEventListener('click', ()=>pdf(Export.toPDF()));
+    $('btnPDF').addEventListener('click', ()=>pdf(Export.toPDF()));
+    $('btnTerrPDF').addEventListener('click', ()=>pdf(Export.toPDF(Views.terrPath())));
+    $('navExportXLSX').addEventListener('click', Export.toXLSX);
+    $('btnXLSX').addEventListener('click', Export.toXLSX);
+    $('btnCSV').addEventListener('click', ()=>Export.toCSV($('selCsvHoja').value));
+    $('btnPaqTodas').addEventListener('click', ()=>Views.paqMarcar('todas'));
+    $('btnPaqComputadas').addEventListener('click', ()=>Views.paqMarcar('computadas'));
+    $('btnPaqNinguna').addEventListener('click', ()=>Views.paqMarcar('ninguna'));
+    ['chkPaqCert','chkPaqRes'].forEach(id => $(id).addEventListener('change', Views.renderPaquetes));
+    $('btnPaquete').addEventListener('click', ()=>pdf(Export.paquete(Views.paqSeleccion(), { certificados:$('chkPaqCert').checked, resumenes:$('chkPaqRes').checked })));
+    $('selMapaCapa').addEventListener('change', Views.renderMapa);
+
+    /* ── Elección anterior ── */
+    $('btnHistFile').addEventListener('click', ()=>$('fileHistorico').click());
+    $('fileHistorico').addEventListener('change', e=>{
+      const f=e.target.files[0]; if(f) Historico.openFile(f);
+      e.target.value='';
+    });
+    $('btnHistImport').addEventListener('click', Historico.commit);
+    $('btnHistCancel').addEventListener('click', Historico.cancel);
+    $('btnHistClear').addEventListener('click', ()=>Views.confirmAction('historico',null,'¿Quitar la elección anterior?','Se quitarán los resultados anteriores importados para este cargo.'));
+
+    /* ── Escaños ── */
+    ['iSeatsN','iSeatsMetodo','iSeatsUmbral'].forEach(id=>$(id).addEventListener('change',()=>{
+      UI.clearErr('errSeats');
+      const r=State.setCargoSeats(State.getCargo().id,$('iSeatsN').value,$('iSeatsMetodo').value,$('iSeatsUmbral').value);
+      if(!r.ok) UI.setErr('errSeats',r.error);
+      Views.renderStats();
+    }));
+
+    /* ── Respaldo JSON ── */
+    $('navBackupExport').addEventListener('click', Backup.exportJSON);
+    $('navBackupImport').addEventListener('click', ()=>$('fileBackup').click());
+    $('fileBackup').addEventListener('change', e=>{
+      const f=e.target.files[0]; if(f) Backup.openFile(f);
+      e.target.value='';
+    });
+    $('btnBackupMerge').addEventListener('click', ()=>Backup.apply('merge'));
+    $('btnBackupReplace').addEventListener('click', ()=>Backup.apply('replace'));
+
+    /* ── Aviso de almacenamiento ── */
+    $('btnStorageBackup').addEventListener('click', Backup.exportJSON);
+    $('btnStorageWarnClose').addEventListener('click', ()=>$('storageWarn').classList.add('hidden'));
+
+    /* ── Sesión y cuentas ── */
+    const entrar = (id, pin) => {
+      const r=Auth.login(id, pin);
+      if(!r.ok){UI.setErr('errLogin',r.error);return;}
+      UI.clearErr('errLogin'); $('iLoginPin').value='';
+      Views.renderAll();
+    };
+    $('btnLogin').addEventListener('click', ()=>entrar($('selLoginCuenta').value, $('iLoginPin').value));
+    $('iLoginPin').addEventListener('keydown', e=>{ if(e.key==='Enter') $('btnLogin').click(); });
+    $('btnSetup').addEventListener('click', ()=>{
+      const pin=$('iSetupPin').value;
+      if(pin!==$('iSetupPin2').value){UI.setErr('errLogin','Los dos PIN no coinciden.');return;}
+      const r=Auth.crear($('iSetupNombre').value, 'admin', pin);
+      if(!r.ok){UI.setErr('errLogin',r.error);return;}
+      $('iSetupNombre').value=''; $('iSetupPin').value=''; $('iSetupPin2').value='';
+      entrar(r.cuenta.id, pin);
+    });
+    $('btnLogout').addEventListener('click', ()=>{
+      Auth.logout();
+      document.querySelectorAll('.modal-ov.open').forEach(m=>UI.closeModal(m.id));
+      closeSB(); Views.renderSesion(); $('iLoginPin').focus();
+    });
+    $('navCuentas').addEventListener('click', ()=>{ Views.clearCuentaForm(); Views.renderCuentas(); UI.openModal('modalCuentas'); closeSB(); });
+    $('btnCuentaSave').addEventListener('click', ()=>{
+      const id=$('iCuentaId').value, args=[$('iCuentaNombre').value, $('selCuentaRol').value, $('iCuentaPin').value];
+      const r=id ? Auth.editar(id, ...args) : Auth.crear(...args);
+      if(!r.ok){UI.setErr('errCuenta',r.error);return;}
+      Views.clearCuentaForm(); Views.renderCuentas(); Views.renderSesion();
+    });
+    $('btnCuentaCancel').addEventListener('click', Views.clearCuentaForm);
+
+    /* ── Sincronización ── */
+    $('navSync').addEventListener('click', ()=>{ UI.clearErr('errSync'); Sync.render(); UI.openModal('modalSync'); closeSB(); });
+    $('btnSyncConnect').addEventListener('click', async ()=>{
+      UI.clearErr('errSync');
+      const r=await Sync.connect($('iSyncUrl').value, $('iSyncDevice').value, $('iSyncClave').value);
+      if(!r.ok) UI.setErr('errSync', r.error);
+    });
+    $('btnSyncDisconnect').addEventListener('click', Sync.disconnect);
+    $('btnSyncPublish').addEventListener('click', Sync.publish);
 
     /* ── Close modals ── */
     document.querySelectorAll('[data-close]').forEach(btn=>{
@@ -1302,6 +5927,14 @@ const Events = (() => {
     document.querySelectorAll('.modal-ov').forEach(ov=>{
       ov.addEventListener('click',e=>{ if(e.target===ov) UI.closeModal(ov.id); });
     });
+    // Ctrl+Z deshace, Ctrl+Y o Ctrl+Mayús+Z rehace; en los campos de texto queda el deshacer del navegador
+    document.addEventListener('keydown',e=>{
+      const k=e.key.toLowerCase();
+      if(!(e.ctrlKey||e.metaKey) || e.altKey || (k!=='z' && k!=='y') || !Auth.can('admin')) return;
+      if(e.target.closest?.('input,textarea,select,[contenteditable]') || document.querySelector('.modal-ov.open')) return;
+      e.preventDefault();
+      if(k==='y' || e.shiftKey) Views.redo(); else Views.undo();
+    });
     document.addEventListener('keydown',e=>{
       if(e.key==='Escape'){
         document.querySelectorAll('.modal-ov.open').forEach(m=>UI.closeModal(m.id));
@@ -1316,9 +5949,16 @@ const Events = (() => {
 /* ════════════════════════════════════════════════════════
    APP
 ════════════════════════════════════════════════════════ */
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  Storage.onError(Views.showStorageError);
+  await Storage.open();
   State.init();
   Views.renderAll();
   Events.init();
+  Sync.init();
   TVClock.start();
+  // El service worker solo funciona servido por http(s), no abriendo el archivo directamente.
+  // Si no se registra, la aplicación funciona igual, solo que sin abrirse sin red.
+  if ('serviceWorker' in navigator && /^https?:$/.test(location.protocol))
+    navigator.serviceWorker.register('sw.js').catch(()=>{});
 });
\ No newline at end of file
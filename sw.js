@@ -0,0 +1,40 @@
+/**
+ * Service worker — Sistema de Cómputo Electoral
+ * Guarda la aplicación en caché para abrirla sin red; los datos viven en IndexedDB.
+ * El código (página, script y estilos) se pide primero a la red, así una versión nueva llega en la
+ * siguiente apertura; CACHE se cambia igual al publicarla para descartar la anterior.
+ */
+'use strict';
+
+const CACHE = 'computo-v2';
+const SHELL = ['./', 'index.html', 'script.js', 'styles.css', 'manifest.webmanifest', 'icon.svg', 'logoMTS.png', 'monge.png'];
+const CODE  = /(\/|\.html|\.js|\.css)$/;
+
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(CACHE).then(c => c.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k!==CACHE).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+// Código: primero la red y, sin conexión, la caché. Imágenes y manifiesto: primero la caché,
+// refrescada en segundo plano para la próxima apertura.
+// La API del servidor de sincronización nunca pasa por la caché.
+self.addEventListener('fetch', e => {
+  const url = new URL(e.request.url);
+  if (e.request.method!=='GET' || url.origin!==location.origin || url.pathname.includes('/api/')) return;
+  e.respondWith(caches.open(CACHE).then(async cache => {
+    const net = fetch(e.request)
+      .then(res => { if (res.ok) cache.put(e.request, res.clone()); return res; })
+      .catch(() => null);
+    const fallback = async () => (await cache.match(e.request, { ignoreSearch:true }))
+      || (e.request.mode==='navigate' ? cache.match('index.html') : Response.error());
+    if (e.request.mode==='navigate' || CODE.test(url.pathname)) return (await net) || fallback();
+    const hit = await cache.match(e.request, { ignoreSearch:true });
+    if (hit) { e.waitUntil(net); return hit; }
+    return (await net) || fallback();
+  }));
+});
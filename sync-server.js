@@ -0,0 +1,346 @@
+/**
+ * Servidor de sincronización en red local — Sistema de Cómputo Electoral
+ * Uso: node sync-server.js [puerto] [archivo de datos] [clave]
+ * Sirve la aplicación a los equipos de la red y reparte entre ellos las mesas
+ * guardadas. Node ≥ 18 · Sin dependencias · Sin internet.
+ * La clave del evento (o la variable SYNC_CLAVE) se pide a cada equipo al conectar;
+ * si no se indica, se genera una al arrancar y se muestra en pantalla.
+ */
+'use strict';
+
+const http = require('http');
+const fs   = require('fs');
+const path = require('path');
+const os   = require('os');
+const crypto = require('crypto');
+
+const PORT     = parseInt(process.argv[2]) || 8080;
+const FILE     = path.resolve(process.argv[3] || path.join(__dirname, 'sync-data.json'));
+const ROOT     = __dirname;
+const MAX_BODY = 20*1024*1024;
+const LOG_MAX  = 5000;   // eventos que se guardan para ponerse al día tras un corte
+const CLAVE    = String(process.env.SYNC_CLAVE || process.argv[4] || crypto.randomBytes(4).toString('hex'));
+
+const TYPES = {
+  '.html':'text/html; charset=utf-8', '.js':'text/javascript; charset=utf-8', '.css':'text/css; charset=utf-8',
+  '.png':'image/png', '.jpg':'image/jpeg', '.jpeg':'image/jpeg', '.svg':'image/svg+xml', '.ico':'image/x-icon',
+  '.webmanifest':'application/manifest+json',
+};
+
+/* ════════════════════════════════════════════════════════
+   ESTADO COMPARTIDO
+   data: mismo formato que State.exportData() (catálogo, resultados e historial)
+   meta[cargoId][anforaId] = { rev, device, at }: revisión vigente de cada mesa
+   data.estados[anforaId]: registro de estados de la mesa, que solo crece
+════════════════════════════════════════════════════════ */
+let store = { rev:0, data:null, meta:{} };
+let log = [];
+const clients = new Set();
+
+try {
+  const s = JSON.parse(fs.readFileSync(FILE, 'utf8'));
+  if (s && Number.isInteger(s.rev)) store = { rev:s.rev, data:s.data||null, meta:s.meta||{} };
+} catch(e) { if (e.code!=='ENOENT') console.error(`No se pudo leer ${FILE}: ${e.message}`); }
+
+// Escritura diferida y atómica: un corte de luz no deja el archivo a medias
+let saveTimer = null;
+const persist = () => {
+  clearTimeout(saveTimer);
+  saveTimer = setTimeout(() => {
+    const tmp = FILE+'.tmp';
+    fs.writeFile(tmp, JSON.stringify(store), err => {
+      if (err) return console.error(`No se pudo guardar: ${err.message}`);
+      fs.rename(tmp, FILE, e => { if (e) console.error(`No se pudo guardar: ${e.message}`); });
+    });
+  }, 300);
+};
+
+const sameVotes = (a, b) => {
+  const keys = new Set([...Object.keys(a||{}), ...Object.keys(b||{})]);
+  return [...keys].every(k => ((a||{})[k]||0)===((b||{})[k]||0));
+};
+
+// Eventos que se guardan para que un equipo se ponga al día. El catálogo también: cada
+// publicación sube la revisión y, sin su evento, el equipo vería un hueco y bajaría todo de nuevo.
+const LOGGED = ['mesa','estado','catalog'];
+const broadcast = (event, payload) => {
+  const ev = { id:store.rev, event, payload };
+  if (LOGGED.includes(event)) { log.push(ev); if (log.length>LOG_MAX) log = log.slice(-LOG_MAX); }
+  clients.forEach(res => send(res, ev));
+};
+
+const send = (res, ev) => res.write(`id: ${ev.id}\nevent: ${ev.event}\ndata: ${JSON.stringify(ev.payload)}\n\n`);
+
+// Catálogo: cada elemento trae el sello de su último cambio (sellos[lista][id] = { ts, borrado }) y por id
+// gana el más reciente. Lo que falta en una publicación no se borra (puede ser de otro equipo): solo se
+// quita lo que tiene sello de borrado, así un catálogo viejo no pisa ediciones nuevas ni revive lo eliminado.
+const CATALOG  = ['cargos','candidates','anforas','delegados'];
+const SELLADOS = [...CATALOG, 'padron','geo','historico'];
+const mergeCatalog = incoming => {
+  const d = store.data, s = d.sellos || (d.sellos = {}), llegan = incoming.sellos || {};
+  const gana  = (k, id) => (llegan[k]?.[id]?.ts || '') > (s[k]?.[id]?.ts || '');
+  const nueva = (k, id) => !s[k]?.[id]?.borrado || gana(k, id);
+  SELLADOS.forEach(k => {
+    if (CATALOG.includes(k)) {
+      if (!d[k]) d[k] = [];
+      (incoming[k]||[]).forEach(x => {
+        const i = d[k].findIndex(y=>y.id===x.id);
+        if (i<0 && nueva(k, x.id)) d[k].push(x);
+        else if (i>=0 && gana(k, x.id)) d[k][i] = x;
+      });
+    } else {
+      if (!d[k]) d[k] = {};
+      Object.entries(incoming[k]||{}).forEach(([id, v]) => { if (id in d[k] ? gana(k, id) : nueva(k, id)) d[k][id] = v; });
+    }
+  });
+  Object.entries(llegan).forEach(([k, ids]) => Object.keys(ids).forEach(id => { if (gana(k, id)) (s[k] = s[k] || {})[id] = { ts:ids[id].ts, borrado:!!ids[id].borrado }; }));
+  const borrado = (k, id) => s[k]?.[id]?.borrado;
+  CATALOG.forEach(k => { d[k] = d[k].filter(x=>!borrado(k, x.id)); });
+  SELLADOS.filter(k=>!CATALOG.includes(k)).forEach(k => Object.keys(d[k]).forEach(id => { if (borrado(k, id)) delete d[k][id]; }));
+  d.settings = { ...d.settings, ...incoming.settings };
+};
+
+const seed = (device, data) => {
+  store.data = { cargos:[], candidates:[], anforas:[], delegados:[], results:{}, padron:{}, geo:{}, history:{}, pending:{}, historico:{}, settings:{}, estados:{}, sellos:{}, ...data, pending:{} };
+  store.meta = {};
+  Object.entries(store.data.results).forEach(([cargoId, byAnf]) => Object.keys(byAnf).forEach(anforaId => {
+    (store.meta[cargoId] = store.meta[cargoId] || {})[anforaId] = { rev:++store.rev, device, at:new Date().toISOString() };
+  }));
+};
+
+/* ── Validación ── */
+// Lo que envía un equipo se revisa entero antes de tocar los datos compartidos
+const VOTOS    = ['blancos','nulos'];
+const CONTROL  = ['votantes','recibidas','noUtilizadas'];   // datos del acta; pueden ir vacíos (null)
+const ESTADOS  = ['pendiente','en_camino','recibida','transcrita','verificada','observada','anulada'];
+const isObj    = v => !!v && typeof v==='object' && !Array.isArray(v);
+const isCount  = v => Number.isInteger(v) && v>=0;
+const isText   = (v, max=500) => v===undefined || (typeof v==='string' && v.length<=max);
+
+// Devuelve el motivo del rechazo, o null si la mesa es válida
+const checkResult = (d, cargoId, r) => {
+  if (r===null || r===undefined) return null;
+  if (!isObj(r)) return 'Los votos de la mesa están mal formados.';
+  for (const [k, v] of Object.entries(r)) {
+    if (CONTROL.includes(k)) { if (v!==null && !isCount(v)) return `"${k}" debe ser un entero no negativo.`; continue; }
+    if (!VOTOS.includes(k) && !d.candidates.some(c=>c.id===k && c.cargoId===cargoId)) return 'La mesa trae votos de un candidato que el servidor no conoce: publica los candidatos de este equipo.';
+    if (!isCount(v)) return 'Los votos deben ser enteros no negativos.';
+  }
+  return null;
+};
+
+const checkEntry = e => e===null || e===undefined || (isObj(e) && typeof e.ts==='string' && isText(e.num, 40) && isText(e.operator, 100) && isText(e.reason) && isText(e.device, 40));
+
+const checkMesa = m => {
+  const d = store.data;
+  if (!isObj(m) || typeof m.cargoId!=='string' || typeof m.anforaId!=='string') return 'Mesa mal formada.';
+  if (!d.cargos.some(c=>c.id===m.cargoId) || !d.anforas.some(a=>a.id===m.anforaId))
+    return 'El servidor no conoce esta mesa o cargo: publica los candidatos y mesas de este equipo.';
+  if (m.base!==undefined && !isCount(m.base)) return 'Revisión de la mesa inválida.';
+  if (!checkEntry(m.entry)) return 'El historial de la mesa está mal formado.';
+  return checkResult(d, m.cargoId, m.result);
+};
+
+const checkEstado = e => {
+  if (!isObj(e) || typeof e.anforaId!=='string' || !isObj(e.entry)) return 'Estado de mesa mal formado.';
+  if (!store.data.anforas.some(a=>a.id===e.anforaId)) return 'El servidor no conoce esta mesa: publica los candidatos y mesas de este equipo.';
+  const x = e.entry;
+  if (!ESTADOS.includes(x.estado) || typeof x.ts!=='string' || !isText(x.operator, 100) || !isText(x.nota)) return 'Estado de mesa inválido.';
+  return null;
+};
+
+// Catálogo publicado: listas con id y, al inicializar, resultados válidos para ese catálogo
+const checkCatalog = (data, seeding) => {
+  if (!isObj(data) || !Array.isArray(data.cargos)) return 'Faltan los datos.';
+  for (const k of CATALOG) {
+    if (data[k]!==undefined && !(Array.isArray(data[k]) && data[k].every(x=>isObj(x) && typeof x.id==='string'))) return `La lista "${k}" está mal formada.`;
+  }
+  for (const k of ['padron','geo','historico','settings','results','history','estados']) {
+    if (data[k]!==undefined && !isObj(data[k])) return `"${k}" está mal formado.`;
+  }
+  if (data.sellos!==undefined && !(isObj(data.sellos) && Object.values(data.sellos).every(ids => isObj(ids) && Object.values(ids).every(m => isObj(m) && typeof m.ts==='string' && typeof m.borrado==='boolean'))))
+    return 'Los sellos del catálogo están mal formados.';
+  if (!seeding) return null;
+  const d = { candidates:data.candidates||[] };
+  for (const [cargoId, byAnf] of Object.entries(data.results||{})) {
+    if (!isObj(byAnf)) return 'Los resultados están mal formados.';
+    for (const r of Object.values(byAnf)) { const err = checkResult(d, cargoId, r); if (err) return err; }
+  }
+  return null;
+};
+
+/* ── Mesas ── */
+// Una mesa se acepta si el equipo partió de la revisión vigente (base) o trae los mismos votos;
+// si no, es un conflicto y el equipo decide qué versión queda.
+const pushMesa = (device, m) => {
+  const d = store.data;
+  const ref = { cargoId:m.cargoId, anforaId:m.anforaId };
+  const cur  = store.meta[m.cargoId]?.[m.anforaId];
+  const prev = d.results[m.cargoId]?.[m.anforaId] || null;
+  if ((cur?.rev||0)!==(m.base||0)) {
+    if (sameVotes(prev, m.result) && !prev===!m.result) return { accepted:{ ...ref, rev:cur?.rev||0 } };
+    return { conflict:{ ...ref, rev:cur?.rev||0, device:cur?.device||'', result:prev } };
+  }
+  if (!d.results[m.cargoId]) d.results[m.cargoId] = {};
+  if (m.result) d.results[m.cargoId][m.anforaId] = m.result;
+  else delete d.results[m.cargoId][m.anforaId];
+  if (m.entry) {
+    const h = d.history[m.cargoId] || (d.history[m.cargoId] = {});
+    (h[m.anforaId] = h[m.anforaId] || []).push(m.entry);
+  }
+  const meta = { rev:++store.rev, device, at:new Date().toISOString() };
+  (store.meta[m.cargoId] = store.meta[m.cargoId] || {})[m.anforaId] = meta;
+  broadcast('mesa', { ...ref, rev:meta.rev, device, result:m.result||null, entry:m.entry||null });
+  const a = d.anforas.find(a=>a.id===m.anforaId), c = d.cargos.find(c=>c.id===m.cargoId);
+  console.log(`${meta.at.slice(11,19)}  ${device}: mesa ${a?.num} · ${c?.name} (rev ${meta.rev})`);
+  return { accepted:{ ...ref, rev:meta.rev } };
+};
+
+/* ── Estados de mesa ── */
+// Cada cambio se agrega una sola vez (misma hora y estado) y el registro queda en orden de hora
+const estadoKey = e => `${e.ts}|${e.estado}`;
+const pushEstado = (device, e) => {
+  const d = store.data;
+  if (!d.estados) d.estados = {};
+  const log = d.estados[e.anforaId] || (d.estados[e.anforaId] = []);
+  if (log.some(x=>estadoKey(x)===estadoKey(e.entry))) return {};
+  log.push(e.entry);
+  log.sort((a,b) => a.ts<b.ts ? -1 : a.ts>b.ts ? 1 : 0);
+  store.rev++;
+  broadcast('estado', { anforaId:e.anforaId, entry:e.entry, rev:store.rev, device });
+  return { added:true };
+};
+
+/* ════════════════════════════════════════════════════════
+   HTTP
+════════════════════════════════════════════════════════ */
+const json = (res, code, body) => {
+  res.writeHead(code, { 'Content-Type':'application/json; charset=utf-8', 'Cache-Control':'no-store' });
+  res.end(JSON.stringify(body));
+};
+
+const readBody = req => new Promise((resolve, reject) => {
+  let size = 0; const chunks = [];
+  req.on('data', c => {
+    size += c.length;
+    if (size>MAX_BODY) { reject(new Error('Solicitud demasiado grande.')); req.destroy(); return; }
+    chunks.push(c);
+  });
+  req.on('end', () => { try { resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')||'{}')); } catch(e) { reject(new Error('JSON inválido.')); } });
+  req.on('error', reject);
+});
+
+const deviceOf = body => String(body.device||'').trim().slice(0,40);
+
+const routes = {
+  'GET /api/snapshot': (req, res) => json(res, 200, store),
+
+  'POST /api/catalog': async (req, res) => {
+    const body = await readBody(req), device = deviceOf(body);
+    if (!device) return json(res, 400, { error:'Falta el nombre del equipo.' });
+    const err = checkCatalog(body.data, !store.data);
+    if (err) return json(res, 400, { error:err });
+    if (!store.data) seed(device, body.data);
+    else { mergeCatalog(body.data); store.rev++; }
+    persist();
+    broadcast('catalog', { rev:store.rev, device });
+    console.log(`${new Date().toISOString().slice(11,19)}  ${device}: publicó candidatos y mesas`);
+    json(res, 200, { rev:store.rev, meta:store.meta });
+  },
+
+  'POST /api/push': async (req, res) => {
+    const body = await readBody(req), device = deviceOf(body);
+    if (!store.data) return json(res, 409, { error:'El servidor aún no tiene datos: conecta el equipo principal primero.' });
+    const mesas = body.mesas || [], estados = body.estados || [];
+    if (!device || !Array.isArray(mesas) || !Array.isArray(estados)) return json(res, 400, { error:'Falta el equipo o las mesas.' });
+    const out = { accepted:[], conflicts:[], rejected:[] };
+    let changed = false;
+    // Primero se revisa todo; lo inválido se devuelve como rechazado sin tocar los datos
+    const validas = mesas.filter(m => {
+      const error = checkMesa(m);
+      if (error) out.rejected.push({ cargoId:m?.cargoId, anforaId:m?.anforaId, error });
+      return !error;
+    });
+    const estadosValidos = estados.filter(e => {
+      const error = checkEstado(e);
+      if (error) out.rejected.push({ anforaId:e?.anforaId, error });
+      return !error;
+    });
+    validas.forEach(m => {
+      const r = pushMesa(device, m);
+      if (r.accepted) out.accepted.push(r.accepted);
+      if (r.conflict) out.conflicts.push(r.conflict);
+    });
+    // Después de las mesas: el estado "transcrita" llega junto con sus votos
+    estadosValidos.forEach(e => { if (pushEstado(device, e).added) changed = true; });
+    if (out.accepted.length || changed) persist();
+    json(res, 200, out);
+  },
+
+  // Server-Sent Events: la Vista TV y los demás equipos reciben cada mesa al instante
+  'GET /api/events': (req, res, url) => {
+    res.writeHead(200, { 'Content-Type':'text/event-stream', 'Cache-Control':'no-store', 'Connection':'keep-alive' });
+    res.write('retry: 3000\n\n');
+    const since = parseInt(req.headers['last-event-id'] ?? url.searchParams.get('since')) || 0;
+    // Equipo más adelantado que el servidor (reinició con un archivo anterior): se pone al día y republica
+    if (since>store.rev) send(res, { id:store.rev, event:'resync', payload:{ rev:store.rev } });
+    else if (since<store.rev) {
+      const missed = log.filter(ev=>ev.id>since);
+      // Sin el tramo completo (reinicio del servidor) el equipo vuelve a bajar todo
+      if (!missed.length || missed[0].id>since+1) send(res, { id:store.rev, event:'resync', payload:{ rev:store.rev } });
+      else missed.forEach(ev => send(res, ev));
+    }
+    clients.add(res);
+    req.on('close', () => clients.delete(res));
+  },
+};
+
+const serveStatic = (req, res, url) => {
+  // Una dirección mal codificada (p. ej. /%E0%A4%A) no debe tumbar el servidor
+  let ruta;
+  try { ruta = decodeURIComponent(url.pathname); }
+  catch(e) { res.writeHead(400); res.end(); return; }
+  const rel  = ruta==='/' ? 'index.html' : ruta.slice(1);
+  const file = path.resolve(ROOT, rel);
+  const type = TYPES[path.extname(file).toLowerCase()];
+  if (!type || !file.startsWith(ROOT+path.sep) || path.basename(file).startsWith('.')) { res.writeHead(404); res.end(); return; }
+  fs.readFile(file, (err, buf) => {
+    if (err) { res.writeHead(404); res.end(); return; }
+    res.writeHead(200, { 'Content-Type':type });
+    res.end(buf);
+  });
+};
+
+// Clave del evento: por encabezado o, para los eventos (EventSource no envía encabezados), en la dirección
+const autorizado = (req, url) => {
+  const dada = Buffer.from(String(req.headers['x-clave'] ?? url.searchParams.get('clave') ?? '')), clave = Buffer.from(CLAVE);
+  return dada.length===clave.length && crypto.timingSafeEqual(dada, clave);
+};
+
+const server = http.createServer(async (req, res) => {
+  // Sin comodín: la app servida por este mismo servidor no necesita permisos de origen. Abierta como
+  // archivo local el navegador envía el origen "null", que se admite; igual debe traer la clave.
+  if (req.headers.origin==='null') {
+    res.setHeader('Access-Control-Allow-Origin', 'null');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, X-Clave');
+  }
+  if (req.method==='OPTIONS') { res.writeHead(204); res.end(); return; }
+  let url;
+  try { url = new URL(req.url, 'http://localhost'); }
+  catch(e) { res.writeHead(400); res.end(); return; }
+  const route = routes[`${req.method} ${url.pathname}`];
+  if (!route) return serveStatic(req, res, url);
+  if (!autorizado(req, url)) return json(res, 401, { error:'Clave del evento incorrecta: usa la que muestra el servidor al iniciar.' });
+  try { await route(req, res, url); }
+  catch(e) { if (!res.headersSent) json(res, 400, { error:e.message }); }
+});
+
+// Mantiene vivas las conexiones de eventos a través de proxies y routers
+setInterval(() => clients.forEach(res => res.write(': ping\n\n')), 20000).unref();
+
+server.listen(PORT, () => {
+  const ips = Object.values(os.networkInterfaces()).flat().filter(i=>i && i.family==='IPv4' && !i.internal).map(i=>i.address);
+  console.log(`Servidor de sincronización en el puerto ${PORT} · datos en ${FILE}`);
+  (ips.length ? ips : ['localhost']).forEach(ip => console.log(`  Abrir en los equipos: http://${ip}:${PORT}/`));
+  console.log(`  Clave del evento: ${CLAVE}`);
+});